@@ -8,7 +8,15 @@ const SHEET_ID = '1Vq1cQgW4Cm7-cC3aKglFhRGwBJu6-ZMnKecrL1nVAxs';
 const SHEET_NAME = 'Sheet1'; // Change if your tab has a different name
 
 // === HEADERS (Row 1 in your sheet) ===
-const HEADERS = ['Date', 'Batch', 'Batch Time', 'Student ID', 'Student Name', 'App Number', 'Status', 'Saved At'];
+const HEADERS = ['Date', 'Batch', 'Batch Time', 'Student ID', 'Student Name', 'App Number', 'Status', 'Saved At', 'Batch ID'];
+
+// Batch names written before the Batch ID column existed → their stable ids
+const LEGACY_BATCH_IDS = { 'Batch 01': 'batch_01', 'Batch 02': 'batch_02' };
+
+// Stable id for a row without a Batch ID. Other old names keep the original rule: any "2" is batch_02.
+function legacyBatchId(batchName) {
+  return LEGACY_BATCH_IDS[batchName] || (batchName.indexOf('2') !== -1 ? 'batch_02' : 'batch_01');
+}
 
 /**
  * GET handler — routes requests based on ?action= parameter
@@ -89,11 +97,8 @@ function handleGetAttendance(dateStr) {
     const status = String(data[i][6]).trim().toLowerCase();
     const savedAt = String(data[i][7]).trim();
 
-    // Determine batch key from batch name
-    let batchKey = 'batch_01';
-    if (batchName.indexOf('02') !== -1 || batchName.indexOf('2') !== -1) {
-      batchKey = 'batch_02';
-    }
+    // Batch ID column is authoritative; older rows only have the name
+    const batchKey = String(data[i][8] || '').trim() || legacyBatchId(batchName);
 
     if (!batches[batchKey]) {
       batches[batchKey] = { records: [], locked: true, batchName: batchName, batchTime: batchTime };
@@ -199,8 +204,9 @@ function handleSaveAttendance(body) {
   const existingData = sheet.getDataRange().getValues();
   const existingKeys = new Set();
   for (let i = 1; i < existingData.length; i++) {
-    // Key = "Date|Batch|StudentID"
-    const key = `${existingData[i][0]}|${existingData[i][1]}|${existingData[i][3]}`;
+    // Key = "Date|BatchID|StudentID"
+    const batchId = String(existingData[i][8] || '').trim() || legacyBatchId(String(existingData[i][1]).trim());
+    const key = `${existingData[i][0]}|${batchId}|${existingData[i][3]}`;
     existingKeys.add(key);
   }
 
@@ -211,7 +217,8 @@ function handleSaveAttendance(body) {
 
   for (let i = 0; i < records.length; i++) {
     const r = records[i];
-    const key = `${r.date}|${r.batch}|${r.studentId}`;
+    const batchId = r.batchId || legacyBatchId(String(r.batch || '').trim());
+    const key = `${r.date}|${batchId}|${r.studentId}`;
 
     if (existingKeys.has(key)) {
       skipped++;
@@ -226,7 +233,8 @@ function handleSaveAttendance(body) {
       r.studentName,
       r.appNumber,
       r.status,
-      savedAt
+      savedAt,
+      batchId
     ]);
   }
 
@@ -267,6 +275,14 @@ function ensureHeaders(sheet) {
     // Bold + freeze header row
     sheet.getRange(1, 1, 1, HEADERS.length).setFontWeight('bold');
     sheet.setFrozenRows(1);
+    return;
+  }
+
+  // Sheets from before a column was added: fill in just the missing trailing headers
+  for (let c = 0; c < HEADERS.length; c++) {
+    if (firstRow[c] === '' || firstRow[c] === null) {
+      sheet.getRange(1, c + 1).setValue(HEADERS[c]).setFontWeight('bold');
+    }
   }
 }
 
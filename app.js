@@ -34,29 +34,43 @@
     // =============================================
     const Store = {
         // --- Primary Data (Map-based for O(1)) ---
-        studentMap: new Map(),         // Map<id, {id, name, appNumber, active}>
+        studentMap: new Map(),         // Map<id, {id, name, appNumber, joinDate, leaveDate, active}>
         studentOrder: [],              // Sorted array of IDs for display order
 
         // attendance[dateKey][batchKey] = Map<studentId, status>
         attendance: {},
 
+        // details[dateKey][batchKey] = Map<studentId, { leaveType, note, markedAt }> — only students with
+        // any set. markedAt is the ISO time the student was last marked. Covers saved batches from the
+        // cloud too (mergeHistory), like photoUrls.
+        details: {},
+
         // locked = Set of "dateKey|batchKey" strings for O(1) lock check
         lockedBatches: new Set(),
 
         // Photo URLs: Map of "dateKey|batchKey" → Google Drive URL
         photoUrls: new Map(),
 
+        // Cloud history (saved dates from historyFrom on, not persisted): history[dateKey][batchKey] = Map<studentId, status>
+        history: {},
+        historyLoaded: false,
+        historyFrom: '',               // earliest date the history covers
+        syncedAt: '',                  // serverTime of the last sync — the next one only asks for changes since
+
         // --- UI State ---
         currentDate: '',
-        currentBatch: 'batch_01',
+        currentBatch: CONFIG.BATCHES[0].id,
         searchQuery: '',
         photo: null,
         photoBase64: null,
+        photoMeta: null,               // capture time / location of the proof photo
         isLoading: false,
         collapsedPiles: {},
+        selecting: false,              // long-press multi-select mode
+        selectedIds: new Set(),
 
         // --- Computed Cache ---
-        _cache: { valid: false, visible: [], present: [], absent: [], leave: [] },
+        _cache: { valid: false, visible: [], present: [], late: [], absent: [], leave: [], unmarked: [] },
 
         // --- Student Methods ---
         setStudents(students) {
@@ -75,13 +89,30 @@
             return this.studentOrder.map(id => this.studentMap.get(id));
         },
 
+        // On the roster that day? joinDate / leaveDate are inclusive 'YYYY-MM-DD', blank = open-ended
+        isEnrolled(student, dateKey) {
+            if (student.joinDate && dateKey < student.joinDate) return false;
+            if (student.leaveDate && dateKey > student.leaveDate) return false;
+            return true;
+        },
+
+        // Same by id; ids no longer on the roster can't be judged, so they count
+        isEnrolledId(studentId, dateKey) {
+            const s = this.studentMap.get(studentId);
+            return !s || this.isEnrolled(s, dateKey);
+        },
+
+        getEnrolledStudents(dateKey) {
+            return this.getAllStudents().filter(s => this.isEnrolled(s, dateKey));
+        },
+
         // --- Attendance Methods ---
         initDateBatch(dateKey, batchKey) {
             if (!this.attendance[dateKey]) this.attendance[dateKey] = {};
             if (!this.attendance[dateKey][batchKey]) {
                 const batchMap = new Map();
                 this.studentMap.forEach((s, id) => {
-                    batchMap.set(id, CONFIG.STATUSES.LEAVE);
+                    if (this.isEnrolled(s, dateKey)) batchMap.set(id, CONFIG.STATUSES.UNMARKED);
                 });
                 this.attendance[dateKey][batchKey] = batchMap;
             }
@@ -91,23 +122,133 @@
             const dateKey = this.currentDate;
             const batchKey = this.currentBatch;
             const batchData = this.attendance[dateKey]?.[batchKey];
-            if (batchData instanceof Map) return batchData.get(studentId) || CONFIG.STATUSES.LEAVE;
-            if (batchData) return batchData[studentId] || CONFIG.STATUSES.LEAVE;
-            return CONFIG.STATUSES.LEAVE;
+            if (batchData instanceof Map) return batchData.get(studentId) || CONFIG.STATUSES.UNMARKED;
+            if (batchData) return batchData[studentId] || CONFIG.STATUSES.UNMARKED;
+            return CONFIG.STATUSES.UNMARKED;
         },
 
         setStatus(studentId, status) {
+            const dateKey = this.currentDate;
+            const batchKey = this.currentBatch;
+            const oldMarkedAt = this.getDetail(studentId).markedAt;
+            const oldStatus = this._writeStatus(studentId, status);
+            this._invalidateCache();
+            StorageManager.saveBatch(dateKey, batchKey);
+            EventBus.emit('status:changed', { studentId, oldStatus, newStatus: status, oldMarkedAt, newMarkedAt: this.getDetail(studentId).markedAt, dateKey, batchKey });
+        },
+
+        // Bulk setStatus: one save for the lot; the events share a group id so they undo together.
+        // Returns how many students actually changed.
+        setStatuses(studentIds, status) {
+            return this._writeMarks(studentIds.map(studentId => ({ studentId, status })));
+        },
+
+        // QR check-ins ({ studentId, at }): each Present or Late by its own arrival time, stamped with it.
+        // One undo step like setStatuses; students already Present or Late keep their mark.
+        markArrivals(arrivals) {
+            return this._writeMarks(arrivals
+                .filter(a => !this.isAttended(this.getStatus(a.studentId)))
+                .map(a => ({ studentId: a.studentId, status: this.arrivalStatus(a.at), at: a.at })));
+        },
+
+        // Present, or Late when `at` is more than LATE.AFTER_MINUTES past the current batch's time.
+        // Only for marks made on the batch's own date — marking an earlier day afterwards is never Late.
+        arrivalStatus(at = Date.now()) {
+            const batchConfig = CONFIG.BATCHES.find(b => b.id === this.currentBatch);
+            const start = batchConfig && Utils.batchStart(this.currentDate, batchConfig);
+            const when = new Date(at);
+            if (!CONFIG.LATE.ENABLED || !start || Utils.formatDateISO(when) !== this.currentDate) return CONFIG.STATUSES.PRESENT;
+            return when - start > CONFIG.LATE.AFTER_MINUTES * 60000 ? CONFIG.STATUSES.LATE : CONFIG.STATUSES.PRESENT;
+        },
+
+        // Present and Late both mean the student attended
+        isAttended(status) {
+            return status === CONFIG.STATUSES.PRESENT || status === CONFIG.STATUSES.LATE;
+        },
+
+        _writeMarks(marks) {
+            const dateKey = this.currentDate;
+            const batchKey = this.currentBatch;
+            const group = `${Date.now()}_${Math.floor(Math.random() * 1e6)}`;
+            const changes = [];
+            marks.forEach(({ studentId, status, at }) => {
+                const oldMarkedAt = this.getDetail(studentId).markedAt;
+                const oldStatus = this._writeStatus(studentId, status, at);
+                if (oldStatus !== status) {
+                    changes.push({ studentId, oldStatus, newStatus: status, oldMarkedAt, newMarkedAt: this.getDetail(studentId).markedAt, dateKey, batchKey, group });
+                }
+            });
+            if (changes.length === 0) return 0;
+            this._invalidateCache();
+            StorageManager.saveBatch(dateKey, batchKey);
+            changes.forEach(c => EventBus.emit('status:changed', c));
+            return changes.length;
+        },
+
+        // Changes another phone made to the current batch (DraftSync), leave type and note included.
+        // Written like setStatuses but without a 'status:changed' event, so they are neither undoable
+        // here nor pushed back.
+        applyRemoteStatuses(changes) {
+            let count = 0;
+            changes.forEach(c => {
+                const statusChanged = this._writeStatus(c.studentId, c.status, c.at) !== c.status;
+                const detailChanged = this._writeDetail(c.studentId, { leaveType: c.leaveType || '', note: c.note || '' });
+                if (statusChanged || detailChanged) count++;
+            });
+            if (count === 0) return 0;
+            this._invalidateCache();
+            StorageManager.saveBatch(this.currentDate, this.currentBatch);
+            return count;
+        },
+
+        // Set one status in the current batch, returning the previous one. A changed mark is stamped
+        // with `at` (ms) as the student's markedAt; clearing the mark clears it.
+        _writeStatus(studentId, status, at = Date.now()) {
             const dateKey = this.currentDate;
             const batchKey = this.currentBatch;
             if (!this.attendance[dateKey]) this.attendance[dateKey] = {};
             if (!this.attendance[dateKey][batchKey]) this.attendance[dateKey][batchKey] = new Map();
             const batchData = this.attendance[dateKey][batchKey];
-            const oldStatus = (batchData instanceof Map) ? (batchData.get(studentId) || CONFIG.STATUSES.LEAVE) : (batchData[studentId] || CONFIG.STATUSES.LEAVE);
+            const oldStatus = (batchData instanceof Map) ? (batchData.get(studentId) || CONFIG.STATUSES.UNMARKED) : (batchData[studentId] || CONFIG.STATUSES.UNMARKED);
             if (batchData instanceof Map) batchData.set(studentId, status);
             else batchData[studentId] = status;
-            this._invalidateCache();
-            StorageManager.saveState();
-            EventBus.emit('status:changed', { studentId, oldStatus, newStatus: status });
+            if (oldStatus !== status) {
+                this._writeDetail(studentId, { markedAt: status === CONFIG.STATUSES.UNMARKED ? '' : new Date(at).toISOString() });
+            }
+            return oldStatus;
+        },
+
+        // --- Leave Type & Note Methods ---
+        // { leaveType, note, markedAt } of a student in a batch (the current one by default); '' where unset
+        getDetail(studentId, dateKey = this.currentDate, batchKey = this.currentBatch) {
+            const detail = this.details[dateKey]?.[batchKey]?.get(studentId);
+            return { leaveType: detail?.leaveType || '', note: detail?.note || '', markedAt: detail?.markedAt || '' };
+        },
+
+        // Leave type / note in the current batch; fields left out of `detail` are kept. Not undoable —
+        // the status change that goes with a leave type is.
+        setDetail(studentId, detail) {
+            if (!this._writeDetail(studentId, detail)) return;
+            StorageManager.saveBatch(this.currentDate, this.currentBatch);
+            EventBus.emit('detail:changed', { studentId, dateKey: this.currentDate, batchKey: this.currentBatch });
+        },
+
+        // Returns whether anything changed
+        _writeDetail(studentId, detail) {
+            const dateKey = this.currentDate;
+            const batchKey = this.currentBatch;
+            const old = this.getDetail(studentId);
+            const next = {
+                leaveType: detail.leaveType !== undefined ? detail.leaveType : old.leaveType,
+                note: detail.note !== undefined ? String(detail.note).trim().slice(0, CONFIG.NOTE_MAX_CHARS) : old.note,
+                markedAt: detail.markedAt !== undefined ? detail.markedAt : old.markedAt
+            };
+            if (next.leaveType === old.leaveType && next.note === old.note && next.markedAt === old.markedAt) return false;
+            if (!this.details[dateKey]) this.details[dateKey] = {};
+            if (!this.details[dateKey][batchKey]) this.details[dateKey][batchKey] = new Map();
+            if (next.leaveType || next.note || next.markedAt) this.details[dateKey][batchKey].set(studentId, next);
+            else this.details[dateKey][batchKey].delete(studentId);
+            return true;
         },
 
         // --- Batch Lock Methods ---
@@ -118,10 +259,14 @@
         },
 
         lockCurrentBatch(photoUrl) {
-            const key = this.lockKey(this.currentDate, this.currentBatch);
+            this.lockBatch(this.currentDate, this.currentBatch, photoUrl);
+        },
+
+        lockBatch(dateKey, batchKey, photoUrl) {
+            const key = this.lockKey(dateKey, batchKey);
             this.lockedBatches.add(key);
             if (photoUrl) this.photoUrls.set(key, photoUrl);
-            StorageManager.saveState();
+            StorageManager.saveBatch(dateKey, batchKey);
             EventBus.emit('batch:locked');
         },
 
@@ -130,40 +275,105 @@
         },
 
         // --- Cross-Batch Logic (Set for O(1)) ---
-        getBatch1PresentSet() {
-            if (this.currentBatch !== 'batch_02') return new Set();
-            const batchData = this.attendance[this.currentDate]?.['batch_01'];
-            if (!batchData) return new Set();
+        // Students already present (or late) in any batch that runs earlier the same day (CONFIG.BATCHES order)
+        getEarlierBatchesPresentSet() {
             const presentSet = new Set();
-            if (batchData instanceof Map) {
-                batchData.forEach((status, id) => { if (status === CONFIG.STATUSES.PRESENT) presentSet.add(id); });
-            } else {
-                for (const id in batchData) { if (batchData[id] === CONFIG.STATUSES.PRESENT) presentSet.add(id); }
+            const order = CONFIG.BATCHES.findIndex(b => b.id === this.currentBatch);
+            for (let i = 0; i < order; i++) {
+                const batchData = this.attendance[this.currentDate]?.[CONFIG.BATCHES[i].id];
+                if (!batchData) continue;
+                if (batchData instanceof Map) {
+                    batchData.forEach((status, id) => { if (this.isAttended(status)) presentSet.add(id); });
+                } else {
+                    for (const id in batchData) { if (this.isAttended(batchData[id])) presentSet.add(id); }
+                }
             }
             return presentSet;
         },
 
+        // --- History Methods ---
+        // Merge a getAttendanceRange reply. `full` = { from, to } when the reply holds every batch in
+        // that range (not just changes), so anything we had there that it lacks is gone from the sheet.
+        // Details of saved batches come from the sheet too, so they go along with them.
+        mergeHistory(batches, removed, full) {
+            if (full) {
+                for (const dateKey in this.history) {
+                    if ((full.from && dateKey < full.from) || (full.to && dateKey > full.to)) continue;
+                    for (const batchKey in this.history[dateKey]) this._dropDetails(dateKey, batchKey);
+                    delete this.history[dateKey];
+                }
+            }
+            batches.forEach(b => {
+                const batchKey = Utils.resolveBatchKey(b.batchId, '');
+                if (!batchKey) return;
+                if (!this.history[b.date]) this.history[b.date] = {};
+                this.history[b.date][batchKey] = new Map(Object.entries(b.statuses || {}).map(([id, status]) => [id, status || CONFIG.STATUSES.UNMARKED]));
+                if (!this.details[b.date]) this.details[b.date] = {};
+                this.details[b.date][batchKey] = new Map(Object.entries(b.details || {}));
+                // Proof links for every saved batch, not just this date (the photo gallery lists them)
+                if (b.photoUrl) this.photoUrls.set(this.lockKey(b.date, batchKey), b.photoUrl);
+            });
+            (removed || []).forEach(b => {
+                const batchKey = Utils.resolveBatchKey(b.batchId, '');
+                if (!batchKey) return;
+                if (this.history[b.date]) delete this.history[b.date][batchKey];
+                this._dropDetails(b.date, batchKey);
+                this.photoUrls.delete(this.lockKey(b.date, batchKey));
+            });
+            this.historyLoaded = true;
+            EventBus.emit('history:loaded', { dates: Object.keys(this.history).length });
+        },
+
+        _dropDetails(dateKey, batchKey) {
+            if (!this.details[dateKey]) return;
+            delete this.details[dateKey][batchKey];
+            if (!Object.keys(this.details[dateKey]).length) delete this.details[dateKey];
+        },
+
+        // True once the history reaches back to `from`
+        hasHistoryFrom(from) {
+            return this.historyLoaded && this.historyFrom <= from;
+        },
+
+        // Saved data for any date: cloud history first, then batches locked on this device
+        getSavedBatchData(dateKey, batchKey) {
+            const cloud = this.history[dateKey]?.[batchKey];
+            if (cloud) return cloud;
+            if (this.isDateBatchLocked(dateKey, batchKey)) return this.attendance[dateKey]?.[batchKey] || null;
+            return null;
+        },
+
+        // Sorted dates in [from, to] that have at least one saved batch
+        getSavedDates(from, to) {
+            const dates = new Set();
+            for (const dateKey in this.history) dates.add(dateKey);
+            this.lockedBatches.forEach(k => dates.add(k.split('|')[0]));
+            return Array.from(dates).filter(d => d >= from && d <= to).sort();
+        },
+
         // --- Computed: Visible Students + Piles (cached) ---
         _invalidateCache() { this._cache.valid = false; },
 
         getComputed() {
             if (this._cache.valid) return this._cache;
 
-            const batch1Present = this.getBatch1PresentSet();
+            const earlierPresent = this.getEarlierBatchesPresentSet();
             const q = this.searchQuery.trim().toLowerCase();
 
             const visible = [];
             const present = [];
+            const late = [];
             const absent = [];
             const leave = [];
+            const unmarked = [];
 
             for (let i = 0; i < this.studentOrder.length; i++) {
                 const id = this.studentOrder[i];
                 const s = this.studentMap.get(id);
-                if (!s || !s.active) continue;
+                if (!s || !this.isEnrolled(s, this.currentDate)) continue;
 
-                // Cross-batch filter: skip Batch 1 present students in Batch 2
-                if (batch1Present.size > 0 && batch1Present.has(id)) continue;
+                // Cross-batch filter: skip students already present in an earlier batch
+                if (earlierPresent.size > 0 && earlierPresent.has(id)) continue;
 
                 // Search filter
                 if (q && !s.name.toLowerCase().includes(q) &&
@@ -173,19 +383,30 @@
                 visible.push(s);
                 const status = this.getStatus(id);
                 if (status === CONFIG.STATUSES.PRESENT) present.push(s);
+                else if (status === CONFIG.STATUSES.LATE) late.push(s);
                 else if (status === CONFIG.STATUSES.ABSENT) absent.push(s);
-                else leave.push(s);
+                else if (status === CONFIG.STATUSES.LEAVE) leave.push(s);
+                else unmarked.push(s);
             }
 
-            this._cache = { valid: true, visible, present, absent, leave };
+            this._cache = { valid: true, visible, present, late, absent, leave, unmarked };
             return this._cache;
         },
 
-        // --- Final Status Logic ---
-        getFinalStatus(b1, b2) {
-            if (b1 === 'present' || b2 === 'present') return 'present';
-            if (b1 === 'absent' || b2 === 'absent') return 'absent';
-            return 'leave';
+        // --- Final Status Logic (one status per batch, any number of batches) ---
+        // On time in any batch beats late in another; late still beats absent
+        getFinalStatus(...statuses) {
+            if (statuses.includes('present')) return 'present';
+            if (statuses.includes('late')) return 'late';
+            if (statuses.includes('absent')) return 'absent';
+            if (statuses.includes('leave')) return 'leave';
+            return 'unmarked';
+        },
+
+        // Status of one student in a stored batch (Map or plain object), or null if not recorded
+        readStatus(batchData, studentId) {
+            if (!batchData) return null;
+            return ((batchData instanceof Map) ? batchData.get(studentId) : batchData[studentId]) || null;
         }
     };
 
@@ -211,11 +432,15 @@
         dom.dateDisplay = $('dateDisplay');
         dom.totalCount = $('totalCount');
         dom.presentList = $('presentList');
+        dom.lateList = $('lateList');
         dom.absentList = $('absentList');
         dom.leaveList = $('leaveList');
+        dom.unmarkedList = $('unmarkedList');
         dom.presentPileCount = $('presentPileCount');
+        dom.latePileCount = $('latePileCount');
         dom.absentPileCount = $('absentPileCount');
         dom.leavePileCount = $('leavePileCount');
+        dom.unmarkedPileCount = $('unmarkedPileCount');
         dom.loadingState = $('loadingState');
         dom.emptyState = $('emptyState');
         dom.pilesContainer = $('pilesContainer');
@@ -233,40 +458,131 @@
         dom.toast = $('toast');
         dom.lockedBadge = $('lockedBadge');
         dom.statusPopover = $('statusPopover');
+        dom.popoverName = $('popoverName');
+        dom.popoverLeaveTypes = $('popoverLeaveTypes');
+        dom.popoverNote = $('popoverNote');
         dom.mergeOverlay = $('mergeOverlay');
         dom.mergeBody = $('mergeBody');
         dom.mergeBackBtn = $('mergeBackBtn');
         dom.mergeTitle = $('mergeTitle');
         dom.exportExcelBtn = $('exportExcelBtn');
         dom.exportPdfBtn = $('exportPdfBtn');
+        dom.exportMonthlyBtn = $('exportMonthlyBtn');
+        dom.monthlyModal = $('monthlyModal');
+        dom.monthlyMonth = $('monthlyMonth');
+        dom.monthlyExcelBtn = $('monthlyExcelBtn');
+        dom.monthlyPdfBtn = $('monthlyPdfBtn');
         dom.sidebarMerge = $('sidebarMerge');
         dom.listRefreshBtn = $('listRefreshBtn');
         dom.bottomNav = $('bottomNav');
         dom.saveBar = $('saveBar');
+        // Undo / bulk actions / multi-select
+        dom.bulkBar = $('bulkBar');
+        dom.undoBtn = $('undoBtn');
+        dom.redoBtn = $('redoBtn');
+        dom.allPresentBtn = $('allPresentBtn');
+        dom.unmarkedToAbsentBtn = $('unmarkedToAbsentBtn');
+        dom.selectBar = $('selectBar');
+        dom.selectCount = $('selectCount');
+        dom.selectActions = $('selectActions');
+        dom.selectCancelBtn = $('selectCancelBtn');
+        // Outbox
+        dom.outboxPanel = $('outboxPanel');
+        dom.outboxCount = $('outboxCount');
+        dom.outboxList = $('outboxList');
+        dom.outboxRetryBtn = $('outboxRetryBtn');
+        // PWA update prompt
+        dom.updateBanner = $('updateBanner');
+        dom.updateReloadBtn = $('updateReloadBtn');
         // Settings
         dom.settingsOverlay = $('settingsOverlay');
         dom.settingsBackBtn = $('settingsBackBtn');
         dom.settingSheetId = $('settingSheetId');
         dom.settingSheetGid = $('settingSheetGid');
         dom.settingApiUrl = $('settingApiUrl');
+        dom.settingSaveSheetId = $('settingSaveSheetId');
+        dom.settingRetentionDays = $('settingRetentionDays');
+        dom.storageUsage = $('storageUsage');
         dom.saveSettingsBtn = $('saveSettingsBtn');
+        dom.unlockBatchBtn = $('unlockBatchBtn');
         dom.clearTodayBtn = $('clearTodayBtn');
         dom.clearAllBtn = $('clearAllBtn');
+        dom.exportBackupBtn = $('exportBackupBtn');
+        dom.restoreBackupBtn = $('restoreBackupBtn');
+        dom.restoreFileInput = $('restoreFileInput');
+        dom.restorePanel = $('restorePanel');
+        dom.restoreSummary = $('restoreSummary');
+        dom.restoreMergeBtn = $('restoreMergeBtn');
+        dom.restoreReplaceBtn = $('restoreReplaceBtn');
+        dom.restoreCancelBtn = $('restoreCancelBtn');
         dom.sidebarSettings = $('sidebarSettings');
         dom.sidebarAbout = $('sidebarAbout');
         // About
         dom.aboutOverlay = $('aboutOverlay');
         dom.aboutBackBtn = $('aboutBackBtn');
-        // Password Modal
-        dom.passwordModal = $('passwordModal');
-        dom.adminPasswordInput = $('adminPasswordInput');
-        dom.passwordError = $('passwordError');
-        dom.cancelPasswordBtn = $('cancelPasswordBtn');
-        dom.unlockSettingsBtn = $('unlockSettingsBtn');
+        // Sign-in Modal
+        dom.authModal = $('authModal');
+        dom.authReason = $('authReason');
+        dom.authUsernameInput = $('authUsernameInput');
+        dom.authPasswordInput = $('authPasswordInput');
+        dom.authError = $('authError');
+        dom.cancelSignInBtn = $('cancelSignInBtn');
+        dom.signInBtn = $('signInBtn');
+        dom.sidebarRole = $('sidebarRole');
+        dom.sidebarAuth = $('sidebarAuth');
+        dom.sidebarAuthLabel = $('sidebarAuthLabel');
         // Section
         dom.sectionOverlay = $('sectionOverlay');
         dom.sectionBackBtn = $('sectionBackBtn');
         dom.sectionBody = $('sectionBody');
+        // Correction sheet
+        dom.correctionModal = $('correctionModal');
+        dom.correctionTitle = $('correctionTitle');
+        dom.correctionInfo = $('correctionInfo');
+        dom.correctionForm = $('correctionForm');
+        dom.correctionStatuses = $('correctionStatuses');
+        dom.correctionReason = $('correctionReason');
+        dom.correctionSaveBtn = $('correctionSaveBtn');
+        dom.correctionNote = $('correctionNote');
+        dom.correctionHistory = $('correctionHistory');
+        // Analytics
+        dom.sidebarAnalytics = $('sidebarAnalytics');
+        dom.analyticsOverlay = $('analyticsOverlay');
+        dom.analyticsBackBtn = $('analyticsBackBtn');
+        dom.analyticsBody = $('analyticsBody');
+        dom.analyticsFrom = $('analyticsFrom');
+        dom.analyticsTo = $('analyticsTo');
+        dom.analyticsLowOnly = $('analyticsLowOnly');
+        dom.analyticsLowLabel = $('analyticsLowLabel');
+        // Calendar
+        dom.sessionBanner = $('sessionBanner');
+        dom.sidebarCalendar = $('sidebarCalendar');
+        dom.calendarOverlay = $('calendarOverlay');
+        dom.calendarBackBtn = $('calendarBackBtn');
+        dom.calendarMonth = $('calendarMonth');
+        dom.calendarBody = $('calendarBody');
+        dom.calendarForm = $('calendarForm');
+        dom.calendarDate = $('calendarDate');
+        dom.calendarType = $('calendarType');
+        dom.calendarBatch = $('calendarBatch');
+        dom.calendarTitle = $('calendarTitle');
+        dom.calendarAddBtn = $('calendarAddBtn');
+        // Photo gallery
+        dom.sidebarGallery = $('sidebarGallery');
+        dom.galleryOverlay = $('galleryOverlay');
+        dom.galleryBackBtn = $('galleryBackBtn');
+        dom.galleryMonth = $('galleryMonth');
+        dom.galleryBody = $('galleryBody');
+        dom.galleryPhotoInput = $('galleryPhotoInput');
+        // QR check-in
+        dom.checkInBtn = $('checkInBtn');
+        dom.checkInModal = $('checkInModal');
+        dom.checkInInfo = $('checkInInfo');
+        dom.checkInQr = $('checkInQr');
+        dom.checkInCountdown = $('checkInCountdown');
+        dom.checkInCount = $('checkInCount');
+        dom.checkInList = $('checkInList');
+        dom.checkInDoneBtn = $('checkInDoneBtn');
     }
 
     // =============================================
@@ -289,11 +605,84 @@
             return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
         },
 
+        // Drive share link (".../file/d/<id>/view" or "...?id=<id>") → thumbnail image URL, or '' if not Drive
+        driveThumbnailUrl(url, width = 400) {
+            const m = String(url).match(/\/d\/([\w-]{10,})/) || String(url).match(/[?&]id=([\w-]{10,})/);
+            return m ? `https://drive.google.com/thumbnail?id=${m[1]}&sz=w${width}` : '';
+        },
+
+        formatMonthDisplay(monthKey) {
+            const d = new Date(monthKey + '-01T00:00:00');
+            return d.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        },
+
+        // Index of a sheet column by header label, ignoring case, spaces and underscores (-1 if absent)
+        findColumn(labels, name) {
+            const key = name.toLowerCase().replace(/[\s_]/g, '');
+            return labels.findIndex(l => String(l).toLowerCase().replace(/[\s_]/g, '') === key);
+        },
+
+        // gviz date cell → 'YYYY-MM-DD'. Real date cells arrive as "Date(2026,0,15)" (0-based month);
+        // text cells may be ISO or the Indian dd/mm/yyyy.
+        parseSheetDate(cell) {
+            if (!cell || cell.v === null || cell.v === undefined || cell.v === '') return '';
+            const v = String(cell.v).trim();
+            let m = v.match(/^Date\((\d+),(\d+),(\d+)/);
+            if (m) return `${m[1]}-${String(+m[2] + 1).padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+            m = v.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+            if (m) return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+            m = v.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+            if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+            return '';
+        },
+
+        // Start of a batch on dateKey from its `time` ('5:30 AM' or '17:30'), or null if that can't be read
+        batchStart(dateKey, batchConfig) {
+            const m = String(batchConfig.time).match(/(\d{1,2}):(\d{2})\s*([AP]M)?/i);
+            if (!m) return null;
+            let hour = +m[1];
+            if (m[3]) hour = hour % 12 + (m[3].toUpperCase() === 'PM' ? 12 : 0);
+            const start = new Date(`${dateKey}T00:00:00`);
+            start.setHours(hour, +m[2]);
+            return start;
+        },
+
+        // ISO markedAt → '6:12 AM' ('' when unset)
+        formatMarkedTime(iso) {
+            if (!iso) return '';
+            const d = new Date(iso);
+            return isNaN(d) ? '' : d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        },
+
+        // Map a sheet row to a configured batch id: Batch_ID first, then the exact name, then the time in the name
+        resolveBatchKey(batchId, batchName) {
+            if (batchId && CONFIG.BATCHES.some(b => b.id === batchId)) return batchId;
+            const name = String(batchName || '').trim();
+            const byName = CONFIG.BATCHES.find(b => b.name === name);
+            if (byName) return byName.id;
+            const byTime = CONFIG.BATCHES.find(b => name.includes(b.time.replace(/\s*[AP]M$/i, '')));
+            return byTime ? byTime.id : null;
+        },
+
         capitalizeStatus(s) {
             if (s === '—') return s;
             return s.charAt(0).toUpperCase() + s.slice(1);
         },
 
+        // Label of a leave type id ('' → 'Leave'; unknown ids are shown as stored)
+        leaveTypeLabel(leaveType) {
+            if (!leaveType) return 'Leave';
+            const type = CONFIG.LEAVE_TYPES.find(t => t.id === leaveType);
+            return type ? type.label : leaveType;
+        },
+
+        // "Present", "Leave (Medical)" when a leave has a type, "Late (6:12 AM)" when given the mark time
+        statusLabel(status, leaveType, markedAt) {
+            if (status === CONFIG.STATUSES.LEAVE && leaveType) return `Leave (${this.leaveTypeLabel(leaveType)})`;
+            if (status === CONFIG.STATUSES.LATE && this.formatMarkedTime(markedAt)) return `Late (${this.formatMarkedTime(markedAt)})`;
+            return this.capitalizeStatus(status);
+        },
+
         debounce(fn, delay) {
             let timer;
             return function (...args) {
@@ -314,6 +703,10 @@
                     return '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><path d="M22 11.08V12a10 10 0 11-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg>';
                 case CONFIG.STATUSES.ABSENT:
                     return '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>';
+                case CONFIG.STATUSES.LATE:
+                    return '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>';
+                case CONFIG.STATUSES.LEAVE:
+                    return '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><circle cx="12" cy="12" r="10"/><line x1="8" y1="12" x2="16" y2="12"/></svg>';
                 default:
                     return '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><circle cx="12" cy="12" r="10" opacity="0.3"/><line x1="8" y1="12" x2="16" y2="12" opacity="0.3"/></svg>';
             }
@@ -323,8 +716,307 @@
     // =============================================
     // MODULE 5: STORAGE MANAGER
     // =============================================
+    // Attendance lives in IndexedDB, one row per date+batch, so a tap rewrites only its own batch.
+    // Browsers without IndexedDB fall back to the single localStorage blob used before.
     const StorageManager = {
-        saveState() {
+        DB_NAME: 'yoga_attendance',
+        DB_VERSION: 1,
+        _db: null,
+        usingLegacy: false,
+        _quotaWarned: false,
+
+        // --- IndexedDB plumbing ---
+        _open() {
+            return new Promise((resolve, reject) => {
+                if (!window.indexedDB) { reject(new Error('IndexedDB not supported')); return; }
+                const req = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                req.onupgradeneeded = () => {
+                    // batches: { key: 'date|batch', date, batchKey, statuses: { id: status } | null,
+                    //            details: { id: { leaveType, note, markedAt } }, locked, photoUrl }
+                    req.result.createObjectStore('batches', { keyPath: 'key' });
+                    // records: what each save sent — { key: 'date|batch', date, batchKey, records, savedAt, photoIncluded }
+                    req.result.createObjectStore('records', { keyPath: 'key' });
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+                // An older version of the app open in another tab holds the database
+                req.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+            });
+        },
+
+        // Run fn(...objectStores) in one transaction. Resolves once it commits, with the result of the
+        // request fn returned (if any).
+        _tx(names, mode, fn) {
+            return new Promise((resolve, reject) => {
+                const tx = this._db.transaction(names, mode);
+                const request = fn(...[].concat(names).map(n => tx.objectStore(n)));
+                tx.oncomplete = () => resolve(request ? request.result : undefined);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            });
+        },
+
+        // Fire-and-forget write. A full disk drops synced days before today and tries once more.
+        _write(names, fn) {
+            this._tx(names, 'readwrite', fn).catch(async err => {
+                if (err && err.name === 'QuotaExceededError') {
+                    const removed = await this.prune(Store.currentDate).catch(() => 0);
+                    try {
+                        await this._tx(names, 'readwrite', fn);
+                        UI.showToast(`⚠️ Phone storage was full — ${removed} synced day${removed === 1 ? '' : 's'} removed from this device`, 'error');
+                        return;
+                    } catch (retryErr) {
+                        err = retryErr;
+                    }
+                }
+                console.error('Failed to save state:', err);
+                if (!this._quotaWarned) {
+                    this._quotaWarned = true;
+                    UI.showToast('❌ Could not save on this phone — free up storage, then export or sync', 'error');
+                }
+            });
+        },
+
+        // Every 'date|batch' key of one date
+        _dateRange(dateKey) {
+            return IDBKeyRange.bound(dateKey + '|', dateKey + '|\uffff');
+        },
+
+        // The row for one date+batch as Store has it, or null when there is nothing to keep
+        _row(dateKey, batchKey) {
+            const key = Store.lockKey(dateKey, batchKey);
+            const batchData = Store.attendance[dateKey]?.[batchKey];
+            const details = Store.details[dateKey]?.[batchKey];
+            const row = {
+                key,
+                date: dateKey,
+                batchKey,
+                statuses: batchData ? (batchData instanceof Map ? Object.fromEntries(batchData) : { ...batchData }) : null,
+                details: details ? Object.fromEntries(details) : {},
+                locked: Store.lockedBatches.has(key),
+                photoUrl: Store.photoUrls.get(key) || ''
+            };
+            return row.statuses || Object.keys(row.details).length || row.locked || row.photoUrl ? row : null;
+        },
+
+        // Rows for everything Store holds
+        _allRows() {
+            const keys = new Set(Store.lockedBatches);
+            Store.photoUrls.forEach((url, k) => keys.add(k));
+            for (const dateKey in Store.attendance) {
+                for (const batchKey in Store.attendance[dateKey]) keys.add(Store.lockKey(dateKey, batchKey));
+            }
+            for (const dateKey in Store.details) {
+                for (const batchKey in Store.details[dateKey]) keys.add(Store.lockKey(dateKey, batchKey));
+            }
+            return Array.from(keys).map(k => this._row(...k.split('|'))).filter(Boolean);
+        },
+
+        // --- Load / save ---
+        // Open the database, move any localStorage data into it, load every batch into Store and prune
+        async loadState() {
+            let rows;
+            try {
+                this._db = await this._open();
+                await this._migrateLegacy();
+                rows = await this._tx('batches', 'readonly', s => s.getAll());
+            } catch (err) {
+                this.fallBackToLegacy(err);
+                return;
+            }
+            try {
+                rows.forEach(row => {
+                    if (row.statuses) {
+                        if (!Store.attendance[row.date]) Store.attendance[row.date] = {};
+                        Store.attendance[row.date][row.batchKey] = new Map(Object.entries(this._upgradeStatuses(row)));
+                    }
+                    if (row.details && Object.keys(row.details).length) {
+                        if (!Store.details[row.date]) Store.details[row.date] = {};
+                        Store.details[row.date][row.batchKey] = new Map(Object.entries(row.details));
+                    }
+                    if (row.locked) Store.lockedBatches.add(row.key);
+                    if (row.photoUrl) Store.photoUrls.set(row.key, row.photoUrl);
+                });
+                await this.prune();
+            } catch (err) {
+                console.error('Failed to load state:', err);
+            }
+        },
+
+        // IndexedDB can't be opened or read (private mode, an upgrade blocked by another tab, a full
+        // disk): keep attendance in localStorage as before it, for this session. Boot warns about it
+        fallBackToLegacy(err) {
+            console.error('IndexedDB unavailable — keeping attendance in localStorage:', err);
+            if (this._db) this._db.close();
+            this._db = null;
+            this.usingLegacy = true;
+            this._loadLegacy();
+        },
+
+        // Rows written before leave types had no `details`, and Leave was what untouched students
+        // showed. A batch not saved yet that is all Leave was never marked, so it becomes Unmarked;
+        // once anyone in it was marked, its Leave may be real and is kept.
+        _upgradeStatuses(row) {
+            if (row.details || row.locked) return row.statuses;
+            const marks = Object.values(row.statuses);
+            if (!marks.length || marks.some(s => s !== CONFIG.STATUSES.LEAVE)) return row.statuses;
+            const statuses = {};
+            for (const id in row.statuses) statuses[id] = CONFIG.STATUSES.UNMARKED;
+            return statuses;
+        },
+
+        // Persist one date+batch after its statuses, details, lock or photo link changed
+        saveBatch(dateKey, batchKey) {
+            if (!this._db) { this._saveLegacy(); return; }
+            const row = this._row(dateKey, batchKey);
+            this._write('batches', s => (row ? s.put(row) : s.delete(Store.lockKey(dateKey, batchKey))));
+        },
+
+        // Forget a whole date (Clear Today)
+        deleteDate(dateKey) {
+            if (!this._db) { this._saveLegacy(); return; }
+            this._write(['batches', 'records'], (batches, records) => {
+                batches.delete(this._dateRange(dateKey));
+                records.delete(this._dateRange(dateKey));
+            });
+        },
+
+        // Forget everything (Clear All)
+        clearAll() {
+            if (!this._db) { localStorage.removeItem(CONFIG.STORAGE_KEYS.ATTENDANCE); return; }
+            this._write(['batches', 'records'], (batches, records) => {
+                batches.clear();
+                records.clear();
+            });
+        },
+
+        saveRecords(records) {
+            const snapshot = {
+                key: Store.lockKey(Store.currentDate, Store.currentBatch),
+                date: Store.currentDate,
+                batchKey: Store.currentBatch,
+                records,
+                savedAt: new Date().toISOString(),
+                photoIncluded: !!Store.photoBase64
+            };
+            if (this._db) {
+                this._write('records', s => s.put(snapshot));
+                return;
+            }
+            try {
+                localStorage.setItem(`yoga_records_${snapshot.date}_${snapshot.batchKey}`, JSON.stringify(snapshot));
+            } catch (err) {
+                console.error('Failed to save records:', err);
+            }
+        },
+
+        // Every saved-records snapshot (newest save per date+batch)
+        async getRecords() {
+            if (this._db) return this._tx('records', 'readonly', s => s.getAll());
+            const snapshots = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const m = localStorage.key(i).match(/^yoga_records_(\d{4}-\d{2}-\d{2})_(.+)$/);
+                if (!m) continue;
+                try {
+                    snapshots.push({ ...JSON.parse(localStorage.getItem(m[0])), key: Store.lockKey(m[1], m[2]), date: m[1], batchKey: m[2] });
+                } catch (err) { /* unreadable snapshot — skipped */ }
+            }
+            return snapshots;
+        },
+
+        // Rewrite the whole database from Store, plus the given snapshots (Restore backup).
+        // replaceRecords drops the snapshots already stored first.
+        async saveAll(snapshots, replaceRecords) {
+            if (!this._db) {
+                this._saveLegacy();
+                snapshots.forEach(s => {
+                    try {
+                        localStorage.setItem(`yoga_records_${s.date}_${s.batchKey}`, JSON.stringify(s));
+                    } catch (err) {
+                        console.error('Failed to save records:', err);
+                    }
+                });
+                return;
+            }
+            const rows = this._allRows();
+            await this._tx(['batches', 'records'], 'readwrite', (batches, records) => {
+                batches.clear();
+                if (replaceRecords) records.clear();
+                rows.forEach(row => batches.put(row));
+                snapshots.forEach(s => records.put(s));
+            });
+        },
+
+        // --- Retention ---
+        // Days before this are pruned once synced ('' = keep everything)
+        _retentionCutoff() {
+            if (!CONFIG.STORAGE.RETENTION_DAYS) return '';
+            const d = new Date();
+            d.setDate(d.getDate() - CONFIG.STORAGE.RETENTION_DAYS);
+            return Utils.formatDateISO(d);
+        },
+
+        // Safe to forget: every batch of the date is on the sheet with nothing left in the outbox,
+        // or was opened but never marked
+        _isDateSynced(dateKey) {
+            const batchKeys = new Set(Object.keys(Store.attendance[dateKey] || {}));
+            Store.lockedBatches.forEach(k => { if (k.startsWith(dateKey + '|')) batchKeys.add(k.split('|')[1]); });
+            return Array.from(batchKeys).every(batchKey => {
+                if (Outbox.hasPendingSave(dateKey, batchKey) || Outbox.hasPendingPhoto(dateKey, batchKey)) return false;
+                if (Store.isDateBatchLocked(dateKey, batchKey)) return true;
+                const batchData = Store.attendance[dateKey][batchKey];
+                const statuses = batchData instanceof Map ? Array.from(batchData.values()) : Object.values(batchData);
+                return statuses.every(s => s === CONFIG.STATUSES.UNMARKED) && !Store.details[dateKey]?.[batchKey]?.size;
+            });
+        },
+
+        // Drop synced dates before `cutoff` from Store and the database. Resolves with how many went.
+        async prune(cutoff = this._retentionCutoff()) {
+            if (!cutoff) return 0;
+            const dates = new Set(Object.keys(Store.attendance));
+            Store.lockedBatches.forEach(k => dates.add(k.split('|')[0]));
+            Store.photoUrls.forEach((url, k) => dates.add(k.split('|')[0]));
+            const old = Array.from(dates).filter(d => d < cutoff && d !== Store.currentDate);
+            const kept = new Set(old.filter(d => !this._isDateSynced(d)));
+            const pruned = old.filter(d => !kept.has(d));
+
+            pruned.forEach(d => {
+                delete Store.attendance[d];
+                delete Store.details[d];
+                Store.lockedBatches.forEach(k => { if (k.startsWith(d + '|')) Store.lockedBatches.delete(k); });
+                Store.photoUrls.forEach((url, k) => { if (k.startsWith(d + '|')) Store.photoUrls.delete(k); });
+            });
+            if (!this._db) {
+                if (pruned.length) this._saveLegacy();
+                return pruned.length;
+            }
+
+            // Record snapshots go with their date, including ones whose batch row is already gone
+            const snapshotKeys = await this._tx('records', 'readonly', s => s.getAllKeys(IDBKeyRange.upperBound(cutoff, true)));
+            await this._tx(['batches', 'records'], 'readwrite', (batches, records) => {
+                pruned.forEach(d => batches.delete(this._dateRange(d)));
+                snapshotKeys.filter(k => !kept.has(k.split('|')[0])).forEach(k => records.delete(k));
+            });
+            return pruned.length;
+        },
+
+        // { batches, dates, bytes, quota } — bytes/quota are null where the browser can't tell
+        async usage() {
+            const dates = new Set();
+            let batches = 0;
+            for (const dateKey in Store.attendance) {
+                dates.add(dateKey);
+                batches += Object.keys(Store.attendance[dateKey]).length;
+            }
+            let estimate = {};
+            if (navigator.storage && navigator.storage.estimate) {
+                estimate = await navigator.storage.estimate().catch(() => ({}));
+            }
+            return { batches, dates: dates.size, bytes: estimate.usage ?? null, quota: estimate.quota ?? null };
+        },
+
+        // --- localStorage (before IndexedDB, and the fallback without it) ---
+        _saveLegacy() {
             try {
                 // Convert Maps to plain objects for JSON serialization
                 const attObj = {};
@@ -339,18 +1031,30 @@
                         }
                     }
                 }
+                const detailsObj = {};
+                for (const dateKey in Store.details) {
+                    detailsObj[dateKey] = {};
+                    for (const batchKey in Store.details[dateKey]) {
+                        detailsObj[dateKey][batchKey] = Object.fromEntries(Store.details[dateKey][batchKey]);
+                    }
+                }
                 const data = {
                     attendance: attObj,
+                    details: detailsObj,
                     savedBatches: Array.from(Store.lockedBatches),
                     photoUrls: Object.fromEntries(Store.photoUrls)
                 };
                 localStorage.setItem(CONFIG.STORAGE_KEYS.ATTENDANCE, JSON.stringify(data));
             } catch (err) {
                 console.error('Failed to save state:', err);
+                if (err && err.name === 'QuotaExceededError' && !this._quotaWarned) {
+                    this._quotaWarned = true;
+                    UI.showToast('❌ Phone storage is full — lower "Keep synced days" in Settings', 'error');
+                }
             }
         },
 
-        loadState() {
+        _loadLegacy() {
             try {
                 const raw = localStorage.getItem(CONFIG.STORAGE_KEYS.ATTENDANCE);
                 if (raw) {
@@ -373,25 +1077,59 @@
                     }
                     // Restore photo URLs
                     Store.photoUrls = new Map(Object.entries(data.photoUrls || {}));
+                    // Restore leave types and notes; unsaved all-Leave batches from before them become Unmarked
+                    Store.details = {};
+                    for (const dateKey in data.details || {}) {
+                        Store.details[dateKey] = {};
+                        for (const batchKey in data.details[dateKey]) {
+                            Store.details[dateKey][batchKey] = new Map(Object.entries(data.details[dateKey][batchKey]));
+                        }
+                    }
+                    for (const dateKey in Store.attendance) {
+                        for (const batchKey in Store.attendance[dateKey]) {
+                            Store.attendance[dateKey][batchKey] = this._upgradeStatuses({
+                                statuses: Store.attendance[dateKey][batchKey],
+                                details: data.details,
+                                locked: Store.lockedBatches.has(Store.lockKey(dateKey, batchKey))
+                            });
+                        }
+                    }
                 }
             } catch (err) {
                 console.error('Failed to load state:', err);
             }
         },
 
-        saveRecords(records) {
-            try {
-                const key = `yoga_records_${Store.currentDate}_${Store.currentBatch}`;
-                localStorage.setItem(key, JSON.stringify({
-                    records,
-                    savedAt: new Date().toISOString(),
-                    photoIncluded: !!Store.photoBase64
-                }));
-            } catch (err) {
-                console.error('Failed to save records:', err);
+        // One-time move of the localStorage blob and yoga_records_* keys into IndexedDB. The old keys
+        // are removed only after the copy commits.
+        async _migrateLegacy() {
+            const recordKeys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (/^yoga_records_\d{4}-\d{2}-\d{2}_/.test(key)) recordKeys.push(key);
             }
+            if (!localStorage.getItem(CONFIG.STORAGE_KEYS.ATTENDANCE) && recordKeys.length === 0) return;
+
+            this._loadLegacy();
+            const rows = this._allRows();
+            const snapshots = [];
+            recordKeys.forEach(key => {
+                const [, date, batchKey] = key.match(/^yoga_records_(\d{4}-\d{2}-\d{2})_(.+)$/);
+                try {
+                    const saved = JSON.parse(localStorage.getItem(key));
+                    snapshots.push({ ...saved, key: Store.lockKey(date, batchKey), date, batchKey });
+                } catch (err) { /* unreadable snapshot — dropped */ }
+            });
+
+            await this._tx(['batches', 'records'], 'readwrite', (batches, records) => {
+                rows.forEach(row => batches.put(row));
+                snapshots.forEach(s => records.put(s));
+            });
+            localStorage.removeItem(CONFIG.STORAGE_KEYS.ATTENDANCE);
+            recordKeys.forEach(key => localStorage.removeItem(key));
         },
 
+        // --- Settings (small, stay in localStorage) ---
         loadSettings() {
             try {
                 const raw = localStorage.getItem('yoga_settings');
@@ -401,6 +1139,8 @@
                     if (s.sheetId) CONFIG.SHEET_ID = s.sheetId;
                     if (s.sheetGid) CONFIG.SHEET_GID = s.sheetGid;
                     if (s.apiUrl) CONFIG.API_URL = s.apiUrl;
+                    if (s.saveSheetId) CONFIG.SAVE_SHEET_ID = s.saveSheetId;
+                    if (Number.isInteger(s.retentionDays)) CONFIG.STORAGE.RETENTION_DAYS = s.retentionDays;
                 }
             } catch (e) { /* ignore */ }
         },
@@ -409,7 +1149,9 @@
             localStorage.setItem('yoga_settings', JSON.stringify({
                 sheetId: CONFIG.SHEET_ID,
                 sheetGid: CONFIG.SHEET_GID,
-                apiUrl: CONFIG.API_URL
+                apiUrl: CONFIG.API_URL,
+                saveSheetId: CONFIG.SAVE_SHEET_ID,
+                retentionDays: CONFIG.STORAGE.RETENTION_DAYS
             }));
         }
     };
@@ -437,9 +1179,7 @@
                 delete window[callbackName];
                 document.body.removeChild(script);
                 if (data && data.success && data.students) {
-                    const students = data.students.map(s => ({
-                        id: s.id || '', appNumber: s.appNumber || '', name: s.name || '', active: true
-                    }));
+                    const students = data.students.map(s => this._toStudent(s));
                     this._onStudentsLoaded(students);
                 } else {
                     this._fetchViaJSONP();
@@ -467,13 +1207,18 @@
                 try {
                     if (response && response.table && response.table.rows) {
                         const rows = response.table.rows;
+                        const labels = (response.table.cols || []).map(c => c.label || '');
+                        const joinCol = Utils.findColumn(labels, CONFIG.COLUMNS.JOIN_DATE);
+                        const leaveCol = Utils.findColumn(labels, CONFIG.COLUMNS.LEAVE_DATE);
                         const students = [];
                         for (let i = 0; i < rows.length; i++) {
                             const cells = rows[i].c;
                             const name = cells[0] && cells[0].v ? String(cells[0].v).trim() : '';
                             const appNumber = cells[1] && cells[1].v ? String(cells[1].v).trim() : '';
                             const id = cells[2] && cells[2].v ? String(cells[2].v).trim() : '';
-                            if (name && id) students.push({ name, appNumber, id, active: true });
+                            const joinDate = joinCol === -1 ? '' : Utils.parseSheetDate(cells[joinCol]);
+                            const leaveDate = leaveCol === -1 ? '' : Utils.parseSheetDate(cells[leaveCol]);
+                            if (name && id) students.push(this._toStudent({ name, appNumber, id, joinDate, leaveDate }));
                         }
                         students.sort((a, b) => a.name.localeCompare(b.name));
                         this._onStudentsLoaded(students);
@@ -501,6 +1246,16 @@
             document.body.appendChild(script);
         },
 
+        // `active` = on the roster today; screens for other dates use Store.isEnrolled
+        _toStudent(s) {
+            const student = {
+                id: s.id || '', appNumber: s.appNumber || '', name: s.name || '',
+                joinDate: s.joinDate || '', leaveDate: s.leaveDate || ''
+            };
+            student.active = Store.isEnrolled(student, Utils.formatDateISO(new Date()));
+            return student;
+        },
+
         _onStudentsLoaded(students) {
             Store.isLoading = false;
             UI.hideLoading();
@@ -510,1086 +1265,3668 @@
             UI.showToast(`${students.length} students loaded`, 'success');
         },
 
-        // --- Cloud Attendance Sync (Google Visualization API JSONP — reliable from file://) ---
-        fetchAttendance(date) {
-            if (!CONFIG.SHEET_ID) return Promise.resolve(false);
-
-            return new Promise((resolve) => {
-                const callbackName = '_attCallback_' + Date.now();
-                const script = document.createElement('script');
-
-                const cleanup = () => {
-                    delete window[callbackName];
-                    if (script.parentNode) script.parentNode.removeChild(script);
-                };
-
-                window[callbackName] = (response) => {
-                    cleanup();
-                    try {
-                        if (response && response.table && response.table.rows) {
-                            const rows = response.table.rows;
-                            if (rows.length === 0) { resolve(false); return; }
-
-                            const dateKey = date;
-                            if (!Store.attendance[dateKey]) Store.attendance[dateKey] = {};
-
-                            // Group records by batch
-                            const batches = {};
-                            for (let i = 0; i < rows.length; i++) {
-                                const cells = rows[i].c;
-                                // Handle GViz date values (can be Date obj or string)
-                                let rowDate;
-                                if (cells[0] && cells[0].v != null) {
-                                    if (cells[0].f) {
-                                        // Use formatted value (e.g., "2026-02-19")
-                                        rowDate = String(cells[0].f).trim();
-                                    } else {
-                                        rowDate = String(cells[0].v).trim();
-                                    }
-                                } else {
-                                    rowDate = '';
-                                }
-                                // Normalize date: extract yyyy-mm-dd from various formats
-                                const dateMatch = rowDate.match(/(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
-                                if (dateMatch) {
-                                    rowDate = `${dateMatch[1]}-${dateMatch[2].padStart(2, '0')}-${dateMatch[3].padStart(2, '0')}`;
-                                }
-
-                                const batchName = cells[1] && cells[1].v ? String(cells[1].v).trim() : '';
-                                const studentId = cells[2] && cells[2].v ? String(cells[2].v).trim() : '';
-                                const status = cells[5] && cells[5].v ? String(cells[5].v).trim().toLowerCase() : 'leave';
-
-                                if (!studentId || rowDate !== date) continue;
-
-                                // Map batch name to batch key
-                                let batchKey;
-                                if (batchName.includes('01') || batchName.includes('5:30')) {
-                                    batchKey = 'batch_01';
-                                } else {
-                                    batchKey = 'batch_02';
-                                }
-
-                                if (!batches[batchKey]) batches[batchKey] = { records: [], photoUrl: '' };
-                                batches[batchKey].records.push({ studentId, status });
+        // --- Cloud Attendance Sync (getAttendanceRange on the Apps Script API — needs sign-in) ---
+        // The first call loads CONFIG.SYNC.HISTORY_DAYS of history (further back if `from` asks for it);
+        // later calls only fetch batches saved, corrected or unlocked since the previous one. A date older
+        // than the history is fetched on its own. Resolves true when `date` has saved batches.
+        async fetchAttendance(date, from) {
+            if (!CONFIG.API_URL || !Auth.isSignedIn()) return false;
+
+            const windowStart = new Date();
+            windowStart.setDate(windowStart.getDate() - CONFIG.SYNC.HISTORY_DAYS);
+            const start = Store.historyLoaded ? Store.historyFrom : Utils.formatDateISO(windowStart);
+            const rangeFrom = from && from < start ? from : start;
+
+            const synced = Store.historyLoaded && rangeFrom === Store.historyFrom
+                ? await this._syncRange({ from: rangeFrom, since: Store.syncedAt })
+                : await this._syncRange({ from: rangeFrom });
+            if (!synced) return false;
+            if (date < Store.historyFrom && !(await this._syncRange({ date }))) return false;
+
+            const batches = Store.history[date];
+            if (!batches || Object.keys(batches).length === 0) return false;
+            if (!Store.attendance[date]) Store.attendance[date] = {};
+
+            // The sheet's copy replaces this device's marks, and the batch is locked
+            for (const batchKey in batches) {
+                const batchMap = new Map();
+                Store.studentMap.forEach((s, id) => {
+                    if (Store.isEnrolled(s, date)) batchMap.set(id, CONFIG.STATUSES.UNMARKED);
+                });
+                batches[batchKey].forEach((status, id) => batchMap.set(id, status));
+                Store.attendance[date][batchKey] = batchMap;
+                Store.lockedBatches.add(Store.lockKey(date, batchKey));
+                StorageManager.saveBatch(date, batchKey);
+            }
 
-                                // Extract Photo_URL from column 7 (if available)
-                                const cellPhotoUrl = cells[7] && cells[7].v ? String(cells[7].v).trim() : '';
-                                if (cellPhotoUrl && !batches[batchKey].photoUrl) {
-                                    batches[batchKey].photoUrl = cellPhotoUrl;
-                                }
-                            }
+            Store._invalidateCache();
+            Renderer.renderAll();
+            return true;
+        },
 
-                            // Merge into Store
-                            for (const batchKey in batches) {
-                                const batchMap = new Map();
+        // One getAttendanceRange request merged into Store.history. Without `since` the reply is the
+        // whole range; with it, only what changed, plus batches an admin unlocked meanwhile.
+        async _syncRange(params) {
+            let resp;
+            try {
+                resp = await this.jsonp({ action: 'getAttendanceRange', sheetId: CONFIG.SAVE_SHEET_ID, ...params });
+            } catch (err) {
+                console.error('Fetch attendance error:', err.message);
+                return false;
+            }
+            if (resp.authError) { Auth.onAuthError(resp.error); return false; }
+            if (resp.forbidden) {
+                UI.showToast('⚠️ ' + resp.error, 'error');
+                return false;
+            }
+            if (!resp.success) {
+                console.error('Fetch attendance error:', resp.error);
+                return false;
+            }
 
-                                // Set all students to leave first
-                                Store.studentMap.forEach((s, id) => {
-                                    batchMap.set(id, CONFIG.STATUSES.LEAVE);
-                                });
+            const full = params.since ? null : (params.date ? { from: params.date, to: params.date } : { from: params.from });
+            Store.mergeHistory(resp.batches || [], resp.removed, full);
+            if (!params.date) {
+                Store.historyFrom = params.from;
+                Store.syncedAt = resp.serverTime;
+            }
 
-                                // Override with cloud data
-                                for (const rec of batches[batchKey].records) {
-                                    batchMap.set(rec.studentId, rec.status || CONFIG.STATUSES.LEAVE);
-                                }
+            // Unlocked on the sheet: this device may mark and save the batch again
+            (resp.removed || []).forEach(b => {
+                if (!Outbox.hasPendingSave(b.date, b.batchId)) Store.lockedBatches.delete(Store.lockKey(b.date, b.batchId));
+                StorageManager.saveBatch(b.date, b.batchId);
+            });
+            if (resp.removed && resp.removed.length) {
+                Store._invalidateCache();
+                Renderer.renderAll();
+            }
+            return true;
+        },
 
-                                Store.attendance[dateKey][batchKey] = batchMap;
+        // --- Generic JSONP call to the Apps Script Web App (CORS-proof, works from file://) ---
+        jsonp(params, timeoutMs = 30000) {
+            return new Promise((resolve, reject) => {
+                const cbName = '_jsonpCb_' + Date.now() + '_' + Math.floor(Math.random() * 1e6);
+                const script = document.createElement('script');
 
-                                // Store photo URL from cloud (if available)
-                                if (batches[batchKey].photoUrl) {
-                                    const photoKey = `${dateKey}|${batchKey}`;
-                                    Store.photoUrls.set(photoKey, batches[batchKey].photoUrl);
-                                }
+                const cleanup = () => {
+                    delete window[cbName];
+                    if (script.parentNode) script.parentNode.removeChild(script);
+                };
 
-                                // Mark batch as locked (cloud has data)
-                                const lockKey = Store.lockKey(dateKey, batchKey);
-                                Store.lockedBatches.add(lockKey);
-                            }
+                const fail = (message) => {
+                    const err = new Error(message);
+                    err.network = true; // lets callers tell "offline" apart from a server-side error
+                    reject(err);
+                };
 
-                            Store._invalidateCache();
-                            StorageManager.saveState();
-                            Renderer.renderAll();
-                            resolve(true);
-                        } else {
-                            resolve(false);
-                        }
-                    } catch (err) {
-                        console.error('Fetch attendance parse error:', err);
-                        resolve(false);
-                    }
+                window[cbName] = (data) => {
+                    cleanup();
+                    resolve(data || {});
                 };
 
                 script.onerror = () => {
                     cleanup();
-                    console.error('Fetch attendance error');
-                    resolve(false);
+                    fail('Request failed');
                 };
 
-                // Timeout after 15 seconds
                 setTimeout(() => {
-                    if (window[callbackName]) {
+                    if (window[cbName]) {
                         cleanup();
-                        resolve(false);
+                        fail('Request timeout');
                     }
-                }, 15000);
+                }, timeoutMs);
 
-                // Use Google Visualization API JSONP — reads Attendance sheet directly
-                // No SQL filter — filter dates client-side (handles Date vs String type)
-                const ATTENDANCE_SHEET_ID = '1Vq1cQgW4Cm7-cC3aKglFhRGwBJu6-ZMnKecrL1nVAxs';
-                script.src = `https://docs.google.com/spreadsheets/d/${ATTENDANCE_SHEET_ID}/gviz/tq?tqx=responseHandler:${callbackName}&sheet=Attendance`;
+                if (Auth.isSignedIn()) params = { ...params, token: Auth.session.token };
+                const query = Object.keys(params)
+                    .map(k => `${k}=${encodeURIComponent(params[k])}`)
+                    .join('&');
+                script.src = `${CONFIG.API_URL}?${query}&callback=${cbName}`;
                 document.body.appendChild(script);
             });
-        }
-    };
-
-    // =============================================
-    // MODULE 7: RENDERER — Targeted DOM Updates
-    // =============================================
-    const Renderer = {
-        _rafId: null,
-
-        // Schedule render on next animation frame (batched)
-        scheduleRender() {
-            if (this._rafId) return;
-            this._rafId = requestAnimationFrame(() => {
-                this._rafId = null;
-                this.renderAll();
-            });
         },
 
-        renderAll() {
-            const { visible, present, absent, leave } = Store.getComputed();
-            const locked = Store.isLocked();
+        // --- JSON POST whose reply can be read (Apps Script answers a text/plain POST, which needs no
+        // preflight, with CORS headers). For what must stay out of URLs and server logs: passwords.
+        async post(payload, timeoutMs = 30000) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const response = await fetch(CONFIG.API_URL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+                    body: JSON.stringify(payload),
+                    signal: controller.signal
+                });
+                return (await response.json()) || {};
+            } catch (err) {
+                const error = new Error(err.name === 'AbortError' ? 'Request timeout' : 'Request failed');
+                error.network = true;
+                throw error;
+            } finally {
+                clearTimeout(timer);
+            }
+        },
 
-            // Update summary card
-            const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
-            dom.batchLabel.textContent = batchConfig.name + ' - ' + batchConfig.time;
-            dom.presentCount.textContent = present.length;
-            dom.absentCount.textContent = absent.length;
-            dom.leaveCount.textContent = `Leave: ${leave.length}`;
-            dom.totalCount.textContent = `${visible.length} TOTAL`;
-            dom.dateDisplay.textContent = Utils.formatDateDisplay(Store.currentDate);
+        // Max URL-encoded length of one chunk's records — keeps every request well under
+        // the ~8 KB URL limit of Apps Script and mobile browsers
+        SAVE_CHUNK_CHARS: 1500,
+
+        // One-letter status codes of the compact formats (saves and drafts)
+        STATUS_CODES: { present: 'p', late: 't', absent: 'a', leave: 'l', unmarked: 'u' },
+
+        // Compact record: id:status:name:appNum:leaveType:note:markedAt (ms since epoch, or empty)
+        _compactRecord(r) {
+            const id = encodeURIComponent(r.studentId);
+            const s = this.STATUS_CODES[r.status] || 'u';
+            const name = encodeURIComponent(r.studentName);
+            const app = encodeURIComponent(r.appNumber || '');
+            const leaveType = encodeURIComponent(r.leaveType || '');
+            const note = encodeURIComponent(r.note || '');
+            const markedAt = r.markedAt ? Date.parse(r.markedAt) || '' : '';
+            return `${id}:${s}:${name}:${app}:${leaveType}:${note}:${markedAt}`;
+        },
 
-            // Locked badge
-            if (locked) {
-                dom.lockedBadge.classList.add('visible');
-                dom.saveBtn.textContent = '🔒 Attendance Saved';
-                dom.saveBtn.classList.add('save-btn--locked');
-                dom.saveBtn.disabled = true;
-            } else {
-                dom.lockedBadge.classList.remove('visible');
-                dom.saveBtn.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><path d="M19 21H5a2 2 0 01-2-2V5a2 2 0 012-2h11l5 5v11a2 2 0 01-2 2z"/><polyline points="17 21 17 13 7 13 7 21"/><polyline points="7 3 7 8 15 8"/></svg> Save Attendance`;
-                dom.saveBtn.classList.remove('save-btn--locked');
-                dom.saveBtn.disabled = false;
+        // Split records into compact "a|b|c" strings. Deterministic for the same records, so a
+        // resumed save re-sends exactly the chunks the server is missing.
+        chunkRecords(records) {
+            const chunks = [];
+            let current = [];
+            let length = 0;
+            records.forEach(r => {
+                const compact = this._compactRecord(r);
+                const size = encodeURIComponent(compact).length + 3; // + encoded '|'
+                if (current.length > 0 && length + size > this.SAVE_CHUNK_CHARS) {
+                    chunks.push(current.join('|'));
+                    current = [];
+                    length = 0;
+                }
+                current.push(compact);
+                length += size;
+            });
+            if (current.length > 0) chunks.push(current.join('|'));
+            return chunks;
+        },
+
+        // Save a batch as saveChunk × N then commitSave. JSONP keeps every reply readable from
+        // file:// and GitHub Pages (a form POST's reply can't be read cross-origin), and chunking
+        // keeps each URL short. The server stages chunks and only writes the batch on commit.
+        // The outbox entry id doubles as the save id, so the server can tell a retry of this
+        // save apart from another device saving the same batch.
+        async saveBatch(entry, onChunkConfirmed) {
+            const chunks = this.chunkRecords(entry.records);
+            const confirmed = entry.chunksConfirmed || [];
+            const base = {
+                saveId: entry.id,
+                date: entry.date,
+                batchId: entry.batchKey,
+                batch: entry.batch,
+                time: entry.time
+            };
+
+            for (let i = 0; i < chunks.length; i++) {
+                if (confirmed.includes(i)) continue;
+                const resp = await this.jsonp({ action: 'saveChunk', ...base, chunkIndex: i, chunkCount: chunks.length, records: chunks[i] });
+                if (!resp.success) return resp;
+                if (onChunkConfirmed) onChunkConfirmed(i, chunks.length);
             }
 
-            // Render piles
-            this._renderPile(dom.presentList, present, CONFIG.STATUSES.PRESENT, locked);
-            this._renderPile(dom.absentList, absent, CONFIG.STATUSES.ABSENT, locked);
-            this._renderPile(dom.leaveList, leave, CONFIG.STATUSES.LEAVE, locked);
+            return this.jsonp({ action: 'commitSave', ...base });
+        },
 
-            // Pile counts
-            dom.presentPileCount.textContent = present.length;
-            dom.absentPileCount.textContent = absent.length;
-            dom.leavePileCount.textContent = leave.length;
+        // Fire-and-forget form POST into a hidden iframe (bypasses CORS; the reply can't be read)
+        _postForm(payload) {
+            const iframeName = '_photoUploadFrame_' + Date.now() + '_' + Math.floor(Math.random() * 1e6);
+            const iframe = document.createElement('iframe');
+            iframe.name = iframeName;
+            iframe.style.display = 'none';
+            document.body.appendChild(iframe);
+
+            const form = document.createElement('form');
+            form.method = 'POST';
+            form.action = CONFIG.API_URL;
+            form.target = iframeName;
+            form.style.display = 'none';
+
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = 'payload';
+            input.value = JSON.stringify(payload);
+            form.appendChild(input);
+            document.body.appendChild(form);
+            form.submit();
+
+            // Removing the iframe straight away would cancel the request
+            setTimeout(() => {
+                if (form.parentNode) form.parentNode.removeChild(form);
+                if (iframe.parentNode) iframe.parentNode.removeChild(iframe);
+            }, 120000);
+        },
 
-            // Show/hide piles
-            $('presentPile').style.display = present.length ? '' : 'none';
-            $('absentPile').style.display = absent.length ? '' : 'none';
-            $('leavePile').style.display = leave.length ? '' : 'none';
+        // Send a photo in parts: POST the parts, ask (JSONP) which ones arrived, re-send the rest with
+        // growing waits, then commit. Resolves with the commitPhoto reply — success only once the Drive
+        // link is on the batch's rows. onProgress(received, total) fires after each check.
+        async uploadPhoto(entry, onProgress) {
+            // The POST replies can't be read, so a missing token would only surface as missing parts
+            if (Auth.required && !Auth.isSignedIn()) {
+                const err = new Error('Sign in required');
+                err.auth = true;
+                return Promise.reject(err);
+            }
 
-            // Show/hide piles container vs empty state
-            if (Store.studentMap.size === 0 && !Store.isLoading) {
-                dom.pilesContainer.style.display = 'none';
-                dom.emptyState.style.display = '';
-            } else {
-                dom.pilesContainer.style.display = '';
-                dom.emptyState.style.display = 'none';
+            const parts = [];
+            for (let i = 0; i < entry.photo.length; i += CONFIG.PHOTO.CHUNK_CHARS) {
+                parts.push(entry.photo.substring(i, i + CONFIG.PHOTO.CHUNK_CHARS));
+            }
+            const base = { uploadId: entry.id, date: entry.date, batchId: entry.batchKey, batch: entry.batch, chunkCount: parts.length };
+
+            for (let check = 0; ; check++) {
+                const status = await this.jsonp({ action: 'photoUploadStatus', ...base }, 15000);
+                if (!status.success) return status;
+                if (status.photoUrl) break; // already on Drive — the commit only has to write the link
+                const received = status.received || [];
+                if (onProgress) onProgress(received.length, parts.length);
+
+                const missing = parts.map((_, i) => i).filter(i => !received.includes(i));
+                if (missing.length === 0) break;
+                if (check >= CONFIG.PHOTO.CONFIRM_CHECKS) {
+                    return { success: false, incomplete: true, error: `Only ${received.length} of ${parts.length} photo parts reached the server` };
+                }
+                const token = Auth.isSignedIn() ? Auth.session.token : '';
+                missing.forEach(i => this._postForm({ action: 'uploadPhotoChunk', token, ...base, chunkIndex: i, data: parts[i] }));
+                await new Promise(resolve => setTimeout(resolve, CONFIG.PHOTO.CONFIRM_DELAY_MS * Math.pow(2, check)));
+            }
+
+            // Putting the file on Drive can take a while
+            const meta = entry.meta ? JSON.stringify(entry.meta) : '';
+            return this.jsonp({ action: 'commitPhoto', ...base, meta }, 60000);
+        }
+    };
+
+    // =============================================
+    // MODULE 7: AUTH — Signed-in User & Roles
+    // =============================================
+    // The server is the authority: it signs the token at login and re-checks role and
+    // batch assignment on every request. The client copy only decides what to show.
+    const Auth = {
+        ROLES: { INSTRUCTOR: 'instructor', ADMIN: 'admin' },
+        session: null, // { token, username, role, batches, expiresAt }
+        _onSignedIn: null,
+
+        load() {
+            try {
+                const raw = localStorage.getItem(CONFIG.STORAGE_KEYS.SESSION);
+                const session = raw ? JSON.parse(raw) : null;
+                this.session = session && session.expiresAt > Date.now() ? session : null;
+            } catch (err) {
+                this.session = null;
             }
         },
 
-        _renderPile(container, students, pileStatus, locked) {
-            const fragment = document.createDocumentFragment();
-            const lockedClass = locked ? ' student-card--locked' : '';
+        persist() {
+            if (this.session) localStorage.setItem(CONFIG.STORAGE_KEYS.SESSION, JSON.stringify(this.session));
+            else localStorage.removeItem(CONFIG.STORAGE_KEYS.SESSION);
+        },
 
-            for (let i = 0; i < students.length; i++) {
-                const s = students[i];
-                const div = document.createElement('div');
-                div.className = `student-card student-card--${pileStatus}${lockedClass} fade-in`;
-                div.dataset.studentId = s.id;
-                div.dataset.status = pileStatus;
-                div.innerHTML = `
-                    <div class="student-card__avatar student-card__avatar--${pileStatus}">${Utils.getInitials(s.name)}</div>
-                    <div class="student-card__info">
-                        <div class="student-card__name">${Utils.escapeHtml(s.name)}</div>
-                        <div class="student-card__id">${Utils.escapeHtml(s.appNumber || s.id)}</div>
-                    </div>
-                    <div class="student-card__status student-card__status--${pileStatus}">
-                        ${Utils.getStatusIcon(pileStatus)}
-                    </div>
-                `;
-                fragment.appendChild(div);
+        // Without an API URL there is no server to check against (first-time setup, local-only use)
+        get required() {
+            return !!CONFIG.API_URL;
+        },
+
+        isSignedIn() {
+            return !!this.session && this.session.expiresAt > Date.now();
+        },
+
+        isAdmin() {
+            return this.isSignedIn() && this.session.role === this.ROLES.ADMIN;
+        },
+
+        canSaveBatch(batchId) {
+            if (!this.required) return true;
+            if (!this.isSignedIn()) return false;
+            const batches = this.session.batches || [];
+            return this.isAdmin() || batches.includes('*') || batches.includes(batchId);
+        },
+
+        // Run onAllowed now if the user already has the role, otherwise after they sign in
+        require(role, reason, onAllowed) {
+            if (!this.required) { onAllowed(); return; }
+            const allowed = role === this.ROLES.ADMIN ? this.isAdmin() : this.isSignedIn();
+            if (allowed) { onAllowed(); return; }
+            if (role === this.ROLES.ADMIN && this.isSignedIn()) {
+                reason = `${reason} — you are signed in as ${this.session.username} (instructor)`;
             }
+            this.prompt(reason, onAllowed);
+        },
 
-            container.innerHTML = '';
-            container.appendChild(fragment);
+        prompt(reason, onSignedIn) {
+            this._onSignedIn = onSignedIn || null;
+            dom.authReason.textContent = reason || 'Sign in to continue';
+            dom.authUsernameInput.value = this.session ? this.session.username : '';
+            dom.authPasswordInput.value = '';
+            dom.authError.textContent = '';
+            dom.authModal.style.display = 'flex';
+            setTimeout(() => (dom.authUsernameInput.value ? dom.authPasswordInput : dom.authUsernameInput).focus(), 300);
+        },
+
+        closePrompt() {
+            this._onSignedIn = null;
+            dom.authModal.style.display = 'none';
+        },
+
+        async signIn() {
+            const username = dom.authUsernameInput.value.trim();
+            const password = dom.authPasswordInput.value;
+            if (!username || !password) {
+                dom.authError.textContent = 'Enter your username and password';
+                return;
+            }
+
+            dom.signInBtn.disabled = true;
+            dom.authError.textContent = '';
+            try {
+                // The device id is what the server throttles failed attempts by
+                const resp = await API.post({ action: 'login', username, password, client: DraftSync.deviceId }, 15000);
+                if (!resp.success) {
+                    dom.authError.textContent = '❌ ' + (resp.error || 'Sign-in failed');
+                    dom.authPasswordInput.style.animation = 'shake 0.4s ease';
+                    setTimeout(() => { dom.authPasswordInput.style.animation = ''; }, 500);
+                    return;
+                }
+                this.session = {
+                    token: resp.token,
+                    username: resp.user.username,
+                    role: resp.user.role,
+                    batches: resp.user.batches || [],
+                    expiresAt: resp.expiresAt
+                };
+                this.persist();
+                this.render();
+
+                const next = this._onSignedIn;
+                this.closePrompt();
+                UI.showToast(`Signed in as ${this.session.username}`, 'success');
+                Outbox.flush();
+                API.fetchAttendance(Store.currentDate);
+                if (next) next();
+            } catch (err) {
+                dom.authError.textContent = err.network ? '📡 Can\'t reach the server — check your connection' : err.message;
+            } finally {
+                dom.signInBtn.disabled = false;
+            }
+        },
+
+        signOut() {
+            this.session = null;
+            this.persist();
+            this.render();
+            UI.showToast('Signed out', 'info');
+        },
+
+        // Server rejected our token (expired, revoked or signed with an old secret)
+        onAuthError(message) {
+            this.session = null;
+            this.persist();
+            this.render();
+            if (dom.authModal.style.display !== 'flex') {
+                this.prompt(message || 'Your session has ended — sign in again to keep syncing');
+            }
+        },
+
+        render() {
+            if (!dom.sidebarRole) return;
+            if (this.isSignedIn()) {
+                dom.sidebarRole.textContent = `${this.session.username} · ${this.session.role === this.ROLES.ADMIN ? 'Admin' : 'Instructor'}`;
+                dom.sidebarAuthLabel.textContent = 'Sign Out';
+            } else {
+                dom.sidebarRole.textContent = this.required ? 'Not signed in' : 'Local mode';
+                dom.sidebarAuthLabel.textContent = 'Sign In';
+            }
         }
     };
 
     // =============================================
-    // MODULE 8: UI HELPERS
+    // MODULE 8: OUTBOX — Persistent Offline Save Queue
     // =============================================
-    const UI = {
-        _toastTimer: null,
-        _toastHideTimer: null,
+    const Outbox = {
+        // entries: [{ id, type: 'save'|'photo', status, attempts, lastError, createdAt, date, batchKey, batch, ... }]
+        // save entries also track chunksConfirmed / chunkCount so a half-sent save resumes where it stopped;
+        // photo entries track partsReceived / partCount and, after a failure, nextAttemptAt (backoff)
+        // status: pending → sending → synced (removed) | failed (retried) | conflict (kept until discarded)
+        entries: [],
+        _flushing: false,
+        _retryTimer: null,
+        RETRY_DELAY: 60000,
+
+        load() {
+            try {
+                const raw = localStorage.getItem(CONFIG.STORAGE_KEYS.OUTBOX);
+                this.entries = raw ? JSON.parse(raw) : [];
+                // A reload mid-flush leaves entries stuck in 'sending' — they never finished
+                this.entries.forEach(e => { if (e.status === 'sending') e.status = 'pending'; });
+            } catch (err) {
+                console.error('Failed to load outbox:', err);
+                this.entries = [];
+            }
+        },
 
-        showLoading() {
-            dom.loadingState.style.display = '';
-            dom.pilesContainer.style.display = 'none';
-            dom.emptyState.style.display = 'none';
+        persist() {
+            try {
+                localStorage.setItem(CONFIG.STORAGE_KEYS.OUTBOX, JSON.stringify(this.entries));
+            } catch (err) {
+                console.error('Failed to persist outbox:', err);
+                UI.showToast('⚠️ Device storage full — pending uploads may be lost', 'error');
+            }
         },
 
-        hideLoading() {
-            dom.loadingState.style.display = 'none';
+        add(type, payload) {
+            const entry = {
+                id: `${type}_${Date.now()}_${Math.floor(Math.random() * 1e6)}`,
+                type,
+                status: 'pending',
+                attempts: 0,
+                lastError: '',
+                createdAt: new Date().toISOString(),
+                ...payload
+            };
+            this.entries.push(entry);
+            this.persist();
+            this.render();
+            return entry;
         },
 
-        showToast(msg, type = 'info') {
-            clearTimeout(this._toastTimer);
-            clearTimeout(this._toastHideTimer);
-            dom.toast.className = 'toast';
-            dom.toast.textContent = msg;
-            void dom.toast.offsetWidth;
-            dom.toast.className = `toast toast--${type} visible`;
-            this._toastTimer = setTimeout(() => {
-                dom.toast.classList.add('hiding');
-                dom.toast.classList.remove('visible');
-                this._toastHideTimer = setTimeout(() => {
-                    dom.toast.className = 'toast';
-                }, 450);
-            }, 1800);
+        remove(id) {
+            this.entries = this.entries.filter(e => e.id !== id);
+            this.persist();
+            this.render();
+        },
+
+        // A photo must never reach the sheet before its attendance rows exist
+        _saveStillQueued(photoEntry) {
+            return this.entries.some(e => e.type === 'save' && e.status !== 'synced' &&
+                e.date === photoEntry.date && e.batchKey === photoEntry.batchKey);
+        },
+
+        _isSettled(entry) {
+            return entry.status === 'synced' || entry.status === 'conflict';
+        },
+
+        // The batch is read-only while its save is on the way — it locks once the sheet confirms
+        hasPendingSave(dateKey, batchKey) {
+            return this.entries.some(e => e.type === 'save' && !this._isSettled(e) &&
+                e.date === dateKey && e.batchKey === batchKey);
+        },
+
+        // Proof photo still on its way for a saved batch (shown as "photo pending")
+        hasPendingPhoto(dateKey, batchKey) {
+            return this.entries.some(e => e.type === 'photo' && !this._isSettled(e) &&
+                e.date === dateKey && e.batchKey === batchKey);
+        },
+
+        // Replay every queued entry in creation order. Stops early when the network is down.
+        // Photos that failed wait out their backoff unless `force` (the Retry now button).
+        async flush(force = false) {
+            if (this._flushing || !CONFIG.API_URL || this.entries.length === 0) return;
+            if (!navigator.onLine) {
+                this._scheduleRetry();
+                return;
+            }
+            this._flushing = true;
+            clearTimeout(this._retryTimer);
+
+            try {
+                for (const entry of this.entries.slice()) {
+                    if (this._isSettled(entry)) continue;
+                    if (entry.type === 'photo' && this._saveStillQueued(entry)) continue;
+                    if (!force && entry.nextAttemptAt > Date.now()) continue;
+
+                    entry.status = 'sending';
+                    entry.attempts++;
+                    this.persist();
+                    this.render();
+
+                    let stop = false;
+                    try {
+                        if (entry.type === 'save') await this._replaySave(entry);
+                        else await this._replayPhoto(entry);
+                    } catch (err) {
+                        entry.status = 'failed';
+                        entry.lastError = err.message;
+                        // Offline, signed out or server busy: every later entry would fail the same way
+                        stop = !!err.network || !!err.auth || !!err.busy;
+                        if (err.auth) Auth.onAuthError();
+                    }
+
+                    this.persist();
+                    this.render();
+                    if (stop) break;
+                }
+            } finally {
+                this.entries = this.entries.filter(e => e.status !== 'synced');
+                this.persist();
+                this.render();
+                this._flushing = false;
+                if (this.entries.some(e => !this._isSettled(e))) this._scheduleRetry();
+            }
+        },
+
+        async _replaySave(entry) {
+            const result = await API.saveBatch(entry, (index, count) => {
+                entry.chunksConfirmed = (entry.chunksConfirmed || []).concat(index);
+                entry.chunkCount = count;
+                this.persist();
+                this.render();
+            });
+            if (result.success) {
+                entry.status = 'synced';
+                Store.lockBatch(entry.date, entry.batchKey);
+                if (entry.date === Store.currentDate) Renderer.renderAll();
+                UI.showToast(`✅ Saved to Google Sheet! (${result.saved || ''} records)`, 'success');
+            } else if (result.incomplete) {
+                // The server lost some staged chunks (pruned, or never arrived) — resend them next time
+                const missing = result.missing || [];
+                entry.chunksConfirmed = missing.length ? (entry.chunksConfirmed || []).filter(i => !missing.includes(i)) : [];
+                entry.status = 'failed';
+                entry.lastError = result.error || 'Save incomplete';
+            } else if (result.conflict) {
+                this._onConflict(entry, result);
+            } else if (result.locked) {
+                // Older backends without save ids: assume an earlier attempt of ours committed
+                entry.status = 'synced';
+                Store.lockBatch(entry.date, entry.batchKey);
+                if (entry.date === Store.currentDate) Renderer.renderAll();
+                UI.showToast(`ℹ️ ${entry.batch} (${entry.date}) was already saved`, 'info');
+            } else if (result.busy) {
+                const err = new Error(result.error || 'Server busy');
+                err.busy = true;
+                throw err;
+            } else if (result.authError) {
+                const err = new Error(result.error || 'Sign in required');
+                err.auth = true;
+                throw err;
+            } else {
+                entry.status = 'failed';
+                entry.lastError = result.error || 'Unknown';
+                UI.showToast('❌ Sheet error: ' + entry.lastError, 'error');
+            }
+        },
+
+        // Another device saved this batch first. Its rows stay on the sheet; ours are kept in the
+        // outbox (marked as a conflict) so nothing is silently lost, and the screen shows the sheet's copy.
+        _onConflict(entry, result) {
+            entry.status = 'conflict';
+            const when = result.savedAt ? new Date(result.savedAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }) : '';
+            entry.lastError = `Already saved by ${result.savedBy || 'another device'}${when ? ' at ' + when : ''} — not uploaded`;
+            UI.showToast(`⚠️ ${entry.batch} was already saved by ${result.savedBy || 'another device'}`, 'error');
+
+            // That device's save owns the photo proof too
+            this.entries = this.entries.filter(e => !(e.type === 'photo' && e.date === entry.date && e.batchKey === entry.batchKey));
+            if (entry.date === Store.currentDate) API.fetchAttendance(entry.date);
+        },
+
+        async _replayPhoto(entry) {
+            UI.showToast('📷 Uploading photo proof...', 'info');
+            const result = await API.uploadPhoto(entry, (received, total) => {
+                entry.partsReceived = received;
+                entry.partCount = total;
+                this.persist();
+                this.render();
+            });
+            if (result.success) {
+                entry.status = 'synced';
+                Store.photoUrls.set(Store.lockKey(entry.date, entry.batchKey), result.photoUrl);
+                StorageManager.saveBatch(entry.date, entry.batchKey);
+                if (entry.date === Store.currentDate) Renderer.renderAll();
+                UI.showToast('Photo proof uploaded ✓', 'success');
+            } else if (result.busy) {
+                const err = new Error(result.error || 'Server busy');
+                err.busy = true;
+                throw err;
+            } else if (result.authError) {
+                const err = new Error(result.error || 'Sign in required');
+                err.auth = true;
+                throw err;
+            } else {
+                // Slow Drive, parts lost in transit, rows not written yet: try again later, waiting longer each time
+                entry.status = 'failed';
+                entry.lastError = result.error || 'Photo not confirmed by server';
+                entry.nextAttemptAt = Date.now() + Math.min(
+                    CONFIG.PHOTO.RETRY_BASE_MS * Math.pow(2, entry.attempts - 1), CONFIG.PHOTO.RETRY_MAX_MS);
+                UI.showToast(`📷 Photo proof for ${entry.batch} not confirmed yet — will retry`, 'error');
+            }
+        },
+
+        _scheduleRetry() {
+            clearTimeout(this._retryTimer);
+            const now = Date.now();
+            const due = Math.min(...this.entries.filter(e => !this._isSettled(e)).map(e => e.nextAttemptAt || now + this.RETRY_DELAY));
+            this._retryTimer = setTimeout(() => this.flush(), Math.max(1000, Math.min(due, now + this.RETRY_DELAY) - now));
+        },
+
+        render() {
+            if (!dom.outboxPanel) return;
+            if (this.entries.length === 0) {
+                dom.outboxPanel.style.display = 'none';
+                return;
+            }
+
+            const labels = { pending: 'Waiting', sending: 'Sending…', failed: 'Failed', synced: 'Synced', conflict: 'Conflict' };
+            dom.outboxCount.textContent = this.entries.length;
+            dom.outboxList.innerHTML = this.entries.map(e => {
+                const what = e.type === 'save' ? `📋 Attendance (${e.records.length})` : '📷 Photo proof';
+                const progress = e.type === 'save' && e.chunkCount > 1 && e.status !== 'conflict'
+                    ? ` · part ${(e.chunksConfirmed || []).length}/${e.chunkCount} sent`
+                    : e.type === 'photo' && e.partCount > 1 ? ` · ${e.partsReceived || 0}/${e.partCount} parts received` : '';
+                const retryAt = e.status === 'failed' && e.nextAttemptAt > Date.now()
+                    ? ` · retry at ${new Date(e.nextAttemptAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}` : '';
+                const error = (e.status === 'failed' || e.status === 'conflict') && e.lastError
+                    ? `<div class="outbox__error">${Utils.escapeHtml(e.lastError)}</div>` : '';
+                return `
+                    <div class="outbox__item">
+                        <div class="outbox__info">
+                            <div class="outbox__title">${what} · ${Utils.escapeHtml(e.batch)}</div>
+                            <div class="outbox__meta">${Utils.formatDateDisplay(e.date)} · ${e.attempts} attempt${e.attempts === 1 ? '' : 's'}${progress}${retryAt}</div>
+                            ${error}
+                        </div>
+                        <span class="outbox__status outbox__status--${e.status}">${labels[e.status]}</span>
+                        <button class="outbox__discard" data-outbox-id="${e.id}" aria-label="Discard">✕</button>
+                    </div>
+                `;
+            }).join('');
+            dom.outboxPanel.style.display = '';
         }
     };
 
     // =============================================
-    // MODULE 9: EVENT HANDLERS
+    // MODULE 9: DRAFT SYNC — Several Phones Marking One Batch
     // =============================================
-    const Handlers = {
-        // Double-tap state
-        _lastTapTime: 0,
-        _lastTapStudentId: null,
-        _singleTapTimer: null,
+    // Until a batch is saved, every change is pushed to the sheet's Drafts tab and the other phones
+    // on the same batch pick it up when they poll. Per student the latest change wins. One phone
+    // still does the final save (with the photo), which clears the drafts.
+    const DraftSync = {
+        deviceId: '',
+        _queue: [],            // [{ date, batchKey, studentId, status, leaveType, note, at }] not pushed yet (persisted)
+        _stamps: new Map(),    // "date|batch|studentId" → { at, by, device } of the latest change seen
+        _cursors: new Map(),   // "date|batch" → serverTime of the last poll
+        _savedElsewhere: new Set(),
+        _pollTimer: null,
+        _pushTimer: null,
+        _pushing: false,
+        _polling: false,
+
+        load() {
+            let saved = {};
+            try {
+                saved = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.DRAFTS)) || {};
+            } catch (err) {
+                console.error('Failed to load drafts:', err);
+            }
+            this.deviceId = saved.deviceId || `device_${Date.now()}_${Math.floor(Math.random() * 1e6)}`;
+            this._queue = saved.queue || [];
+            this._queue.forEach(c => this._stamps.set(this._stampKey(c.date, c.batchKey, c.studentId), { at: c.at, by: '', device: this.deviceId }));
+            this.persist();
+        },
 
-        onDateChange() {
-            Store.currentDate = dom.datePicker.value;
-            Store.initDateBatch(Store.currentDate, Store.currentBatch);
-            Store._invalidateCache();
-            Renderer.renderAll();
-            // Fetch cloud data for the selected date
-            API.fetchAttendance(Store.currentDate);
+        persist() {
+            try {
+                localStorage.setItem(CONFIG.STORAGE_KEYS.DRAFTS, JSON.stringify({ deviceId: this.deviceId, queue: this._queue }));
+            } catch (err) {
+                console.error('Failed to persist drafts:', err);
+            }
         },
 
-        onBatchChange() {
-            Store.currentBatch = dom.batchSelect.value;
-            Store.initDateBatch(Store.currentDate, Store.currentBatch);
-            Store._invalidateCache();
-            Renderer.renderAll();
+        init() {
+            this.load();
+            EventBus.on('status:changed', (e) => this._onLocalChange(e));
+            EventBus.on('detail:changed', (e) => this._onLocalChange(e));
+            document.addEventListener('visibilitychange', () => { if (!document.hidden) this.poll(); });
+            this.poll();
         },
 
-        onSearch: Utils.debounce(() => {
-            Store.searchQuery = dom.searchInput.value;
-            Store._invalidateCache();
-            Renderer.scheduleRender();
-        }, 150),
+        _stampKey(dateKey, batchKey, studentId) {
+            return `${dateKey}|${batchKey}|${studentId}`;
+        },
 
-        onRefresh() {
-            dom.refreshBtn.classList.add('spin');
-            setTimeout(() => dom.refreshBtn.classList.remove('spin'), 600);
-            API.fetchStudents();
-            API.fetchAttendance(Store.currentDate).then(ok => {
-                if (ok) UI.showToast('Attendance synced from cloud ☁️', 'success');
+        // Sync runs for batches this user may save, until they are saved
+        _active(dateKey, batchKey) {
+            return !!CONFIG.API_URL && Auth.isSignedIn() && Auth.canSaveBatch(batchKey) &&
+                !Store.isDateBatchLocked(dateKey, batchKey) && !Outbox.hasPendingSave(dateKey, batchKey);
+        },
+
+        // Name of whoever else last changed this student on the current batch, or ''
+        editorOf(studentId) {
+            const stamp = this._stamps.get(this._stampKey(Store.currentDate, Store.currentBatch, studentId));
+            return stamp && stamp.device !== this.deviceId ? stamp.by : '';
+        },
+
+        // A status or a leave type / note changed: the student's whole mark is pushed
+        _onLocalChange(e) {
+            if (!CONFIG.API_URL || Store.isDateBatchLocked(e.dateKey, e.batchKey)) return;
+            const status = Store.readStatus(Store.attendance[e.dateKey]?.[e.batchKey], e.studentId) || CONFIG.STATUSES.UNMARKED;
+            const { leaveType, note } = Store.getDetail(e.studentId, e.dateKey, e.batchKey);
+            const change = { date: e.dateKey, batchKey: e.batchKey, studentId: e.studentId, status, leaveType, note, at: Date.now() };
+            this._queue = this._queue.filter(c => !(c.date === change.date && c.batchKey === change.batchKey && c.studentId === change.studentId));
+            this._queue.push(change);
+            this._stamps.set(this._stampKey(change.date, change.batchKey, change.studentId), { at: change.at, by: '', device: this.deviceId });
+            this.persist();
+            // A bulk action emits one event per student — push them together
+            clearTimeout(this._pushTimer);
+            this._pushTimer = setTimeout(() => this.push(), CONFIG.DRAFT_SYNC.PUSH_DELAY_MS);
+        },
+
+        _forget(changes) {
+            const done = new Set(changes);
+            this._queue = this._queue.filter(c => !done.has(c));
+            this.persist();
+        },
+
+        // "id:p:at:leaveType:note|id:a:at::" strings, each small enough for one JSONP URL
+        _chunk(changes) {
+            const parts = [];
+            let current = { compact: [], changes: [] };
+            let length = 0;
+            changes.forEach(c => {
+                const compact = `${encodeURIComponent(c.studentId)}:${API.STATUS_CODES[c.status] || 'u'}:${c.at}:` +
+                    `${encodeURIComponent(c.leaveType || '')}:${encodeURIComponent(c.note || '')}`;
+                const size = encodeURIComponent(compact).length + 3;
+                if (current.changes.length > 0 && length + size > API.SAVE_CHUNK_CHARS) {
+                    parts.push(current);
+                    current = { compact: [], changes: [] };
+                    length = 0;
+                }
+                current.compact.push(compact);
+                current.changes.push(c);
+                length += size;
             });
+            if (current.changes.length > 0) parts.push(current);
+            return parts.map(p => ({ compact: p.compact.join('|'), changes: p.changes }));
         },
 
-        onStudentClick(e) {
-            const card = e.target.closest('.student-card');
-            if (!card || Store.isLocked()) return;
+        // Send queued changes. Offline or signed out they stay queued for the next poll.
+        async push() {
+            if (this._pushing || this._queue.length === 0) return;
+            this._pushing = true;
+            try {
+                const groups = new Map();
+                this._queue.forEach(c => {
+                    const key = Store.lockKey(c.date, c.batchKey);
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(c);
+                });
 
-            const studentId = card.dataset.studentId;
-            const currentStatus = card.dataset.status;
-            const now = Date.now();
+                for (const [key, changes] of groups) {
+                    const { date, batchKey } = changes[0];
+                    if (Store.isDateBatchLocked(date, batchKey)) { this._forget(changes); continue; }
+                    if (!this._active(date, batchKey)) continue;
+
+                    for (const part of this._chunk(changes)) {
+                        const resp = await API.jsonp({ action: 'pushDraft', date, batchId: batchKey, device: this.deviceId, changes: part.compact });
+                        if (resp.locked) {
+                            this._forget(changes);
+                            this._onSavedElsewhere(date, batchKey);
+                            break;
+                        }
+                        if (!resp.success) break;
+                        this._forget(part.changes);
+                        // The server caps change times at its own clock; keep ours comparable
+                        part.changes.forEach(c => {
+                            const stamp = this._stamps.get(this._stampKey(date, batchKey, c.studentId));
+                            if (stamp && stamp.at === c.at) stamp.at = Math.min(c.at, resp.serverTime);
+                        });
+                        // Someone else's newer change won — re-read everything on the next poll
+                        if (resp.rejected) this._cursors.delete(key);
+                    }
+                }
+            } catch (err) {
+                // Offline: the queue is kept and pushed again on the next poll
+            } finally {
+                this._pushing = false;
+            }
+        },
 
-            // Double-tap detection (within 250ms on same student)
-            if (Handlers._lastTapStudentId === studentId && (now - Handlers._lastTapTime) < 250) {
-                clearTimeout(Handlers._singleTapTimer);
-                Handlers._lastTapStudentId = null;
-                Handlers._lastTapTime = 0;
+        // Push, then fetch the other phones' changes for the batch on screen. Reschedules itself.
+        async poll() {
+            clearTimeout(this._pollTimer);
+            this._pollTimer = setTimeout(() => this.poll(), CONFIG.DRAFT_SYNC.POLL_MS);
+            if (this._polling || document.hidden) return;
+            this._polling = true;
+            try {
+                await this.push();
+                await this._pull(Store.currentDate, Store.currentBatch);
+            } catch (err) {
+                // Offline: try again next round
+            } finally {
+                this._polling = false;
+            }
+        },
+
+        // Just before the final save, so the summary includes everyone's latest marks.
+        // False if another phone has saved the batch meanwhile.
+        async syncNow() {
+            const dateKey = Store.currentDate;
+            const batchKey = Store.currentBatch;
+            try {
+                await this.push();
+                await this._pull(dateKey, batchKey);
+            } catch (err) {
+                // Offline: save what this phone has
+            }
+            return !this._savedElsewhere.has(Store.lockKey(dateKey, batchKey));
+        },
+
+        async _pull(dateKey, batchKey) {
+            if (!this._active(dateKey, batchKey)) return;
+            const key = Store.lockKey(dateKey, batchKey);
+            const resp = await API.jsonp({ action: 'getDraft', date: dateKey, batchId: batchKey, since: this._cursors.get(key) || 0 }, 15000);
+            if (!resp.success) return;
+            if (resp.locked) { this._onSavedElsewhere(dateKey, batchKey); return; }
+            this._cursors.set(key, resp.serverTime);
+            this._apply(dateKey, batchKey, resp.changes || []);
+        },
+
+        _apply(dateKey, batchKey, changes) {
+            if (dateKey !== Store.currentDate || batchKey !== Store.currentBatch) return;
+            const fresh = changes.filter(c => {
+                if (c.device === this.deviceId) return false;
+                const stamp = this._stamps.get(this._stampKey(dateKey, batchKey, c.studentId));
+                return !stamp || c.at > stamp.at;
+            });
+            if (fresh.length === 0) return;
+
+            fresh.forEach(c => this._stamps.set(this._stampKey(dateKey, batchKey, c.studentId), { at: c.at, by: c.by, device: c.device }));
+            const count = Store.applyRemoteStatuses(fresh.filter(c => Store.isEnrolledId(c.studentId, dateKey)));
+            Renderer.renderAll();
+            if (count) {
+                const names = Array.from(new Set(fresh.map(c => c.by))).join(', ');
+                UI.showToast(`🔄 ${count} change${count > 1 ? 's' : ''} from ${names}`, 'info');
+            }
+        },
+
+        // Another phone saved this batch: show the sheet's copy (fetchAttendance locks it)
+        _onSavedElsewhere(dateKey, batchKey) {
+            const key = Store.lockKey(dateKey, batchKey);
+            if (this._savedElsewhere.has(key) || Outbox.hasPendingSave(dateKey, batchKey)) return;
+            this._savedElsewhere.add(key);
+            const batchConfig = CONFIG.BATCHES.find(b => b.id === batchKey);
+            UI.showToast(`🔒 ${batchConfig ? batchConfig.name : 'This batch'} was saved on another phone`, 'info');
+            API.fetchAttendance(dateKey);
+        }
+    };
+
+    // =============================================
+    // MODULE 10: CALENDAR — Session Days, Holidays, Special Sessions
+    // =============================================
+    const Calendar = {
+        TYPES: { HOLIDAY: 'holiday', NO_SESSION: 'no_session', SPECIAL: 'special' },
+        LABELS: { holiday: 'Holiday', no_session: 'No session', special: 'Special session' },
+
+        // [{ date, type, batchId, title }] from the sheet's Calendar tab; batchId '' = every batch
+        entries: [],
+
+        load() {
+            try {
+                const raw = localStorage.getItem(CONFIG.STORAGE_KEYS.CALENDAR);
+                this.entries = raw ? JSON.parse(raw) : [];
+            } catch (err) {
+                console.error('Failed to load calendar:', err);
+                this.entries = [];
+            }
+        },
+
+        persist() {
+            try {
+                localStorage.setItem(CONFIG.STORAGE_KEYS.CALENDAR, JSON.stringify(this.entries));
+            } catch (err) {
+                console.error('Failed to persist calendar:', err);
+            }
+        },
+
+        // Refresh from the sheet; the cached copy keeps working offline
+        async fetch() {
+            if (!CONFIG.API_URL) return false;
+            try {
+                const resp = await API.jsonp({ action: 'getCalendar' }, 15000);
+                if (!resp.success) return false;
+                this.entries = resp.entries || [];
+                this.persist();
+                Renderer.renderAll();
+                return true;
+            } catch (err) {
+                return false;
+            }
+        },
+
+        // A batch's own entry wins over an every-batch one, so a special session can fall on a holiday
+        entryFor(dateKey, batchId) {
+            return this.entries.find(e => e.date === dateKey && e.batchId === batchId) ||
+                this.entries.find(e => e.date === dateKey && !e.batchId) || null;
+        },
+
+        // → { session, special, reason } for one batch on one date
+        dayInfo(dateKey, batchId) {
+            const entry = this.entryFor(dateKey, batchId);
+            if (entry) {
+                const label = entry.title || this.LABELS[entry.type] || entry.type;
+                if (entry.type === this.TYPES.SPECIAL) return { session: true, special: true, reason: label };
+                return { session: false, special: false, reason: label };
+            }
+            if (CONFIG.CALENDAR.HOLIDAYS.includes(dateKey)) return { session: false, special: false, reason: 'Holiday' };
+            const weekday = new Date(dateKey + 'T00:00:00').getDay();
+            if (CONFIG.CALENDAR.WEEKLY_OFF_DAYS.includes(weekday)) return { session: false, special: false, reason: 'Weekly off' };
+            return { session: true, special: false, reason: '' };
+        },
+
+        isSessionDay(dateKey, batchId) {
+            return this.dayInfo(dateKey, batchId).session;
+        },
+
+        // No batch runs that day (greyed out in the monthly register)
+        isOffDay(dateKey) {
+            return !CONFIG.BATCHES.some(b => this.isSessionDay(dateKey, b.id));
+        },
+
+        // First session still to start after `now`, looking up to a year ahead → { date, batch } or null
+        nextSession(now = new Date()) {
+            const minutesNow = now.getHours() * 60 + now.getMinutes();
+            const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            for (let i = 0; i < 366; i++) {
+                const dateKey = Utils.formatDateISO(day);
+                const batch = CONFIG.BATCHES.find(b => this.isSessionDay(dateKey, b.id) &&
+                    (i > 0 || this._startMinutes(b.time) > minutesNow));
+                if (batch) return { date: dateKey, batch };
+                day.setDate(day.getDate() + 1);
+            }
+            return null;
+        },
+
+        // "5:30 AM" → 330
+        _startMinutes(time) {
+            const m = String(time).match(/(\d{1,2}):(\d{2})\s*([AP]M)?/i);
+            if (!m) return 0;
+            let hours = Number(m[1]) % 12;
+            if (m[3] && m[3].toUpperCase() === 'PM') hours += 12;
+            if (!m[3] && Number(m[1]) === 12) hours = 12;
+            return hours * 60 + Number(m[2]);
+        },
+
+        async setEntry(entry) {
+            const resp = await API.jsonp({ action: 'setCalendarEntry', ...entry });
+            if (resp.success) {
+                this.entries = this.entries.filter(e => !(e.date === entry.date && e.batchId === entry.batchId));
+                this.entries.push(resp.entry);
+                this.entries.sort((a, b) => a.date.localeCompare(b.date));
+                this.persist();
+            }
+            return resp;
+        },
+
+        async removeEntry(dateKey, batchId) {
+            const resp = await API.jsonp({ action: 'deleteCalendarEntry', date: dateKey, batchId });
+            if (resp.success) {
+                this.entries = this.entries.filter(e => !(e.date === dateKey && e.batchId === batchId));
+                this.persist();
+            }
+            return resp;
+        }
+    };
+
+    // =============================================
+    // MODULE 11: UNDO STACK — Undo/Redo of Status Changes
+    // =============================================
+    const UndoStack = {
+        LIMIT: 100,
+        // "dateKey|batchKey" → { undo: [step], redo: [step] };
+        // step = { group, changes: [{ studentId, oldStatus, newStatus, oldMarkedAt, newMarkedAt }] }
+        _stacks: new Map(),
+        _replaying: false,
+
+        init() {
+            EventBus.on('status:changed', (e) => this._record(e));
+        },
+
+        _stack(key = Store.lockKey(Store.currentDate, Store.currentBatch)) {
+            if (!this._stacks.has(key)) this._stacks.set(key, { undo: [], redo: [] });
+            return this._stacks.get(key);
+        },
+
+        // Every status:changed event becomes a step; a bulk action's events share a group → one step
+        _record(e) {
+            if (this._replaying || !e.dateKey) return;
+            const stack = this._stack(Store.lockKey(e.dateKey, e.batchKey));
+            const last = stack.undo[stack.undo.length - 1];
+            const change = { studentId: e.studentId, oldStatus: e.oldStatus, newStatus: e.newStatus, oldMarkedAt: e.oldMarkedAt, newMarkedAt: e.newMarkedAt };
+            if (e.group && last && last.group === e.group) {
+                last.changes.push(change);
+            } else {
+                stack.undo.push({ group: e.group || null, changes: [change] });
+                if (stack.undo.length > this.LIMIT) stack.undo.shift();
+            }
+            stack.redo = [];
+            this.render();
+        },
+
+        canUndo() { return this._stack().undo.length > 0; },
+        canRedo() { return this._stack().redo.length > 0; },
+
+        undo() {
+            const stack = this._stack();
+            const step = stack.undo.pop();
+            if (!step) return 0;
+            const count = this._apply(step.changes.filter(c => Store.getStatus(c.studentId) === c.newStatus)
+                .map(c => ({ studentId: c.studentId, status: c.oldStatus, markedAt: c.oldMarkedAt })));
+            stack.redo.push(step);
+            this.render();
+            return count;
+        },
+
+        redo() {
+            const stack = this._stack();
+            const step = stack.redo.pop();
+            if (!step) return 0;
+            const count = this._apply(step.changes.filter(c => Store.getStatus(c.studentId) === c.oldStatus)
+                .map(c => ({ studentId: c.studentId, status: c.newStatus, markedAt: c.newMarkedAt })));
+            stack.undo.push(step);
+            this.render();
+            return count;
+        },
+
+        // Goes through Store's bulk write (one save) without recording the replay as a new step, and puts
+        // back the mark time the status had (now for marks from before times were kept).
+        // Callers skip students someone else has changed since (DraftSync), so a newer mark survives.
+        _apply(marks) {
+            this._replaying = true;
+            try {
+                Store._writeMarks(marks.map(m => ({ studentId: m.studentId, status: m.status, at: Date.parse(m.markedAt) || undefined })));
+            } finally {
+                this._replaying = false;
+            }
+            return marks.length;
+        },
+
+        // Forget a date's steps (its attendance was cleared or replaced)
+        clear(dateKey) {
+            if (!dateKey) this._stacks.clear();
+            else Array.from(this._stacks.keys()).forEach(k => { if (k.startsWith(dateKey + '|')) this._stacks.delete(k); });
+            this.render();
+        },
+
+        render() {
+            if (!dom.undoBtn) return;
+            dom.undoBtn.disabled = !this.canUndo();
+            dom.redoBtn.disabled = !this.canRedo();
+        }
+    };
+
+    // =============================================
+    // MODULE 12: RENDERER — Targeted DOM Updates
+    // =============================================
+    const Renderer = {
+        _rafId: null,
+
+        // Schedule render on next animation frame (batched)
+        scheduleRender() {
+            if (this._rafId) return;
+            this._rafId = requestAnimationFrame(() => {
+                this._rafId = null;
+                this.renderAll();
+            });
+        },
+
+        // Batch picker options come from CONFIG.BATCHES so adding a batch is a config-only change
+        renderBatchOptions() {
+            dom.batchSelect.innerHTML = CONFIG.BATCHES
+                .map(b => `<option value="${Utils.escapeHtml(b.id)}">${Utils.escapeHtml(b.shortName)}</option>`)
+                .join('');
+            dom.batchSelect.value = Store.currentBatch;
+        },
+
+        // Leave type buttons of the status popover, from CONFIG.LEAVE_TYPES
+        renderLeaveTypeOptions() {
+            dom.popoverLeaveTypes.innerHTML = CONFIG.LEAVE_TYPES
+                .map(t => `<button class="status-popover__leave-type" data-action="leave" data-leave-type="${Utils.escapeHtml(t.id)}">${Utils.escapeHtml(t.label)}</button>`)
+                .join('');
+        },
+
+        renderAll() {
+            const { visible, present, late, absent, leave, unmarked } = Store.getComputed();
+            const locked = Store.isLocked();
+            const saving = !locked && Outbox.hasPendingSave(Store.currentDate, Store.currentBatch);
+
+            // Update summary card
+            const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
+            dom.batchLabel.textContent = batchConfig.name + ' - ' + batchConfig.time;
+            dom.presentCount.textContent = present.length;
+            dom.absentCount.textContent = absent.length;
+            dom.leaveCount.textContent = `Late: ${late.length} · Leave: ${leave.length} · Unmarked: ${unmarked.length}`;
+            dom.totalCount.textContent = `${visible.length} TOTAL`;
+            dom.dateDisplay.textContent = Utils.formatDateDisplay(Store.currentDate);
+
+            // Locked badge
+            if (locked) {
+                dom.lockedBadge.classList.add('visible');
+                dom.saveBtn.textContent = Outbox.hasPendingPhoto(Store.currentDate, Store.currentBatch)
+                    ? '🔒 Saved · 📷 Photo pending' : '🔒 Attendance Saved';
+                dom.saveBtn.classList.add('save-btn--locked');
+                dom.saveBtn.disabled = true;
+            } else if (saving) {
+                dom.lockedBadge.classList.remove('visible');
+                dom.saveBtn.textContent = '⏳ Saving to sheet…';
+                dom.saveBtn.classList.add('save-btn--locked');
+                dom.saveBtn.disabled = true;
+            } else {
+                dom.lockedBadge.classList.remove('visible');
+                dom.saveBtn.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><path d="M19 21H5a2 2 0 01-2-2V5a2 2 0 012-2h11l5 5v11a2 2 0 01-2 2z"/><polyline points="17 21 17 13 7 13 7 21"/><polyline points="7 3 7 8 15 8"/></svg> Save Attendance`;
+                dom.saveBtn.classList.remove('save-btn--locked');
+                dom.saveBtn.disabled = false;
+            }
+
+            // Holiday / non-session day: read-only when CONFIG.CALENDAR.BLOCK_NON_SESSION_DAYS is on
+            const day = Calendar.dayInfo(Store.currentDate, Store.currentBatch);
+            const blocked = !locked && !day.session && CONFIG.CALENDAR.BLOCK_NON_SESSION_DAYS;
+            this._renderSessionBanner(day, locked);
+            if (blocked && !saving) {
+                dom.saveBtn.textContent = '🏖️ No session today';
+                dom.saveBtn.classList.add('save-btn--locked');
+                dom.saveBtn.disabled = true;
+            }
+
+            // Bulk actions and multi-select only while the batch can be edited
+            const readOnly = locked || saving || blocked;
+            if (readOnly && Store.selecting) Handlers.exitSelection();
+            dom.bulkBar.style.display = readOnly ? 'none' : '';
+            this._renderSelectBar();
+            UndoStack.render();
+
+            // Render piles
+            this._renderPile(dom.presentList, present, CONFIG.STATUSES.PRESENT, readOnly);
+            this._renderPile(dom.lateList, late, CONFIG.STATUSES.LATE, readOnly);
+            this._renderPile(dom.absentList, absent, CONFIG.STATUSES.ABSENT, readOnly);
+            this._renderPile(dom.leaveList, leave, CONFIG.STATUSES.LEAVE, readOnly);
+            this._renderPile(dom.unmarkedList, unmarked, CONFIG.STATUSES.UNMARKED, readOnly);
+
+            // Pile counts
+            dom.presentPileCount.textContent = present.length;
+            dom.latePileCount.textContent = late.length;
+            dom.absentPileCount.textContent = absent.length;
+            dom.leavePileCount.textContent = leave.length;
+            dom.unmarkedPileCount.textContent = unmarked.length;
+
+            // Show/hide piles
+            $('presentPile').style.display = present.length ? '' : 'none';
+            $('latePile').style.display = late.length ? '' : 'none';
+            $('absentPile').style.display = absent.length ? '' : 'none';
+            $('leavePile').style.display = leave.length ? '' : 'none';
+            $('unmarkedPile').style.display = unmarked.length ? '' : 'none';
+
+            // Show/hide piles container vs empty state
+            if (Store.studentMap.size === 0 && !Store.isLoading) {
+                dom.pilesContainer.style.display = 'none';
+                dom.emptyState.style.display = '';
+            } else {
+                dom.pilesContainer.style.display = '';
+                dom.emptyState.style.display = 'none';
+            }
+        },
+
+        _renderSessionBanner(day, locked) {
+            if (day.session && !day.special) {
+                dom.sessionBanner.style.display = 'none';
+                return;
+            }
+            if (day.special) {
+                dom.sessionBanner.className = 'session-banner session-banner--special';
+                dom.sessionBanner.textContent = `⭐ Special session — ${day.reason}`;
+            } else {
+                const next = Calendar.nextSession();
+                const nextText = next
+                    ? `Next session: ${Utils.formatDateDisplay(next.date)} · ${next.batch.name} (${next.batch.time})`
+                    : 'No upcoming session in the calendar';
+                dom.sessionBanner.className = 'session-banner';
+                dom.sessionBanner.innerHTML = `🏖️ No session — ${Utils.escapeHtml(day.reason)}${locked ? '' : '<br>'}` +
+                    (locked ? '' : `<span class="session-banner__next">${Utils.escapeHtml(nextText)}</span>`);
+            }
+            dom.sessionBanner.style.display = '';
+        },
+
+        _renderSelectBar() {
+            dom.selectBar.style.display = Store.selecting ? '' : 'none';
+            dom.saveBar.style.display = Store.selecting ? 'none' : '';
+            dom.selectCount.textContent = `${Store.selectedIds.size} selected`;
+        },
+
+        _renderPile(container, students, pileStatus, locked) {
+            const fragment = document.createDocumentFragment();
+            const lockedClass = locked ? ' student-card--locked' : '';
+
+            for (let i = 0; i < students.length; i++) {
+                const s = students[i];
+                const div = document.createElement('div');
+                const selectedClass = Store.selectedIds.has(s.id) ? ' student-card--selected' : '';
+                const editor = locked ? '' : DraftSync.editorOf(s.id);
+                const { leaveType, note, markedAt } = Store.getDetail(s.id);
+                const tag = pileStatus === CONFIG.STATUSES.LEAVE && leaveType
+                    ? `<span class="student-card__tag">${Utils.escapeHtml(Utils.leaveTypeLabel(leaveType))}</span>` : '';
+                const markedTime = pileStatus === CONFIG.STATUSES.UNMARKED ? '' : Utils.formatMarkedTime(markedAt);
+                const time = markedTime ? ` <span class="student-card__time">🕒 ${markedTime}</span>` : '';
+                div.className = `student-card student-card--${pileStatus}${lockedClass}${selectedClass} fade-in`;
+                div.dataset.studentId = s.id;
+                div.dataset.status = pileStatus;
+                div.innerHTML = `
+                    <div class="student-card__avatar student-card__avatar--${pileStatus}">${Utils.getInitials(s.name)}</div>
+                    <div class="student-card__info">
+                        <div class="student-card__name">${Utils.escapeHtml(s.name)}</div>
+                        <div class="student-card__id">${Utils.escapeHtml(s.appNumber || s.id)}${tag}${time}${editor ? ` <span class="student-card__editor">✎ ${Utils.escapeHtml(editor)}</span>` : ''}</div>
+                        ${note ? `<div class="student-card__note">📝 ${Utils.escapeHtml(note)}</div>` : ''}
+                    </div>
+                    ${locked ? '' : '<button class="student-card__more" aria-label="Status, leave type and note">⋯</button>'}
+                    <div class="student-card__status student-card__status--${pileStatus}">
+                        ${Utils.getStatusIcon(pileStatus)}
+                    </div>
+                `;
+                fragment.appendChild(div);
+            }
+
+            container.innerHTML = '';
+            container.appendChild(fragment);
+        }
+    };
+
+    // =============================================
+    // MODULE 13: UI HELPERS
+    // =============================================
+    const UI = {
+        _toastTimer: null,
+        _toastHideTimer: null,
+
+        showLoading() {
+            dom.loadingState.style.display = '';
+            dom.pilesContainer.style.display = 'none';
+            dom.emptyState.style.display = 'none';
+        },
+
+        hideLoading() {
+            dom.loadingState.style.display = 'none';
+        },
+
+        showToast(msg, type = 'info') {
+            clearTimeout(this._toastTimer);
+            clearTimeout(this._toastHideTimer);
+            dom.toast.className = 'toast';
+            dom.toast.textContent = msg;
+            void dom.toast.offsetWidth;
+            dom.toast.className = `toast toast--${type} visible`;
+            this._toastTimer = setTimeout(() => {
+                dom.toast.classList.add('hiding');
+                dom.toast.classList.remove('visible');
+                this._toastHideTimer = setTimeout(() => {
+                    dom.toast.className = 'toast';
+                }, 450);
+            }, 1800);
+        }
+    };
+
+    // =============================================
+    // MODULE 14: EVENT HANDLERS
+    // =============================================
+    const Handlers = {
+        // Double-tap state
+        _lastTapTime: 0,
+        _lastTapStudentId: null,
+        _singleTapTimer: null,
+
+        onDateChange() {
+            Handlers.exitSelection();
+            Store.currentDate = dom.datePicker.value;
+            Store.initDateBatch(Store.currentDate, Store.currentBatch);
+            Store._invalidateCache();
+            Renderer.renderAll();
+            // Fetch cloud data for the selected date
+            API.fetchAttendance(Store.currentDate);
+            DraftSync.poll();
+        },
+
+        onBatchChange() {
+            Handlers.exitSelection();
+            Store.currentBatch = dom.batchSelect.value;
+            Store.initDateBatch(Store.currentDate, Store.currentBatch);
+            Store._invalidateCache();
+            Renderer.renderAll();
+            DraftSync.poll();
+        },
+
+        onSearch: Utils.debounce(() => {
+            Store.searchQuery = dom.searchInput.value;
+            Store._invalidateCache();
+            Renderer.scheduleRender();
+        }, 150),
+
+        onRefresh() {
+            dom.refreshBtn.classList.add('spin');
+            setTimeout(() => dom.refreshBtn.classList.remove('spin'), 600);
+            API.fetchStudents();
+            API.fetchAttendance(Store.currentDate).then(ok => {
+                if (ok) UI.showToast('Attendance synced from cloud ☁️', 'success');
+            });
+            Outbox.flush();
+            Calendar.fetch();
+        },
+
+        onStudentClick(e) {
+            const card = e.target.closest('.student-card');
+            if (!card) return;
+            if (Handlers._longPressFired) {
+                // The click that ends a long-press only started selection mode
+                Handlers._longPressFired = false;
+                return;
+            }
+            if (Store.selecting) {
+                Handlers.toggleSelected(card.dataset.studentId);
+                return;
+            }
+            if (Store.isLocked()) {
+                CorrectionView.open(card.dataset.studentId);
+                return;
+            }
+            const more = e.target.closest('.student-card__more');
+            if (more) {
+                // Keep the document click handler from closing the popover straight away
+                e.stopPropagation();
+                if (!Handlers._editBlocked()) Handlers.openPopover(card.dataset.studentId, more);
+                return;
+            }
+            if (Outbox.hasPendingSave(Store.currentDate, Store.currentBatch)) {
+                UI.showToast('⏳ This batch is still being saved', 'info');
+                return;
+            }
+            if (Handlers._blockedByCalendar()) return;
+
+            const studentId = card.dataset.studentId;
+            const currentStatus = card.dataset.status;
+            const now = Date.now();
+
+            // Double-tap detection (within 250ms on same student)
+            if (Handlers._lastTapStudentId === studentId && (now - Handlers._lastTapTime) < 250) {
+                clearTimeout(Handlers._singleTapTimer);
+                Handlers._lastTapStudentId = null;
+                Handlers._lastTapTime = 0;
+
+                if (navigator.vibrate) navigator.vibrate(30);
+
+                if (currentStatus === CONFIG.STATUSES.ABSENT) {
+                    Store.setStatus(studentId, CONFIG.STATUSES.UNMARKED);
+                    UI.showToast('Mark cleared', 'info');
+                } else {
+                    Store.setStatus(studentId, CONFIG.STATUSES.ABSENT);
+                    UI.showToast('Marked Absent', 'error');
+                }
+                Renderer.renderAll();
+                return;
+            }
+
+            Handlers._lastTapStudentId = studentId;
+            Handlers._lastTapTime = now;
+
+            clearTimeout(Handlers._singleTapTimer);
+            Handlers._singleTapTimer = setTimeout(() => {
+                Handlers._lastTapStudentId = null;
+                Handlers._lastTapTime = 0;
+
+                if (currentStatus === CONFIG.STATUSES.UNMARKED || currentStatus === CONFIG.STATUSES.LEAVE) {
+                    const status = Store.arrivalStatus();
+                    Store.setStatus(studentId, status);
+                    UI.showToast(`Marked ${Utils.capitalizeStatus(status)}`, 'success');
+                } else {
+                    Store.setStatus(studentId, CONFIG.STATUSES.UNMARKED);
+                    UI.showToast('Mark cleared', 'info');
+                }
+                Renderer.renderAll();
+            }, 250);
+        },
+
+        // True (with a toast) when the current batch can't be edited: saved, being saved or no session
+        _editBlocked() {
+            if (Store.isLocked()) {
+                UI.showToast('🔒 This batch is already saved', 'info');
+                return true;
+            }
+            if (Outbox.hasPendingSave(Store.currentDate, Store.currentBatch)) {
+                UI.showToast('⏳ This batch is still being saved', 'info');
+                return true;
+            }
+            return Handlers._blockedByCalendar();
+        },
+
+        // --- Undo / Redo ---
+        onUndo() {
+            if (Handlers._editBlocked()) return;
+            const count = UndoStack.undo();
+            if (!count) return;
+            Renderer.renderAll();
+            UI.showToast(`↶ Undone${count > 1 ? ` (${count} students)` : ''}`, 'info');
+        },
+
+        onRedo() {
+            if (Handlers._editBlocked()) return;
+            const count = UndoStack.redo();
+            if (!count) return;
+            Renderer.renderAll();
+            UI.showToast(`↷ Redone${count > 1 ? ` (${count} students)` : ''}`, 'info');
+        },
+
+        onKeyDown(e) {
+            if (!(e.ctrlKey || e.metaKey) || (e.target.closest && e.target.closest('input, textarea, select'))) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) { e.preventDefault(); Handlers.onUndo(); }
+            else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); Handlers.onRedo(); }
+        },
+
+        // --- Bulk Actions (one undo step each) ---
+        // Students already Present or Late keep their mark (and its time)
+        onMarkAllPresent() {
+            if (Handlers._editBlocked()) return;
+            const { visible } = Store.getComputed();
+            const status = Store.arrivalStatus();
+            const ids = visible.filter(s => !Store.isAttended(Store.getStatus(s.id))).map(s => s.id);
+            const count = Store.setStatuses(ids, status);
+            Renderer.renderAll();
+            UI.showToast(count ? `✅ ${count} marked ${Utils.capitalizeStatus(status)} — Undo to revert` : 'Everyone shown is already Present', count ? 'success' : 'info');
+        },
+
+        onUnmarkedToAbsent() {
+            if (Handlers._editBlocked()) return;
+            const { unmarked } = Store.getComputed();
+            const count = Store.setStatuses(unmarked.map(s => s.id), CONFIG.STATUSES.ABSENT);
+            Renderer.renderAll();
+            UI.showToast(count ? `❌ ${count} unmarked marked Absent — Undo to revert` : 'Everyone shown is marked', count ? 'error' : 'info');
+        },
+
+        // --- Multi-select (long-press a card) ---
+        LONG_PRESS_MS: 500,
+        _longPressTimer: null,
+        _longPressFired: false,
+        _pressStart: null,
+
+        onCardPointerDown(e) {
+            const card = e.target.closest('.student-card');
+            if (!card || Store.selecting || e.target.closest('.student-card__more')) return;
+            Handlers._pressStart = { x: e.clientX, y: e.clientY };
+            clearTimeout(Handlers._longPressTimer);
+            Handlers._longPressTimer = setTimeout(() => {
+                if (Handlers._editBlocked()) return;
+                // Cancel a pending single tap so the pressed card doesn't also change status
+                clearTimeout(Handlers._singleTapTimer);
+                Handlers._lastTapStudentId = null;
+                Handlers._longPressFired = true;
+                if (navigator.vibrate) navigator.vibrate(40);
+                Store.selecting = true;
+                Handlers.toggleSelected(card.dataset.studentId);
+            }, Handlers.LONG_PRESS_MS);
+        },
+
+        // Scrolling or lifting the finger early is not a long-press
+        onCardPointerMove(e) {
+            if (!Handlers._pressStart) return;
+            if (Math.abs(e.clientX - Handlers._pressStart.x) > 10 || Math.abs(e.clientY - Handlers._pressStart.y) > 10) {
+                Handlers.onCardPointerUp();
+            }
+        },
+
+        onCardPointerUp() {
+            clearTimeout(Handlers._longPressTimer);
+            Handlers._pressStart = null;
+        },
+
+        toggleSelected(studentId) {
+            if (Store.selectedIds.has(studentId)) Store.selectedIds.delete(studentId);
+            else Store.selectedIds.add(studentId);
+            if (Store.selectedIds.size === 0) Store.selecting = false;
+            Renderer.renderAll();
+        },
+
+        onSelectAction(e) {
+            const btn = e.target.closest('[data-status]');
+            if (!btn || Handlers._editBlocked()) return;
+            let status = btn.dataset.status;
+            let ids = Array.from(Store.selectedIds);
+            // Present goes through the Late rule; students already Present or Late keep their mark
+            if (status === CONFIG.STATUSES.PRESENT) {
+                status = Store.arrivalStatus();
+                ids = ids.filter(id => !Store.isAttended(Store.getStatus(id)));
+            }
+            const count = Store.setStatuses(ids, status);
+            Handlers.exitSelection();
+            Renderer.renderAll();
+            UI.showToast(`${count} marked ${Utils.capitalizeStatus(status)}`, status === CONFIG.STATUSES.ABSENT ? 'error' : 'success');
+        },
+
+        exitSelection() {
+            if (!Store.selecting && Store.selectedIds.size === 0) return;
+            Store.selecting = false;
+            Store.selectedIds.clear();
+            Renderer.scheduleRender();
+        },
+
+        // True (with a toast) when the calendar says this batch doesn't run on the selected date
+        _blockedByCalendar() {
+            const day = Calendar.dayInfo(Store.currentDate, Store.currentBatch);
+            if (day.session || !CONFIG.CALENDAR.BLOCK_NON_SESSION_DAYS) return false;
+            UI.showToast(`🏖️ No session on this day — ${day.reason}`, 'info');
+            return true;
+        },
+
+        onPileToggle(e) {
+            const chevron = e.currentTarget.querySelector('.pile-header__chevron');
+            const list = e.currentTarget.nextElementSibling;
+            if (list.classList.contains('collapsed')) {
+                list.classList.remove('collapsed');
+                list.style.maxHeight = list.scrollHeight + 'px';
+                chevron.classList.remove('collapsed');
+            } else {
+                list.classList.add('collapsed');
+                chevron.classList.add('collapsed');
+            }
+        },
+
+        // --- Save Flow ---
+        async onSaveClick() {
+            if (Store.isLocked() || Outbox.hasPendingSave(Store.currentDate, Store.currentBatch)) return;
+            if (Handlers._blockedByCalendar()) return;
+            const day = Calendar.dayInfo(Store.currentDate, Store.currentBatch);
+            if (!day.session && !confirm(`${day.reason}: no session is scheduled on this day. Save attendance anyway?`)) return;
+            if (!Auth.canSaveBatch(Store.currentBatch)) {
+                if (Auth.isSignedIn()) {
+                    const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
+                    UI.showToast(`You are not assigned to ${batchConfig.name}`, 'error');
+                } else {
+                    Auth.prompt('Sign in to save attendance', () => Handlers.onSaveClick());
+                }
+                return;
+            }
+            Handlers._resetPhoto();
+
+            const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
+            dom.saveModalInfo.textContent = `Upload a photo as proof before saving attendance for ${batchConfig.name}.`;
+            this._renderSaveSummary(true);
+            dom.saveModal.classList.add('active');
+
+            // The other phones' latest marks arrive while the photo is being taken. Nothing waits for
+            // them: on a bad connection the save goes ahead with what this phone has.
+            const key = Store.lockKey(Store.currentDate, Store.currentBatch);
+            const stillOpen = () => dom.saveModal.classList.contains('active') && key === Store.lockKey(Store.currentDate, Store.currentBatch);
+            DraftSync.syncNow().then(current => {
+                if (!stillOpen()) return;
+                if (current) this._renderSaveSummary(false);
+                else dom.saveModal.classList.remove('active'); // saved on another phone meanwhile
+            });
+        },
+
+        _renderSaveSummary(syncing) {
+            const { visible, present, late, absent, leave, unmarked } = Store.getComputed();
+            const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
+            const syncLine = syncing && DraftSync._active(Store.currentDate, Store.currentBatch) ? '<br>🔄 <em>Fetching the other phones\' latest marks…</em>' : '';
+            dom.saveSummary.innerHTML = `
+                <strong>📅 ${Utils.formatDateDisplay(Store.currentDate)}</strong><br>
+                <strong>🧘 ${batchConfig.name} — ${batchConfig.time}</strong><br><br>
+                ✅ Present: <strong>${present.length}</strong><br>
+                🕒 Late: <strong>${late.length}</strong><br>
+                ❌ Absent: <strong>${absent.length}</strong><br>
+                🔘 Leave: <strong>${leave.length}</strong><br>
+                ⚪ Unmarked: <strong>${unmarked.length}</strong><br>
+                📊 Total: <strong>${visible.length}</strong>${syncLine}
+            `;
+        },
+
+        // Back to "no photo yet" in the save dialog
+        _resetPhoto() {
+            Store.photo = null;
+            Store.photoBase64 = null;
+            Store.photoMeta = null;
+            dom.photoPreview.style.display = 'none';
+            dom.photoIcon.style.display = '';
+            dom.photoText.textContent = 'Tap to capture or upload photo';
+            dom.photoSubtext.textContent = 'Photo is compulsory for saving';
+            dom.photoUpload.classList.remove('has-photo', 'has-warning');
+            dom.confirmSaveBtn.disabled = true;
+        },
+
+        onPhotoSelected(e) {
+            const file = e.target.files[0];
+            if (!file) return;
+            Store.photo = file;
+            const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
+            dom.photoText.textContent = 'Reading photo...';
+            ImageUtils.prepareProof(file, Store.currentDate, batchConfig).then(({ base64, meta }) => {
+                const warning = ImageUtils.captureWarning(meta, batchConfig);
+                Store.photoBase64 = base64;
+                Store.photoMeta = meta;
+                dom.photoPreview.src = base64;
+                dom.photoPreview.style.display = '';
+                dom.photoIcon.style.display = 'none';
+                dom.photoText.textContent = 'Photo captured ✓';
+                dom.photoSubtext.textContent = warning ? `⚠️ ${warning} — tap to change` : 'Tap to change';
+                dom.photoUpload.classList.add('has-photo');
+                dom.photoUpload.classList.toggle('has-warning', !!warning);
+                dom.confirmSaveBtn.disabled = false;
+                if (warning) UI.showToast(`⚠️ ${warning}`, 'info');
+            }).catch(err => {
+                console.error('Photo read error:', err);
+                Handlers._resetPhoto();
+                dom.photoInput.value = '';
+                UI.showToast(`❌ ${err.message}`, 'error');
+            });
+        },
+
+        async onConfirmSave() {
+            if (!Store.photoBase64) {
+                UI.showToast('Photo is required!', 'error');
+                return;
+            }
+            dom.confirmSaveBtn.disabled = true;
+            dom.confirmSaveBtn.innerHTML = '<div class="spinner" style="width:20px;height:20px;border-width:2px;margin:0;"></div> Saving...';
+
+            const { visible } = Store.getComputed();
+            const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
+            const timeStr = new Date().toLocaleTimeString('en-US', { hour12: false });
+
+            const records = visible.map(s => {
+                const status = Store.getStatus(s.id);
+                const detail = Store.getDetail(s.id);
+                return {
+                    date: Store.currentDate,
+                    batch: batchConfig.name,
+                    batchId: Store.currentBatch,
+                    batchTime: batchConfig.time,
+                    studentId: s.id,
+                    studentName: s.name,
+                    appNumber: s.appNumber,
+                    status,
+                    leaveType: status === CONFIG.STATUSES.LEAVE ? detail.leaveType : '',
+                    note: detail.note,
+                    markedAt: status === CONFIG.STATUSES.UNMARKED ? '' : detail.markedAt,
+                    time: timeStr
+                };
+            });
+
+            StorageManager.saveRecords(records);
+
+            if (CONFIG.API_URL) {
+                // Queue first, send second — nothing taken in the yard is lost if the Wi-Fi drops
+                const saveEntry = Outbox.add('save', {
+                    date: Store.currentDate,
+                    batchKey: Store.currentBatch,
+                    batch: batchConfig.name,
+                    time: timeStr,
+                    records: records.map(r => ({
+                        studentId: r.studentId, studentName: r.studentName, appNumber: r.appNumber, status: r.status,
+                        leaveType: r.leaveType, note: r.note, markedAt: r.markedAt
+                    }))
+                });
+                Outbox.add('photo', {
+                    date: Store.currentDate,
+                    batchKey: Store.currentBatch,
+                    batch: batchConfig.name,
+                    photo: Store.photoBase64,
+                    meta: Store.photoMeta
+                });
+
+                // The outbox owns delivery from here on; the batch stays read-only and
+                // locks once the sheet confirms every chunk was committed
+                dom.saveModal.classList.remove('active');
+                Renderer.renderAll();
+                UI.showToast('📤 Saving to Google Sheet...', 'info');
+
+                await Outbox.flush();
+                if (saveEntry.status !== 'synced') {
+                    UI.showToast('📥 Saved on device — will sync when back online', 'info');
+                }
+            } else {
+                Store.lockCurrentBatch(null);
+                dom.saveModal.classList.remove('active');
+                Renderer.renderAll();
+                UI.showToast('Attendance saved locally! ✅', 'success');
+            }
+
+            dom.confirmSaveBtn.disabled = false;
+            dom.confirmSaveBtn.innerHTML = '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><polyline points="20 6 9 17 4 12"/></svg> Confirm & Save';
+        },
+
+        onOutboxClick(e) {
+            const btn = e.target.closest('[data-outbox-id]');
+            if (!btn) return;
+            if (!confirm('Discard this pending upload? It will never reach the Google Sheet.')) return;
+            Outbox.remove(btn.dataset.outboxId);
+        },
+
+        onOnline() {
+            UI.showToast('🌐 Back online — syncing pending saves...', 'info');
+            Outbox.flush();
+        },
+
+        // --- Popover (⋯ on a card): status, leave type and note ---
+        _popoverStudentId: null,
+
+        openPopover(studentId, anchor) {
+            const student = Store.getStudent(studentId);
+            const status = Store.getStatus(studentId);
+            const { leaveType, note } = Store.getDetail(studentId);
+            Handlers._popoverStudentId = studentId;
+            dom.popoverName.textContent = student ? student.name : studentId;
+            dom.popoverNote.maxLength = CONFIG.NOTE_MAX_CHARS;
+            dom.popoverNote.value = note;
+            dom.popoverLeaveTypes.querySelectorAll('[data-leave-type]').forEach(btn => {
+                btn.classList.toggle('selected', status === CONFIG.STATUSES.LEAVE && btn.dataset.leaveType === leaveType);
+            });
+
+            // Below the button, or above it when it would run off the screen
+            dom.statusPopover.classList.add('active');
+            const rect = anchor.getBoundingClientRect();
+            const width = dom.statusPopover.offsetWidth;
+            const height = dom.statusPopover.offsetHeight;
+            const top = rect.bottom + height + 8 > window.innerHeight ? Math.max(8, rect.top - height - 4) : rect.bottom + 4;
+            dom.statusPopover.style.top = `${top}px`;
+            dom.statusPopover.style.left = `${Math.max(8, Math.min(rect.right - width, window.innerWidth - width - 8))}px`;
+        },
+
+        closePopover() {
+            dom.statusPopover.classList.remove('active');
+            Handlers._popoverStudentId = null;
+        },
+
+        // Any button also keeps the note as typed; a leave type button puts the student on Leave
+        onPopoverAction(e) {
+            const btn = e.target.closest('[data-action]');
+            const studentId = Handlers._popoverStudentId;
+            if (!btn || !studentId) return;
+            if (Handlers._editBlocked()) { Handlers.closePopover(); return; }
+
+            const action = btn.dataset.action;
+            if (action !== 'note' && Store.getStatus(studentId) !== action) Store.setStatus(studentId, action);
+            const detail = { note: dom.popoverNote.value };
+            if (action === CONFIG.STATUSES.LEAVE) detail.leaveType = btn.dataset.leaveType || '';
+            Store.setDetail(studentId, detail);
+
+            Handlers.closePopover();
+            Renderer.renderAll();
+            if (action === CONFIG.STATUSES.LEAVE) UI.showToast(`On Leave — ${Utils.leaveTypeLabel(detail.leaveType)}`, 'info');
+            else if (action === 'note') UI.showToast(detail.note.trim() ? '📝 Note saved' : 'Note removed', 'info');
+        },
+
+        // --- Bottom Nav ---
+        onBottomNavClick(e) {
+            const item = e.currentTarget;
+            const tab = item.dataset.tab;
+            dom.bottomNav.querySelectorAll('.bottom-nav__item').forEach(i => i.classList.remove('active'));
+            item.classList.add('active');
+
+            switch (tab) {
+                case 'home': MergeView.close(); break;
+                case 'report': MergeView.open(); break;
+                case 'section': SectionView.open(); break;
+                case 'sync':
+                    Handlers.onRefresh();
+                    UI.showToast('Syncing students + attendance...', 'info');
+                    break;
+            }
+        },
+
+        // --- Settings (Admin only) ---
+        openSettings() {
+            Auth.require(Auth.ROLES.ADMIN, 'Settings are for admins', () => Handlers._showSettings());
+        },
+
+        _showSettings() {
+            dom.settingSheetId.value = CONFIG.SHEET_ID || '';
+            dom.settingSheetGid.value = CONFIG.SHEET_GID || '';
+            dom.settingApiUrl.value = CONFIG.API_URL || '';
+            dom.settingSaveSheetId.value = CONFIG.SAVE_SHEET_ID || '';
+            dom.settingRetentionDays.value = CONFIG.STORAGE.RETENTION_DAYS;
+            dom.settingsOverlay.classList.add('active');
+            Handlers.renderStorageUsage();
+        },
+
+        async renderStorageUsage() {
+            dom.storageUsage.textContent = 'Measuring…';
+            const u = await StorageManager.usage();
+            const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+            const size = u.bytes === null ? '' : u.quota ? ` · ${mb(u.bytes)} of ${mb(u.quota)} used` : ` · ${mb(u.bytes)} used`;
+            dom.storageUsage.textContent = `${u.batches} batch${u.batches === 1 ? '' : 'es'} over ${u.dates} day${u.dates === 1 ? '' : 's'} on this device${size}`;
+            dom.storageUsage.classList.toggle('storage-usage--full', !!(u.quota && u.bytes / u.quota > CONFIG.STORAGE.WARN_USAGE_PCT / 100));
+        },
+
+        // Keep synced days for N days (0 = forever); a shorter window prunes straight away
+        async onRetentionChange() {
+            const days = parseInt(dom.settingRetentionDays.value, 10);
+            if (!Number.isInteger(days) || days < 0) {
+                dom.settingRetentionDays.value = CONFIG.STORAGE.RETENTION_DAYS;
+                UI.showToast('Enter a number of days (0 keeps everything)', 'error');
+                return;
+            }
+            CONFIG.STORAGE.RETENTION_DAYS = days;
+            StorageManager.saveSettings();
+            const removed = await StorageManager.prune();
+            if (removed) {
+                Store._invalidateCache();
+                Renderer.renderAll();
+            }
+            UI.showToast(removed ? `🧹 ${removed} synced day${removed === 1 ? '' : 's'} removed from this device` : 'Retention saved ✓', 'success');
+            Handlers.renderStorageUsage();
+        },
+
+        onAuthMenu() {
+            closeSidebar();
+            if (Auth.isSignedIn()) Auth.signOut();
+            else Auth.prompt('Sign in to save attendance');
+        },
+
+        openAbout() {
+            dom.aboutOverlay.classList.add('active');
+        },
+
+        onSaveSettings() {
+            UI.showToast('Settings saved ✓', 'success');
+            dom.settingsOverlay.classList.remove('active');
+            Handlers.applySettings({
+                sheetId: dom.settingSheetId.value.trim(),
+                sheetGid: dom.settingSheetGid.value.trim(),
+                apiUrl: dom.settingApiUrl.value.trim(),
+                saveSheetId: dom.settingSaveSheetId.value.trim()
+            });
+        },
+
+        // Point the app at a sheet / API (Settings form, Restore backup). Empty sheet IDs keep the current ones.
+        applySettings({ sheetId, sheetGid, apiUrl, saveSheetId }) {
+            if (sheetId) CONFIG.SHEET_ID = sheetId;
+            if (saveSheetId) CONFIG.SAVE_SHEET_ID = saveSheetId;
+            if (sheetGid) CONFIG.SHEET_GID = sheetGid;
+            CONFIG.API_URL = apiUrl;
+            StorageManager.saveSettings();
+            Auth.render();
+            API.fetchStudents();
+            // Possibly another sheet now — start the history over instead of syncing changes onto the old one
+            Store.history = {};
+            Store.historyLoaded = false;
+            API.fetchAttendance(Store.currentDate);
+        },
+
+        // Admin: delete the saved rows on the sheet so the batch can be corrected and saved again
+        async onUnlockBatch() {
+            if (!CONFIG.API_URL) {
+                UI.showToast('Set the Apps Script API URL first', 'error');
+                return;
+            }
+            const dateKey = Store.currentDate;
+            const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
+            const reason = prompt(`Unlock ${batchConfig.name} on ${Utils.formatDateDisplay(dateKey)}? Its saved rows will be removed from the sheet until it is saved again.\n\nTo fix a single student, tap them on the saved batch instead.\n\nReason (recorded in the audit log):`);
+            if (reason === null) return;
+            if (!reason.trim()) {
+                UI.showToast('A reason is required to unlock', 'error');
+                return;
+            }
+
+            try {
+                const resp = await API.jsonp({ action: 'unlockBatch', date: dateKey, batchId: batchConfig.id, batch: batchConfig.name, reason: reason.trim() });
+                if (resp.authError) { Auth.onAuthError(resp.error); return; }
+                if (!resp.success) { UI.showToast('❌ ' + (resp.error || 'Unlock failed'), 'error'); return; }
+
+                Store.lockedBatches.delete(Store.lockKey(dateKey, batchConfig.id));
+                Store.photoUrls.delete(Store.lockKey(dateKey, batchConfig.id));
+                if (Store.history[dateKey]) delete Store.history[dateKey][batchConfig.id];
+                StorageManager.saveBatch(dateKey, batchConfig.id);
+                Store._invalidateCache();
+                Renderer.renderAll();
+                dom.settingsOverlay.classList.remove('active');
+                UI.showToast(`🔓 ${batchConfig.name} unlocked (${resp.removed} rows removed)`, 'success');
+            } catch (err) {
+                UI.showToast(err.network ? '📡 Offline — unlocking needs a connection' : err.message, 'error');
+            }
+        },
+
+        onClearToday() {
+            if (!confirm('Clear today\'s attendance data? This cannot be undone.')) return;
+            const dateKey = Store.currentDate;
+            delete Store.attendance[dateKey];
+            delete Store.details[dateKey];
+            UndoStack.clear(dateKey);
+            Store.lockedBatches.forEach(k => { if (k.startsWith(dateKey + '|')) Store.lockedBatches.delete(k); });
+            Store.photoUrls.forEach((url, k) => { if (k.startsWith(dateKey + '|')) Store.photoUrls.delete(k); });
+            StorageManager.deleteDate(dateKey);
+            Store.initDateBatch(Store.currentDate, Store.currentBatch);
+            Store._invalidateCache();
+            Renderer.renderAll();
+            UI.showToast('Today\'s data cleared', 'info');
+        },
+
+        onClearAll() {
+            if (!confirm('Clear ALL local attendance data? This cannot be undone!')) return;
+            Store.attendance = {};
+            Store.details = {};
+            Store.lockedBatches.clear();
+            Store.photoUrls.clear();
+            UndoStack.clear();
+            StorageManager.clearAll();
+            Store.initDateBatch(Store.currentDate, Store.currentBatch);
+            Store._invalidateCache();
+            Renderer.renderAll();
+            UI.showToast('All local data cleared', 'info');
+        }
+    };
+
+    // =============================================
+    // MODULE 15: IMAGE UTILS
+    // =============================================
+    // Redrawing onto a canvas drops the EXIF block, so the capture time is read from the original file
+    // first. The date, batch and capture time are then printed onto the JPEG itself.
+    const ImageUtils = {
+        // Resolves the resized JPEG as a data URL; rejects when the file can't be read or decoded (HEIC, corrupt)
+        compress(file, stampLines = []) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    const img = new Image();
+                    img.onload = () => {
+                        const canvas = document.createElement('canvas');
+                        let w = img.width, h = img.height;
+                        if (w > CONFIG.PHOTO.MAX_WIDTH) { h = (CONFIG.PHOTO.MAX_WIDTH / w) * h; w = CONFIG.PHOTO.MAX_WIDTH; }
+                        if (h > CONFIG.PHOTO.MAX_HEIGHT) { w = (CONFIG.PHOTO.MAX_HEIGHT / h) * w; h = CONFIG.PHOTO.MAX_HEIGHT; }
+                        canvas.width = w;
+                        canvas.height = h;
+                        const ctx = canvas.getContext('2d');
+                        ctx.drawImage(img, 0, 0, w, h);
+                        if (stampLines.length) this._stamp(ctx, w, h, stampLines);
+                        resolve(canvas.toDataURL('image/jpeg', CONFIG.PHOTO.QUALITY));
+                    };
+                    img.onerror = () => reject(new Error('This photo format can\'t be opened here — pick a JPEG or PNG'));
+                    img.src = e.target.result;
+                };
+                reader.onerror = () => reject(new Error('Could not read that photo — pick it again'));
+                reader.readAsDataURL(file);
+            });
+        },
+
+        // White text on a dark band along the bottom edge, sized to the photo
+        _stamp(ctx, w, h, lines) {
+            const size = Math.max(12, Math.round(w / 40));
+            const lineHeight = Math.round(size * 1.3);
+            const pad = Math.round(size / 2);
+            const band = lines.length * lineHeight + pad * 2;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            ctx.fillRect(0, h - band, w, band);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = `600 ${size}px sans-serif`;
+            ctx.textBaseline = 'top';
+            lines.forEach((line, i) => ctx.fillText(line, pad, h - band + pad + i * lineHeight, w - pad * 2));
+        },
+
+        // EXIF DateTimeOriginal (else DateTime) as a local Date, or null. The EXIF block sits at the
+        // start of a JPEG, so only the first 128 KB is read.
+        readCaptureTime(file) {
+            return new Promise(resolve => {
+                const reader = new FileReader();
+                reader.onload = () => {
+                    try {
+                        resolve(this._exifDate(new DataView(reader.result)));
+                    } catch (err) {
+                        resolve(null); // truncated or odd EXIF — treat as absent
+                    }
+                };
+                reader.onerror = () => resolve(null);
+                reader.readAsArrayBuffer(file.slice(0, 128 * 1024));
+            });
+        },
+
+        _exifDate(view) {
+            if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null; // not a JPEG
+            let offset = 2;
+            while (offset + 10 <= view.byteLength) {
+                const marker = view.getUint16(offset);
+                if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return null; // image data, no EXIF
+                if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // APP1 "Exif"
+                    return this._tiffDate(view, offset + 10);
+                }
+                offset += 2 + view.getUint16(offset + 2);
+            }
+            return null;
+        },
+
+        _tiffDate(view, tiff) {
+            const little = view.getUint16(tiff) === 0x4949; // "II" = Intel byte order
+            const u16 = (o) => view.getUint16(tiff + o, little);
+            const u32 = (o) => view.getUint32(tiff + o, little);
+            const readTags = (ifd) => {
+                const tags = {};
+                for (let i = 0, count = u16(ifd); i < count; i++) {
+                    const entry = ifd + 2 + i * 12;
+                    tags[u16(entry)] = { type: u16(entry + 2), count: u32(entry + 4), value: u32(entry + 8) };
+                }
+                return tags;
+            };
+            // "YYYY:MM:DD HH:MM:SS" — 20 bytes with the terminator, so the entry holds an offset
+            const text = (tag) => {
+                if (!tag || tag.type !== 2 || tag.count < 19) return '';
+                let s = '';
+                for (let i = 0; i < 19; i++) s += String.fromCharCode(view.getUint8(tiff + tag.value + i));
+                return s;
+            };
+
+            const ifd0 = readTags(u32(4));
+            const exif = ifd0[0x8769] ? readTags(ifd0[0x8769].value) : {};
+            const m = (text(exif[0x9003]) || text(ifd0[0x0132])).match(/^(\d{4}):(\d\d):(\d\d) (\d\d):(\d\d):(\d\d)/);
+            if (!m || m[1] === '0000') return null;
+            return new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+        },
+
+        // Best effort: null when turned off in config, denied, or no fix within the timeout
+        getLocation() {
+            if (!CONFIG.PHOTO.GEOLOCATION || !navigator.geolocation) return Promise.resolve(null);
+            return new Promise(resolve => {
+                navigator.geolocation.getCurrentPosition(
+                    pos => resolve({
+                        lat: +pos.coords.latitude.toFixed(5),
+                        lng: +pos.coords.longitude.toFixed(5),
+                        accuracy: Math.round(pos.coords.accuracy)
+                    }),
+                    () => resolve(null),
+                    { timeout: CONFIG.PHOTO.GEO_TIMEOUT_MS, maximumAge: 5 * 60000 }
+                );
+            });
+        },
+
+        // The batch's session on dateKey, widened by SESSION_BEFORE_MIN / SESSION_AFTER_MIN around its start
+        sessionWindow(dateKey, batchConfig) {
+            const start = Utils.batchStart(dateKey, batchConfig);
+            if (!start) return null;
+            return {
+                from: new Date(start.getTime() - CONFIG.PHOTO.SESSION_BEFORE_MIN * 60000),
+                to: new Date(start.getTime() + CONFIG.PHOTO.SESSION_AFTER_MIN * 60000)
+            };
+        },
+
+        formatCaptureTime(date) {
+            return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+        },
+
+        // Capture time and location, checked against the session, and the compressed photo with them
+        // printed on it. Without EXIF the file's modified time stands in (source 'file').
+        // Resolves { base64, meta }; meta is what the sheet stores beside Photo_URL.
+        async prepareProof(file, dateKey, batchConfig) {
+            const [exifTime, location] = await Promise.all([this.readCaptureTime(file), this.getLocation()]);
+            const capturedAt = exifTime || (file.lastModified ? new Date(file.lastModified) : null);
+            const session = this.sessionWindow(dateKey, batchConfig);
+
+            const meta = {
+                capturedAt: capturedAt ? capturedAt.toISOString() : '',
+                source: exifTime ? 'exif' : capturedAt ? 'file' : 'none',
+                inWindow: capturedAt && session ? capturedAt >= session.from && capturedAt <= session.to : null,
+                stampedAt: new Date().toISOString(),
+                ...(location || {})
+            };
+
+            const lines = [
+                `${Utils.formatDateDisplay(dateKey)} · ${batchConfig.name} (${batchConfig.time})`,
+                (capturedAt ? `Taken ${this.formatCaptureTime(capturedAt)}` : 'Capture time unknown') +
+                    (location ? ` · ${location.lat}, ${location.lng}` : '')
+            ];
+            const base64 = await this.compress(file, lines);
+            return { base64, meta };
+        },
+
+        // '' when the photo looks like it was taken during the session
+        captureWarning(meta, batchConfig) {
+            if (!meta || meta.inWindow !== false) return '';
+            return `Taken ${this.formatCaptureTime(new Date(meta.capturedAt))}, not during the ${batchConfig.time} session`;
+        }
+    };
+
+    // =============================================
+    // MODULE 16: MERGE VIEW
+    // =============================================
+    const MergeView = {
+        // Status of every configured batch for one student: '—' when that batch has no data for the date
+        _batchStatuses(batchDataList, studentId) {
+            return batchDataList.map(data => data ? (Store.readStatus(data, studentId) || 'unmarked') : '—');
+        },
+
+        // Leave type of each batch (where on Leave), when each batch marked the student, and the notes
+        // of the day, "B1 (5:30): …" when there are several batches
+        _batchDetails(dateKey, statuses, studentId) {
+            const leaveTypes = [];
+            const markedAts = [];
+            const notes = [];
+            CONFIG.BATCHES.forEach((b, i) => {
+                const detail = statuses[i] === '—' ? { leaveType: '', note: '', markedAt: '' } : Store.getDetail(studentId, dateKey, b.id);
+                leaveTypes.push(statuses[i] === 'leave' ? detail.leaveType : '');
+                markedAts.push(statuses[i] === 'unmarked' ? '' : detail.markedAt);
+                if (detail.note) notes.push(CONFIG.BATCHES.length > 1 ? `${b.shortName}: ${detail.note}` : detail.note);
+            });
+            return { leaveTypes, markedAts, note: notes.join(' · ') };
+        },
+
+        // Leave type behind a final Leave: the first batch that was on leave with one
+        _finalLeaveType(finalStatus, statuses, leaveTypes) {
+            if (finalStatus !== 'leave') return '';
+            return leaveTypes.find((t, i) => statuses[i] === 'leave' && t) || '';
+        },
+
+        _finalOf(statuses) {
+            const recorded = statuses.filter(s => s !== '—');
+            return recorded.length ? Store.getFinalStatus(...recorded) : '—';
+        },
+
+        open() {
+            const dateKey = Store.currentDate;
+            const batchDataList = CONFIG.BATCHES.map(b => Store.attendance[dateKey]?.[b.id]);
+
+            if (batchDataList.every(data => !data)) {
+                UI.showToast('No attendance data for today', 'error');
+                return;
+            }
+
+            // Fetch photo URLs on-demand if not already available
+            if (CONFIG.API_URL) {
+                CONFIG.BATCHES.forEach(b => {
+                    const photoKey = Store.lockKey(dateKey, b.id);
+                    if (Store.photoUrls.get(photoKey)) return; // Already have it
+                    API.jsonp({ action: 'getPhotoUrl', date: dateKey, batchId: b.id, batch: b.name }, 10000)
+                        .then(resp => {
+                            if (resp.photoUrl) {
+                                Store.photoUrls.set(photoKey, resp.photoUrl);
+                                StorageManager.saveBatch(dateKey, b.id);
+                            }
+                        })
+                        .catch(() => { /* photo links are optional in the report */ });
+                });
+            }
+
+            dom.mergeTitle.textContent = `Merged — ${Utils.formatDateDisplay(Store.currentDate)}`;
+
+            // Build merged data with single-pass counting
+            const students = Store.getEnrolledStudents(Store.currentDate);
+            const merged = [];
+            const batchCounts = CONFIG.BATCHES.map(() => ({ present: 0, late: 0, absent: 0 }));
+            let finalPresent = 0, finalLate = 0, finalAbsent = 0, finalLeave = 0, finalUnmarked = 0;
+
+            for (let i = 0; i < students.length; i++) {
+                const s = students[i];
+                const statuses = this._batchStatuses(batchDataList, s.id);
+                const finalStatus = this._finalOf(statuses);
+                const { leaveTypes, markedAts, note } = this._batchDetails(dateKey, statuses, s.id);
+
+                // Single-pass counting
+                statuses.forEach((status, b) => {
+                    if (status === 'present') batchCounts[b].present++;
+                    else if (status === 'late') batchCounts[b].late++;
+                    else if (status === 'absent') batchCounts[b].absent++;
+                });
+                if (finalStatus === 'present') finalPresent++;
+                else if (finalStatus === 'late') finalLate++;
+                else if (finalStatus === 'absent') finalAbsent++;
+                else if (finalStatus === 'leave') finalLeave++;
+                else if (finalStatus === 'unmarked') finalUnmarked++;
+
+                merged.push({
+                    name: s.name, appNumber: s.appNumber, id: s.id, statuses, leaveTypes, markedAts, note, finalStatus,
+                    finalLeaveType: this._finalLeaveType(finalStatus, statuses, leaveTypes)
+                });
+            }
+
+            merged.sort((a, b) => a.name.localeCompare(b.name));
+
+            // Build table
+            let tableHTML = `<table class="merge-table"><thead><tr><th>#</th><th>Student Name</th>${CONFIG.BATCHES.map(b => `<th>${Utils.escapeHtml(b.shortName)}</th>`).join('')}<th>Final</th></tr></thead><tbody>`;
+            for (let i = 0; i < merged.length; i++) {
+                const s = merged[i];
+                const batchCells = s.statuses.map((status, b) => `<td><span class="status-pill status-pill--${status}">${Utils.escapeHtml(Utils.statusLabel(status, s.leaveTypes[b], s.markedAts[b]))}</span></td>`).join('');
+                const noteLine = s.note ? `<div style="font-size:0.68rem;color:var(--text-secondary);">📝 ${Utils.escapeHtml(s.note)}</div>` : '';
+                tableHTML += `<tr><td>${i + 1}</td><td><div style="font-weight:600;font-size:0.8rem;">${Utils.escapeHtml(s.name)}</div><div style="font-size:0.68rem;color:var(--text-muted);">${Utils.escapeHtml(s.appNumber)}</div>${noteLine}</td>${batchCells}<td><span class="status-pill status-pill--${s.finalStatus}" style="font-weight:700;">${Utils.escapeHtml(Utils.statusLabel(s.finalStatus, s.finalLeaveType))}</span></td></tr>`;
+            }
+            tableHTML += '</tbody></table>';
+
+            const batchCards = CONFIG.BATCHES.map((b, i) => `
+                    <div style="flex:1;min-width:70px;background:var(--present-bg);border-radius:12px;padding:10px;text-align:center;"><div style="font-size:0.65rem;color:var(--present);font-weight:600;text-transform:uppercase;">${Utils.escapeHtml(b.shortName)} Present</div><div style="font-size:1.3rem;font-weight:800;color:var(--present);">${batchCounts[i].present}</div></div>
+                    <div style="flex:1;min-width:70px;background:var(--late-bg);border-radius:12px;padding:10px;text-align:center;"><div style="font-size:0.65rem;color:var(--late);font-weight:600;text-transform:uppercase;">${Utils.escapeHtml(b.shortName)} Late</div><div style="font-size:1.3rem;font-weight:800;color:var(--late);">${batchCounts[i].late}</div></div>
+                    <div style="flex:1;min-width:70px;background:var(--absent-bg);border-radius:12px;padding:10px;text-align:center;"><div style="font-size:0.65rem;color:var(--absent);font-weight:600;text-transform:uppercase;">${Utils.escapeHtml(b.shortName)} Absent</div><div style="font-size:1.3rem;font-weight:800;color:var(--absent);">${batchCounts[i].absent}</div></div>`).join('');
+
+            dom.mergeBody.innerHTML = `
+                <div style="display:flex;flex-wrap:wrap;gap:8px;margin-bottom:12px;">
+                    ${batchCards}
+                </div>
+                <div style="display:flex;gap:8px;margin-bottom:16px;padding:12px;background:linear-gradient(135deg,#4F46E5,#7C3AED);border-radius:12px;color:white;">
+                    <div style="flex:1;text-align:center;"><div style="font-size:0.65rem;font-weight:600;text-transform:uppercase;opacity:0.85;">Final Present</div><div style="font-size:1.5rem;font-weight:800;">${finalPresent}</div></div>
+                    <div style="flex:1;text-align:center;"><div style="font-size:0.65rem;font-weight:600;text-transform:uppercase;opacity:0.85;">Final Late</div><div style="font-size:1.5rem;font-weight:800;">${finalLate}</div></div>
+                    <div style="flex:1;text-align:center;"><div style="font-size:0.65rem;font-weight:600;text-transform:uppercase;opacity:0.85;">Final Absent</div><div style="font-size:1.5rem;font-weight:800;">${finalAbsent}</div></div>
+                    <div style="flex:1;text-align:center;"><div style="font-size:0.65rem;font-weight:600;text-transform:uppercase;opacity:0.85;">Final Leave</div><div style="font-size:1.5rem;font-weight:800;">${finalLeave}</div></div>
+                    <div style="flex:1;text-align:center;"><div style="font-size:0.65rem;font-weight:600;text-transform:uppercase;opacity:0.85;">Unmarked</div><div style="font-size:1.5rem;font-weight:800;">${finalUnmarked}</div></div>
+                </div>
+                ${tableHTML}
+            `;
+            dom.mergeOverlay.classList.add('active');
+        },
+
+        close() {
+            dom.mergeOverlay.classList.remove('active');
+        },
+
+        // Export column label for a batch, e.g. "Batch 01 (5:30 AM)"
+        batchColumn(batch) {
+            return `${batch.name} (${batch.time})`;
+        },
+
+        getMergedExportData() {
+            const dateKey = Store.currentDate;
+            const batchDataList = CONFIG.BATCHES.map(b => Store.attendance[dateKey]?.[b.id]);
+
+            return Store.getEnrolledStudents(dateKey)
+                .map(s => {
+                    const statuses = this._batchStatuses(batchDataList, s.id);
+                    const { leaveTypes, markedAts, note } = this._batchDetails(dateKey, statuses, s.id);
+                    const finalStatus = this._finalOf(statuses);
+                    const finalLeaveType = this._finalLeaveType(finalStatus, statuses, leaveTypes);
+                    const row = { 'Sr. No.': 0, 'Student Name': s.name, 'App Number': s.appNumber, 'Student ID': s.id };
+                    CONFIG.BATCHES.forEach((b, i) => { row[this.batchColumn(b)] = Utils.statusLabel(statuses[i], leaveTypes[i], markedAts[i]); });
+                    row['Final Status'] = Utils.capitalizeStatus(finalStatus);
+                    row['Leave Type'] = finalLeaveType ? Utils.leaveTypeLabel(finalLeaveType) : '';
+                    row['Note'] = note;
+                    row['Date'] = Store.currentDate;
+                    return row;
+                })
+                .sort((a, b) => a['Student Name'].localeCompare(b['Student Name']))
+                .map((row, i) => ({ ...row, 'Sr. No.': i + 1 }));
+        },
+
+        exportExcel() {
+            try {
+                const data = this.getMergedExportData();
+                const dateKey = Store.currentDate;
+
+                const ws = XLSX.utils.json_to_sheet(data);
+                ws['!cols'] = [{ wch: 6 }, { wch: 30 }, { wch: 15 }, { wch: 22 }, ...CONFIG.BATCHES.map(() => ({ wch: 22 })), { wch: 15 }, { wch: 16 }, { wch: 40 }, { wch: 12 }];
+                const wb = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(wb, ws, 'Attendance');
+
+                // Add Photo Links sheet with clickable hyperlinks
+                const photoData = [];
+                CONFIG.BATCHES.forEach(b => {
+                    const url = Store.photoUrls.get(Store.lockKey(dateKey, b.id)) || '';
+                    if (url) photoData.push({ 'Batch': this.batchColumn(b), 'Photo Proof Link': url });
+                });
+                if (photoData.length > 0) {
+                    const psWs = XLSX.utils.json_to_sheet(photoData);
+                    psWs['!cols'] = [{ wch: 22 }, { wch: 60 }];
+                    // Use SheetJS native 'l' property for real clickable hyperlinks
+                    photoData.forEach((row, i) => {
+                        const cellRef = XLSX.utils.encode_cell({ r: i + 1, c: 1 });
+                        const url = row['Photo Proof Link'];
+                        if (url && url.startsWith('http')) {
+                            psWs[cellRef] = {
+                                t: 's',
+                                v: '📷 Click to view photo proof',
+                                l: { Target: url, Tooltip: 'Open photo proof' }
+                            };
+                        }
+                    });
+                    XLSX.utils.book_append_sheet(wb, psWs, 'Photo Proofs');
+                }
+
+                XLSX.writeFile(wb, `Yoga_Attendance_${Store.currentDate}.xlsx`);
+                UI.showToast('Excel downloaded ✓', 'success');
+            } catch (err) {
+                console.error('Excel export error:', err);
+                UI.showToast('Excel export failed', 'error');
+            }
+        },
+
+        exportPdf() {
+            try {
+                const { jsPDF } = window.jspdf;
+                // Portrait orientation for A4
+                const doc = new jsPDF('p', 'mm', 'a4');
+                doc.setFontSize(16);
+                doc.setFont(undefined, 'bold');
+                doc.text('Yoga Attendance Report', 14, 15);
+                doc.setFontSize(10);
+                doc.setFont(undefined, 'normal');
+                doc.text(`Date: ${Utils.formatDateDisplay(Store.currentDate)}`, 14, 22);
+
+                // Photo proof hyperlinks below the title
+                const dateKey = Store.currentDate;
+                const photoLinks = CONFIG.BATCHES
+                    .map(b => ({ label: this.batchColumn(b), photoData: Store.photoUrls.get(Store.lockKey(dateKey, b.id)) || '' }))
+                    .filter(p => p.photoData);
+                let photoY = 22;
+                if (photoLinks.length > 0) {
+                    photoY += 10;
+                    let photoNum = 1;
+
+                    const drawPhotoLink = (label, photoData) => {
+                        const isUrl = photoData.startsWith('http');
+
+                        // Draw bordered box (A4 portrait: 210mm - 28mm margins = 182mm usable)
+                        doc.setDrawColor(79, 70, 229);
+                        doc.setLineWidth(0.5);
+                        doc.roundedRect(14, photoY - 4, 182, 8, 1.5, 1.5, 'S');
+
+                        // Number badge (filled circle)
+                        doc.setFillColor(79, 70, 229);
+                        doc.circle(19, photoY, 2.5, 'F');
+                        doc.setFontSize(7);
+                        doc.setFont(undefined, 'bold');
+                        doc.setTextColor(255, 255, 255);
+                        doc.text(String(photoNum), 19, photoY + 0.8, { align: 'center' });
+
+                        // Link text
+                        doc.setFontSize(9);
+                        doc.setFont(undefined, 'bold');
+                        doc.setTextColor(79, 70, 229);
+                        if (isUrl) {
+                            doc.textWithLink(label + ' - Photo Proof (click to view)', 24, photoY + 0.5, { url: photoData });
+                        } else {
+                            doc.text(label + ' - Photo Proof (captured)', 24, photoY + 0.5);
+                        }
+
+                        photoNum++;
+                        photoY += 10;
+                    };
+
+                    photoLinks.forEach(p => drawPhotoLink(p.label, p.photoData));
+
+                    doc.setTextColor(0, 0, 0);
+                    doc.setFont(undefined, 'normal');
+                }
+
+                // Notes go under the name — there is no width left for a column of their own
+                const data = this.getMergedExportData();
+                const tableData = data.map(row => [
+                    row['Sr. No.'], row['Note'] ? `${row['Student Name']}\nNote: ${row['Note']}` : row['Student Name'], row['App Number'],
+                    ...CONFIG.BATCHES.map(b => row[this.batchColumn(b)]),
+                    row['Leave Type'] ? `Leave (${row['Leave Type']})` : row['Final Status']
+                ]);
+
+                // A4 portrait = 210mm wide, margins 10mm each side → 190mm usable.
+                // Name/App No. keep their width; batch + final columns share what is left.
+                const statusColWidth = Math.min(28, Math.floor((190 - 12 - 58 - 30) / (CONFIG.BATCHES.length + 1)));
+                const columnStyles = {
+                    0: { halign: 'center', cellWidth: 12 },
+                    1: { cellWidth: 58 },
+                    2: { cellWidth: 30 }
+                };
+                CONFIG.BATCHES.forEach((b, i) => { columnStyles[3 + i] = { halign: 'center', cellWidth: statusColWidth }; });
+                columnStyles[3 + CONFIG.BATCHES.length] = { halign: 'center', cellWidth: statusColWidth, fontStyle: 'bold' };
+
+                doc.autoTable({
+                    startY: photoY + 4,
+                    head: [['#', 'Student Name', 'App No.', ...CONFIG.BATCHES.map(b => b.shortName), 'Final']],
+                    body: tableData,
+                    theme: 'grid',
+                    tableWidth: 'auto',
+                    margin: { left: 10, right: 10 },
+                    styles: { fontSize: 8, cellPadding: 3 },
+                    headStyles: { fillColor: [79, 70, 229], textColor: 255, fontStyle: 'bold', fontSize: 8.5 },
+                    alternateRowStyles: { fillColor: [248, 250, 252] },
+                    columnStyles
+                });
+
+                doc.save(`Yoga_Attendance_${Store.currentDate}.pdf`);
+                UI.showToast('PDF downloaded ✓', 'success');
+            } catch (err) {
+                console.error('PDF export error:', err);
+                UI.showToast('PDF export failed', 'error');
+            }
+        },
+
+        // --- Monthly Register (one column per day, sheet per batch + final) ---
+        openMonthly() {
+            if (!dom.monthlyMonth.value) dom.monthlyMonth.value = Store.currentDate.substring(0, 7);
+            dom.monthlyModal.classList.add('active');
+        },
+
+        closeMonthly() {
+            dom.monthlyModal.classList.remove('active');
+        },
+
+        // Month exports need the whole month, not just today — extend the history back to it if needed
+        _withHistory(fn) {
+            if (!dom.monthlyMonth.value) {
+                UI.showToast('Select a month first', 'error');
+                return;
+            }
+            const from = dom.monthlyMonth.value + '-01';
+            if (Store.hasHistoryFrom(from)) {
+                fn();
+                return;
+            }
+            UI.showToast('☁️ Loading attendance history...', 'info');
+            API.fetchAttendance(Store.currentDate, from).then(() => {
+                if (!Store.hasHistoryFrom(from)) UI.showToast('⚠️ Cloud history unavailable — using this device only', 'error');
+                fn();
+            });
+        },
+
+        getMonthlyRegister(monthKey) {
+            const [year, month] = monthKey.split('-').map(Number);
+            const dayCount = new Date(year, month, 0).getDate();
+            const days = [];
+            for (let d = 1; d <= dayCount; d++) {
+                const date = `${monthKey}-${String(d).padStart(2, '0')}`;
+                const weekday = new Date(date + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'short' });
+                days.push({ date, label: `${String(d).padStart(2, '0')} ${weekday}`, off: Calendar.isOffDay(date) });
+            }
+
+            const codes = { present: 'P', late: 'LT', absent: 'A', leave: 'L', unmarked: 'U' };
+            const monthEnd = `${monthKey}-${String(dayCount).padStart(2, '0')}`;
+            // Anyone on the roster for at least one day of the month
+            const students = Store.getAllStudents()
+                .filter(s => (!s.joinDate || s.joinDate <= monthEnd) && (!s.leaveDate || s.leaveDate >= `${monthKey}-01`))
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            // statusFor(student, day) → 'present' | 'late' | 'absent' | 'leave' | 'unmarked' | null (no saved record)
+            // offFor(day) → true when there was no session, so nothing that day counts
+            const buildSheet = (title, statusFor, offFor) => {
+                const rows = students.map((s, i) => {
+                    let p = 0, t = 0, a = 0, l = 0, u = 0;
+                    const cells = days.map(day => {
+                        if (!Store.isEnrolled(s, day.date)) return '×';
+                        if (offFor(day)) return '—';
+                        const status = statusFor(s, day);
+                        if (!status) return '';
+                        if (status === CONFIG.STATUSES.PRESENT) p++;
+                        else if (status === CONFIG.STATUSES.LATE) t++;
+                        else if (status === CONFIG.STATUSES.ABSENT) a++;
+                        else if (status === CONFIG.STATUSES.LEAVE) l++;
+                        else u++;
+                        return codes[status] || 'U';
+                    });
+                    // Late counts as attended
+                    const total = p + t + a + l + u;
+                    return { sr: i + 1, name: s.name, appNumber: s.appNumber, cells, present: p, late: t, absent: a, leave: l, unmarked: u, pct: total ? Math.round(((p + t) / total) * 100) + '%' : '—' };
+                });
+                return { title, rows };
+            };
+
+            const sheets = CONFIG.BATCHES.map(b => buildSheet(`${b.name} (${b.time})`,
+                (s, day) => Store.readStatus(Store.getSavedBatchData(day.date, b.id), s.id),
+                day => !Calendar.isSessionDay(day.date, b.id)));
+
+            sheets.push(buildSheet('Final', (s, day) => {
+                const statuses = CONFIG.BATCHES
+                    .filter(b => Calendar.isSessionDay(day.date, b.id))
+                    .map(b => Store.readStatus(Store.getSavedBatchData(day.date, b.id), s.id))
+                    .filter(Boolean);
+                if (statuses.length === 0) return null;
+                return Store.getFinalStatus(...statuses);
+            }, day => day.off));
+
+            return { monthKey, days, sheets };
+        },
+
+        exportMonthlyExcel() {
+            MergeView._withHistory(() => {
+                try {
+                    const monthKey = dom.monthlyMonth.value;
+                    const { days, sheets } = MergeView.getMonthlyRegister(monthKey);
+                    const monthLabel = Utils.formatMonthDisplay(monthKey);
+                    const wb = XLSX.utils.book_new();
+
+                    sheets.forEach(sheet => {
+                        const header = ['Sr. No.', 'Student Name', 'App Number', ...days.map(d => d.label), 'P', 'LT', 'A', 'L', 'U', '%'];
+                        const aoa = [
+                            [`Yoga Attendance Register — ${monthLabel} — ${sheet.title}`],
+                            ['P = Present · LT = Late · A = Absent · L = Leave · U = Unmarked · — = No session (weekend / holiday) · × = Not enrolled · blank = not saved · % counts Late as attended'],
+                            [],
+                            header,
+                            ...sheet.rows.map(r => [r.sr, r.name, r.appNumber, ...r.cells, r.present, r.late, r.absent, r.leave, r.unmarked, r.pct])
+                        ];
+                        const ws = XLSX.utils.aoa_to_sheet(aoa);
+                        ws['!cols'] = [{ wch: 6 }, { wch: 28 }, { wch: 14 }, ...days.map(d => ({ wch: d.off ? 4 : 6 })), { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 6 }];
+                        ws['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: header.length - 1 } }];
+                        // Sheet names are capped at 31 chars and may not contain : \ / ? * [ ]
+                        XLSX.utils.book_append_sheet(wb, ws, sheet.title.replace(/[:\\/?*[\]]/g, '.').substring(0, 31));
+                    });
+
+                    XLSX.writeFile(wb, `Yoga_Register_${monthKey}.xlsx`);
+                    UI.showToast('Monthly Excel downloaded ✓', 'success');
+                } catch (err) {
+                    console.error('Monthly Excel export error:', err);
+                    UI.showToast('Monthly Excel export failed', 'error');
+                }
+            });
+        },
+
+        exportMonthlyPdf() {
+            MergeView._withHistory(() => {
+                try {
+                    const monthKey = dom.monthlyMonth.value;
+                    const { days, sheets } = MergeView.getMonthlyRegister(monthKey);
+                    const monthLabel = Utils.formatMonthDisplay(monthKey);
+                    const { jsPDF } = window.jspdf;
+                    // Landscape A4 — 31 day columns need the width
+                    const doc = new jsPDF('l', 'mm', 'a4');
+                    const FIRST_DAY_COL = 2;
+                    const offCols = new Set(days.map((d, i) => d.off ? FIRST_DAY_COL + i : -1));
+
+                    sheets.forEach((sheet, idx) => {
+                        if (idx > 0) doc.addPage();
+                        doc.setFontSize(13);
+                        doc.setFont(undefined, 'bold');
+                        doc.text(`Yoga Attendance Register — ${monthLabel}`, 10, 12);
+                        doc.setFontSize(9);
+                        doc.setFont(undefined, 'normal');
+                        doc.text(`${sheet.title}   ·   P = Present, LT = Late, A = Absent, L = Leave, U = Unmarked, × = not enrolled, grey = no session`, 10, 18);
+
+                        doc.autoTable({
+                            startY: 22,
+                            head: [['#', 'Student Name', ...days.map(d => d.label.substring(0, 2)), 'P', 'LT', 'A', '%']],
+                            body: sheet.rows.map(r => [r.sr, r.name, ...r.cells.map(c => c === '—' ? '' : c), r.present, r.late, r.absent, r.pct]),
+                            theme: 'grid',
+                            margin: { left: 10, right: 10 },
+                            styles: { fontSize: 6, cellPadding: 1, halign: 'center' },
+                            headStyles: { fillColor: [79, 70, 229], textColor: 255, fontStyle: 'bold', fontSize: 6 },
+                            columnStyles: {
+                                0: { cellWidth: 7 },
+                                1: { cellWidth: 38, halign: 'left' }
+                            },
+                            didParseCell: (data) => {
+                                if (!offCols.has(data.column.index)) return;
+                                data.cell.styles.fillColor = data.section === 'head' ? [148, 163, 184] : [226, 232, 240];
+                            }
+                        });
+                    });
+
+                    doc.save(`Yoga_Register_${monthKey}.pdf`);
+                    UI.showToast('Monthly PDF downloaded ✓', 'success');
+                } catch (err) {
+                    console.error('Monthly PDF export error:', err);
+                    UI.showToast('Monthly PDF export failed', 'error');
+                }
+            });
+        }
+    };
+
+    // =============================================
+    // MODULE 17: SECTION VIEW
+    // =============================================
+    const SectionView = {
+        // Card gradients, cycled when there are more batches than colours
+        PALETTE: [
+            { from: '#4F46E5', to: '#6366F1', shadow: 'rgba(79,70,229,0.3)', light: 'var(--primary-light)', text: 'var(--primary)' },
+            { from: '#7C3AED', to: '#A78BFA', shadow: 'rgba(124,58,237,0.3)', light: '#EDE9FE', text: '#7C3AED' },
+            { from: '#0891B2', to: '#22D3EE', shadow: 'rgba(8,145,178,0.3)', light: '#CFFAFE', text: '#0891B2' },
+            { from: '#DB2777', to: '#F472B6', shadow: 'rgba(219,39,119,0.3)', light: '#FCE7F3', text: '#DB2777' }
+        ],
+
+        open() {
+            const dateKey = Store.currentDate;
+
+            const getStats = (data) => {
+                if (!data) return { present: 0, late: 0, absent: 0, leave: 0, unmarked: 0 };
+                let p = 0, t = 0, a = 0, l = 0, u = 0;
+                const entries = (data instanceof Map) ? data.entries() : Object.entries(data);
+                for (const [id, status] of entries) {
+                    if (!Store.isEnrolledId(id, dateKey)) continue;
+                    if (status === 'present') p++;
+                    else if (status === 'late') t++;
+                    else if (status === 'absent') a++;
+                    else if (status === 'leave') l++;
+                    else u++;
+                }
+                return { present: p, late: t, absent: a, leave: l, unmarked: u };
+            };
+
+            const statBox = (label, value) => `<div style="flex:1;background:rgba(255,255,255,0.15);border-radius:10px;padding:10px;text-align:center;"><div style="font-size:0.65rem;opacity:0.8;text-transform:uppercase;font-weight:600;">${label}</div><div style="font-size:1.5rem;font-weight:800;">${value}</div></div>`;
+
+            const cards = CONFIG.BATCHES.map((b, i) => {
+                const colors = this.PALETTE[i % this.PALETTE.length];
+                const stats = getStats(Store.attendance[dateKey]?.[b.id]);
+                const locked = Store.isDateBatchLocked(dateKey, b.id);
+                return `
+                <div style="background:linear-gradient(135deg,${colors.from},${colors.to});border-radius:16px;padding:20px;margin-bottom:16px;color:white;box-shadow:0 4px 15px ${colors.shadow};">
+                    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px;">
+                        <div style="font-weight:700;font-size:1rem;">🧘 ${Utils.escapeHtml(b.name)} — ${Utils.escapeHtml(b.time)}</div>
+                        <div style="background:${locked ? 'rgba(255,255,255,0.25)' : 'rgba(255,255,255,0.15)'};padding:4px 10px;border-radius:8px;font-size:0.7rem;font-weight:600;">${locked ? '🔒 Locked' : '🔓 Open'}</div>
+                    </div>
+                    <div style="display:flex;gap:10px;">
+                        ${statBox('Present', stats.present)}
+                        ${statBox('Late', stats.late)}
+                        ${statBox('Absent', stats.absent)}
+                        ${statBox('Leave', stats.leave)}
+                        ${statBox('Unmarked', stats.unmarked)}
+                    </div>
+                </div>`;
+            }).join('');
+
+            const buttons = CONFIG.BATCHES.map((b, i) => {
+                const colors = this.PALETTE[i % this.PALETTE.length];
+                return `<button data-batch-id="${Utils.escapeHtml(b.id)}" style="flex:1;min-width:110px;padding:12px;background:${colors.light};color:${colors.text};border:none;border-radius:12px;font-weight:700;font-size:0.8rem;cursor:pointer;">Go to ${Utils.escapeHtml(b.name)}</button>`;
+            }).join('');
+
+            dom.sectionBody.innerHTML = `
+                <div style="margin-bottom:8px;font-size:0.78rem;color:var(--text-secondary);font-weight:600;">📅 ${Utils.formatDateDisplay(Store.currentDate)}</div>
+                ${cards}
+                <div style="background:var(--surface);border-radius:16px;padding:16px;box-shadow:var(--shadow-sm);">
+                    <div style="font-weight:700;font-size:0.9rem;margin-bottom:12px;color:var(--text);">⚡ Quick Actions</div>
+                    <div style="display:flex;flex-wrap:wrap;gap:8px;">${buttons}</div>
+                </div>
+            `;
+            dom.sectionBody.querySelectorAll('[data-batch-id]').forEach(btn => btn.addEventListener('click', () => {
+                dom.batchSelect.value = btn.dataset.batchId;
+                Handlers.onBatchChange();
+                this.close();
+            }));
+            dom.sectionOverlay.classList.add('active');
+        },
 
-                if (navigator.vibrate) navigator.vibrate(30);
+        close() {
+            dom.sectionOverlay.classList.remove('active');
+        }
+    };
 
-                if (currentStatus === CONFIG.STATUSES.ABSENT) {
-                    Store.setStatus(studentId, CONFIG.STATUSES.LEAVE);
-                    UI.showToast('Moved to Leave', 'info');
-                } else {
-                    Store.setStatus(studentId, CONFIG.STATUSES.ABSENT);
-                    UI.showToast('Marked Absent', 'error');
-                }
-                Renderer.renderAll();
+    // =============================================
+    // MODULE 18: CORRECTION VIEW — Admin Edits to Saved Batches
+    // =============================================
+    const CorrectionView = {
+        _studentId: null,
+        _status: null,
+
+        open(studentId) {
+            const student = Store.getStudent(studentId);
+            if (!student) return;
+            if (!CONFIG.API_URL) {
+                UI.showToast('Saved batches can only be corrected through the Apps Script API', 'info');
                 return;
             }
 
-            Handlers._lastTapStudentId = studentId;
-            Handlers._lastTapTime = now;
-
-            clearTimeout(Handlers._singleTapTimer);
-            Handlers._singleTapTimer = setTimeout(() => {
-                Handlers._lastTapStudentId = null;
-                Handlers._lastTapTime = 0;
-
-                if (currentStatus === CONFIG.STATUSES.LEAVE) {
-                    Store.setStatus(studentId, CONFIG.STATUSES.PRESENT);
-                    UI.showToast('Marked Present', 'success');
-                } else if (currentStatus === CONFIG.STATUSES.PRESENT) {
-                    Store.setStatus(studentId, CONFIG.STATUSES.LEAVE);
-                    UI.showToast('Moved to Leave', 'info');
-                } else if (currentStatus === CONFIG.STATUSES.ABSENT) {
-                    Store.setStatus(studentId, CONFIG.STATUSES.LEAVE);
-                    UI.showToast('Moved to Leave', 'info');
-                }
-                Renderer.renderAll();
-            }, 250);
+            const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
+            const current = Store.getStatus(studentId);
+            this._studentId = studentId;
+            this._status = current;
+
+            dom.correctionTitle.textContent = student.name;
+            dom.correctionInfo.textContent = `${batchConfig.name} · ${Utils.formatDateDisplay(Store.currentDate)} · saved as ${Utils.statusLabel(current, Store.getDetail(studentId).leaveType)}`;
+            dom.correctionReason.value = '';
+            this._renderStatuses();
+
+            // Everyone can read the history; only admins get the form
+            const canEdit = Auth.isAdmin();
+            dom.correctionForm.style.display = canEdit ? '' : 'none';
+            dom.correctionNote.textContent = canEdit ? '' : 'This batch is saved. Ask an admin to correct it.';
+
+            dom.correctionModal.classList.add('active');
+            this.loadHistory();
         },
 
-        onPileToggle(e) {
-            const chevron = e.currentTarget.querySelector('.pile-header__chevron');
-            const list = e.currentTarget.nextElementSibling;
-            if (list.classList.contains('collapsed')) {
-                list.classList.remove('collapsed');
-                list.style.maxHeight = list.scrollHeight + 'px';
-                chevron.classList.remove('collapsed');
-            } else {
-                list.classList.add('collapsed');
-                chevron.classList.add('collapsed');
-            }
+        close() {
+            dom.correctionModal.classList.remove('active');
+            this._studentId = null;
         },
 
-        // --- Save Flow ---
-        onSaveClick() {
-            if (Store.isLocked()) return;
-            Store.photo = null;
-            Store.photoBase64 = null;
-            dom.photoPreview.style.display = 'none';
-            dom.photoIcon.style.display = '';
-            dom.photoText.textContent = 'Tap to capture or upload photo';
-            dom.photoSubtext.textContent = 'Photo is compulsory for saving';
-            dom.photoUpload.classList.remove('has-photo');
-            dom.confirmSaveBtn.disabled = true;
+        selectStatus(status) {
+            this._status = status;
+            this._renderStatuses();
+        },
 
-            const { visible, present, absent, leave } = Store.getComputed();
-            const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
+        _renderStatuses() {
+            dom.correctionStatuses.querySelectorAll('[data-status]').forEach(btn => {
+                btn.classList.toggle('selected', btn.dataset.status === this._status);
+            });
+            this.validate();
+        },
 
-            dom.saveModalInfo.textContent = `Upload a photo as proof before saving attendance for ${batchConfig.name}.`;
-            dom.saveSummary.innerHTML = `
-                <strong>📅 ${Utils.formatDateDisplay(Store.currentDate)}</strong><br>
-                <strong>🧘 ${batchConfig.name} — ${batchConfig.time}</strong><br><br>
-                ✅ Present: <strong>${present.length}</strong><br>
-                ❌ Absent: <strong>${absent.length}</strong><br>
-                🔘 Leave: <strong>${leave.length}</strong><br>
-                📊 Total: <strong>${visible.length}</strong>
-            `;
-            dom.saveModal.classList.add('active');
+        validate() {
+            const changed = this._status !== Store.getStatus(this._studentId);
+            dom.correctionSaveBtn.disabled = !changed || !dom.correctionReason.value.trim();
         },
 
-        onPhotoSelected(e) {
-            const file = e.target.files[0];
-            if (!file) return;
-            Store.photo = file;
-            ImageUtils.compress(file, (base64) => {
-                Store.photoBase64 = base64;
-                dom.photoPreview.src = base64;
-                dom.photoPreview.style.display = '';
-                dom.photoIcon.style.display = 'none';
-                dom.photoText.textContent = 'Photo captured ✓';
-                dom.photoSubtext.textContent = 'Tap to change';
-                dom.photoUpload.classList.add('has-photo');
-                dom.confirmSaveBtn.disabled = false;
-            });
+        async loadHistory() {
+            const studentId = this._studentId;
+            dom.correctionHistory.innerHTML = '<div class="correction__entry-meta">Loading…</div>';
+            try {
+                const resp = await API.jsonp({
+                    action: 'getAuditHistory', date: Store.currentDate, batchId: Store.currentBatch, studentId
+                }, 15000);
+                if (studentId !== this._studentId) return; // sheet was closed or reopened meanwhile
+                if (resp.authError) {
+                    dom.correctionHistory.innerHTML = '<div class="correction__entry-meta">Sign in to see the history</div>';
+                    return;
+                }
+                this._renderHistory(resp.entries || []);
+            } catch (err) {
+                if (studentId !== this._studentId) return;
+                dom.correctionHistory.innerHTML = `<div class="correction__entry-meta">${err.network ? 'Offline — history unavailable' : Utils.escapeHtml(err.message)}</div>`;
+            }
         },
 
-        async onConfirmSave() {
-            if (!Store.photoBase64) {
-                UI.showToast('Photo is required!', 'error');
+        _renderHistory(entries) {
+            if (entries.length === 0) {
+                dom.correctionHistory.innerHTML = '<div class="correction__entry-meta">No changes since it was saved</div>';
                 return;
             }
-            dom.confirmSaveBtn.disabled = true;
-            dom.confirmSaveBtn.innerHTML = '<div class="spinner" style="width:20px;height:20px;border-width:2px;margin:0;"></div> Saving...';
+            dom.correctionHistory.innerHTML = entries.map(e => {
+                const what = e.action === 'unlock'
+                    ? '🔓 Batch unlocked'
+                    : `${Utils.capitalizeStatus(e.oldStatus || 'none')} → <strong>${Utils.capitalizeStatus(e.newStatus)}</strong>`;
+                const when = new Date(e.at).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+                return `
+                    <div class="correction__entry">
+                        <div>${what}</div>
+                        <div class="correction__entry-meta">${Utils.escapeHtml(e.by)} · ${when}</div>
+                        ${e.reason ? `<div class="correction__entry-reason">“${Utils.escapeHtml(e.reason)}”</div>` : ''}
+                    </div>`;
+            }).join('');
+        },
 
-            const { visible } = Store.getComputed();
+        async submit() {
+            const studentId = this._studentId;
+            const student = Store.getStudent(studentId);
             const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
-            const timeStr = new Date().toLocaleTimeString('en-US', { hour12: false });
+            const status = this._status;
 
-            const records = visible.map(s => ({
-                date: Store.currentDate,
-                batch: batchConfig.name,
-                batchTime: batchConfig.time,
-                studentId: s.id,
-                studentName: s.name,
-                appNumber: s.appNumber,
-                status: Store.getStatus(s.id),
-                time: timeStr
-            }));
-
-            let photoUrl = null;
-            let cloudSaved = false;
+            dom.correctionSaveBtn.disabled = true;
+            try {
+                const resp = await API.jsonp({
+                    action: 'correctAttendance',
+                    date: Store.currentDate,
+                    batchId: batchConfig.id,
+                    batch: batchConfig.name,
+                    studentId,
+                    studentName: student.name,
+                    appNumber: student.appNumber,
+                    status,
+                    reason: dom.correctionReason.value.trim()
+                });
+                if (resp.authError) { this.close(); Auth.onAuthError(resp.error); return; }
+                if (!resp.success) { UI.showToast('❌ ' + (resp.error || 'Correction failed'), 'error'); this.validate(); return; }
 
-            if (CONFIG.API_URL) {
-                try {
-                    UI.showToast('📤 Saving to Google Sheet...', 'info');
-
-                    // Build compact records string: id:status:name:appNum|...
-                    const statusMap = { present: 'p', absent: 'a', leave: 'l' };
-                    const compactRecords = records.map(r => {
-                        const id = encodeURIComponent(r.studentId);
-                        const s = statusMap[r.status] || 'l';
-                        const name = encodeURIComponent(r.studentName);
-                        const app = encodeURIComponent(r.appNumber || '');
-                        return `${id}:${s}:${name}:${app}`;
-                    }).join('|');
-
-                    const timeStr = new Date().toLocaleTimeString('en-US', { hour12: false });
-
-                    // Use JSONP (script tag) — 100% CORS-proof, same as student loading
-                    const result = await new Promise((resolve, reject) => {
-                        const cbName = '_saveCallback_' + Date.now();
-                        const script = document.createElement('script');
-
-                        const cleanup = () => {
-                            delete window[cbName];
-                            if (script.parentNode) script.parentNode.removeChild(script);
-                        };
-
-                        window[cbName] = (data) => {
-                            cleanup();
-                            resolve(data);
-                        };
-
-                        script.onerror = () => {
-                            cleanup();
-                            reject(new Error('Save request failed'));
-                        };
-
-                        // Timeout after 30 seconds
-                        setTimeout(() => {
-                            if (window[cbName]) {
-                                cleanup();
-                                reject(new Error('Save timeout'));
-                            }
-                        }, 30000);
-
-                        const params = [
-                            `action=saveViaGet`,
-                            `date=${encodeURIComponent(Store.currentDate)}`,
-                            `batch=${encodeURIComponent(batchConfig.name)}`,
-                            `time=${encodeURIComponent(timeStr)}`,
-                            `records=${encodeURIComponent(compactRecords)}`,
-                            `callback=${cbName}`
-                        ].join('&');
-
-                        script.src = `${CONFIG.API_URL}?${params}`;
-                        document.body.appendChild(script);
-                    });
+                this._applyLocally(Store.currentDate, batchConfig.id, studentId, status);
+                this.close();
+                UI.showToast(`✏️ ${student.name} corrected to ${Utils.capitalizeStatus(status)}`, 'success');
+            } catch (err) {
+                UI.showToast(err.network ? '📡 Offline — corrections need a connection' : err.message, 'error');
+                this.validate();
+            }
+        },
 
-                    if (result.success) {
-                        cloudSaved = true;
-                        UI.showToast(`✅ Saved to Google Sheet! (${result.saved || ''} records)`, 'success');
-                    } else {
-                        UI.showToast('❌ Sheet error: ' + (result.error || 'Unknown'), 'error');
-                    }
+        // Mirror the sheet change in local state and the cloud history cache. The sheet drops the
+        // leave type when the status stops being Leave; the note stays.
+        _applyLocally(dateKey, batchId, studentId, status) {
+            Store.setStatus(studentId, status);
+            if (status !== CONFIG.STATUSES.LEAVE) Store.setDetail(studentId, { leaveType: '' });
+            const cloud = Store.history[dateKey] && Store.history[dateKey][batchId];
+            if (cloud) cloud.set(studentId, status);
+            Renderer.renderAll();
+        }
+    };
 
-                    // Upload photo via hidden form+iframe (bypasses CORS)
-                    if (cloudSaved && Store.photoBase64) {
-                        try {
-                            UI.showToast('📷 Uploading photo proof...', 'info');
-
-                            // Create hidden iframe for form target
-                            const iframeName = '_photoUploadFrame_' + Date.now();
-                            const iframe = document.createElement('iframe');
-                            iframe.name = iframeName;
-                            iframe.style.display = 'none';
-                            document.body.appendChild(iframe);
-
-                            // Create hidden form
-                            const form = document.createElement('form');
-                            form.method = 'POST';
-                            form.action = CONFIG.API_URL;
-                            form.target = iframeName;
-                            form.style.display = 'none';
-
-                            // Add payload as hidden input
-                            const input = document.createElement('input');
-                            input.type = 'hidden';
-                            input.name = 'payload';
-                            input.value = JSON.stringify({
-                                action: 'uploadPhoto',
-                                date: Store.currentDate,
-                                batch: batchConfig.name,
-                                photo: Store.photoBase64
-                            });
-                            form.appendChild(input);
-                            document.body.appendChild(form);
-
-                            // Submit form (CORS-free POST via iframe)
-                            form.submit();
-
-                            // Poll for photo URL via JSONP (start after 3s, retry every 3s, max 3 tries)
-                            const savedDate = Store.currentDate;
-                            const savedBatch = batchConfig.name;
-                            const savedBatchKey = Store.currentBatch;
-                            let pollAttempt = 0;
-
-                            const pollPhotoUrl = () => {
-                                pollAttempt++;
-                                if (pollAttempt > 3) {
-                                    // Clean up form and iframe
-                                    if (form.parentNode) form.parentNode.removeChild(form);
-                                    if (iframe.parentNode) iframe.parentNode.removeChild(iframe);
-                                    return;
-                                }
+    // =============================================
+    // MODULE 19: ANALYTICS VIEW — History, Streaks, Trends
+    // =============================================
+    const AnalyticsView = {
+        _lowOnly: false,
 
-                                const urlCbName = '_photoUrlCb_' + Date.now();
-                                const urlScript = document.createElement('script');
-
-                                window[urlCbName] = (resp) => {
-                                    delete window[urlCbName];
-                                    if (urlScript.parentNode) urlScript.parentNode.removeChild(urlScript);
-
-                                    if (resp && resp.photoUrl) {
-                                        const photoKey = `${savedDate}|${savedBatchKey}`;
-                                        Store.photoUrls.set(photoKey, resp.photoUrl);
-                                        StorageManager.saveState();
-                                        UI.showToast('Photo proof uploaded ✓', 'success');
-                                        // Clean up
-                                        if (form.parentNode) form.parentNode.removeChild(form);
-                                        if (iframe.parentNode) iframe.parentNode.removeChild(iframe);
-                                    } else {
-                                        // Retry after 3 seconds
-                                        setTimeout(pollPhotoUrl, 3000);
-                                    }
-                                };
-
-                                urlScript.onerror = () => {
-                                    delete window[urlCbName];
-                                    if (urlScript.parentNode) urlScript.parentNode.removeChild(urlScript);
-                                    setTimeout(pollPhotoUrl, 3000);
-                                };
-
-                                setTimeout(() => { if (window[urlCbName]) { delete window[urlCbName]; if (urlScript.parentNode) urlScript.parentNode.removeChild(urlScript); } }, 10000);
-
-                                urlScript.src = `${CONFIG.API_URL}?action=getPhotoUrl&date=${encodeURIComponent(savedDate)}&batch=${encodeURIComponent(savedBatch)}&callback=${urlCbName}`;
-                                document.body.appendChild(urlScript);
-                            };
+        open() {
+            if (!dom.analyticsFrom.value || !dom.analyticsTo.value) {
+                const to = new Date(Store.currentDate + 'T00:00:00');
+                const from = new Date(to);
+                from.setDate(from.getDate() - CONFIG.ANALYTICS.DEFAULT_RANGE_DAYS + 1);
+                dom.analyticsFrom.value = Utils.formatDateISO(from);
+                dom.analyticsTo.value = Store.currentDate;
+            }
+            dom.analyticsLowLabel.textContent = `Below ${CONFIG.ANALYTICS.LOW_ATTENDANCE_PCT}% only`;
+            dom.analyticsOverlay.classList.add('active');
 
-                            // Start polling after 3 seconds
-                            setTimeout(pollPhotoUrl, 3000);
+            this._loadAndRender();
+        },
 
-                        } catch (photoErr) {
-                            console.log('Photo upload error:', photoErr.message);
-                        }
-                    }
-                } catch (err) {
-                    console.error('Cloud save error:', err);
-                    UI.showToast('❌ Cloud save failed! ' + err.message, 'error');
-                }
+        // Extend the cloud history back to the range start before computing
+        _loadAndRender() {
+            const from = dom.analyticsFrom.value;
+            if (Store.hasHistoryFrom(from)) {
+                this.render();
+                return;
             }
+            dom.analyticsBody.innerHTML = '<div class="spinner"></div>';
+            API.fetchAttendance(Store.currentDate, from).then(() => this.render());
+        },
 
-            if (cloudSaved || !CONFIG.API_URL) {
-                // Lock batch only if cloud saved OR no cloud configured
-                Store.lockCurrentBatch(photoUrl);
-                StorageManager.saveRecords(records);
-                dom.saveModal.classList.remove('active');
-                Renderer.renderAll();
-                if (!CONFIG.API_URL) {
-                    UI.showToast('Attendance saved locally! ✅', 'success');
-                }
-            } else {
-                // Cloud failed — save locally but DON'T lock (allow retry)
-                StorageManager.saveRecords(records);
-                dom.saveModal.classList.remove('active');
-                Renderer.renderAll();
-                UI.showToast('⚠️ Data saved locally. Cloud save failed — try again.', 'error');
+        close() {
+            dom.analyticsOverlay.classList.remove('active');
+        },
+
+        onRangeChange() {
+            if (dom.analyticsFrom.value > dom.analyticsTo.value) {
+                UI.showToast('"From" date must be before "To" date', 'error');
+                return;
             }
+            AnalyticsView._loadAndRender();
+        },
 
-            dom.confirmSaveBtn.disabled = false;
-            dom.confirmSaveBtn.innerHTML = '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><polyline points="20 6 9 17 4 12"/></svg> Confirm & Save';
+        onLowOnlyToggle() {
+            AnalyticsView._lowOnly = dom.analyticsLowOnly.checked;
+            AnalyticsView.render();
         },
 
-        // --- Popover ---
-        _popoverStudentId: null,
+        // Single pass over the saved dates in range: per-student totals/streaks + per-batch daily present counts.
+        // Late counts as attended (present) everywhere here; `late` says how many of those were late.
+        compute(from, to) {
+            const { LATE, ABSENT } = CONFIG.STATUSES;
+            // Holidays and non-session days never count, even if something was saved on them
+            const dates = Store.getSavedDates(from, to).filter(d => !Calendar.isOffDay(d));
+            const stats = new Map();
+            Store.getAllStudents().forEach(s => {
+                stats.set(s.id, { student: s, sessions: 0, present: 0, late: 0, absent: 0, leave: 0, run: 0, longest: 0 });
+            });
+            const trend = {};
+            CONFIG.BATCHES.forEach(b => { trend[b.id] = []; });
+
+            for (const dateKey of dates) {
+                const dayData = CONFIG.BATCHES.map(b => Calendar.isSessionDay(dateKey, b.id) ? Store.getSavedBatchData(dateKey, b.id) : null);
+
+                dayData.forEach((data, i) => {
+                    if (!data) return;
+                    let present = 0;
+                    const entries = (data instanceof Map) ? data.entries() : Object.entries(data);
+                    for (const [id, status] of entries) {
+                        if (Store.isAttended(status) && Store.isEnrolledId(id, dateKey)) present++;
+                    }
+                    trend[CONFIG.BATCHES[i].id].push({ date: dateKey, present });
+                });
 
-        onPopoverAction(e) {
-            const action = e.currentTarget.dataset.action;
-            if (Handlers._popoverStudentId && !Store.isLocked()) {
-                Store.setStatus(Handlers._popoverStudentId, action);
-                dom.statusPopover.classList.remove('active');
-                Handlers._popoverStudentId = null;
-                Renderer.renderAll();
+                stats.forEach((st, id) => {
+                    if (!Store.isEnrolled(st.student, dateKey)) return; // joined later / already left
+                    const statuses = [];
+                    dayData.forEach(data => {
+                        const status = Store.readStatus(data, id);
+                        if (status) statuses.push(status);
+                    });
+                    if (statuses.length === 0) return; // not on that day's saved roster
+
+                    const final = Store.getFinalStatus(...statuses);
+                    st.sessions++;
+                    if (Store.isAttended(final)) {
+                        st.present++;
+                        if (final === LATE) st.late++;
+                        st.run++;
+                        if (st.run > st.longest) st.longest = st.run;
+                    } else {
+                        st.run = 0;
+                        if (final === ABSENT) st.absent++;
+                        else if (final === CONFIG.STATUSES.LEAVE) st.leave++;
+                    }
+                });
             }
-        },
 
-        // --- Bottom Nav ---
-        onBottomNavClick(e) {
-            const item = e.currentTarget;
-            const tab = item.dataset.tab;
-            dom.bottomNav.querySelectorAll('.bottom-nav__item').forEach(i => i.classList.remove('active'));
-            item.classList.add('active');
+            const rows = [];
+            stats.forEach(st => {
+                if (st.sessions === 0) return;
+                rows.push({
+                    student: st.student,
+                    sessions: st.sessions,
+                    present: st.present,
+                    late: st.late,
+                    absent: st.absent,
+                    leave: st.leave,
+                    currentStreak: st.run, // run still open at the last date in range
+                    longestStreak: st.longest,
+                    pct: (st.present / st.sessions) * 100
+                });
+            });
+            rows.sort((a, b) => a.pct - b.pct || a.student.name.localeCompare(b.student.name));
 
-            switch (tab) {
-                case 'home': MergeView.close(); break;
-                case 'report': MergeView.open(); break;
-                case 'section': SectionView.open(); break;
-                case 'sync':
-                    Handlers.onRefresh();
-                    UI.showToast('Syncing students + attendance...', 'info');
-                    break;
-            }
+            return { dates, rows, trend };
         },
 
-        // --- Settings (Password Protected) ---
-        _ADMIN_PASS: 'Vaibhav@#2613',
-        _isAdminAuthenticated: false,
+        render() {
+            const from = dom.analyticsFrom.value;
+            const to = dom.analyticsTo.value;
+            const threshold = CONFIG.ANALYTICS.LOW_ATTENDANCE_PCT;
+            const { dates, rows, trend } = this.compute(from, to);
 
-        openSettings() {
-            if (!this._isAdminAuthenticated) {
-                // Show password modal
-                dom.adminPasswordInput.value = '';
-                dom.passwordError.textContent = '';
-                dom.passwordModal.style.display = 'flex';
-                setTimeout(() => dom.adminPasswordInput.focus(), 300);
+            const lowCount = rows.filter(r => r.pct < threshold).length;
+            const avgPct = rows.length ? rows.reduce((sum, r) => sum + r.pct, 0) / rows.length : 0;
+            const shown = this._lowOnly ? rows.filter(r => r.pct < threshold) : rows;
+
+            const notice = Store.hasHistoryFrom(from) ? '' :
+                `<div class="analytics-notice">⚠️ Cloud history unavailable — showing batches saved on this device only.</div>`;
+
+            if (dates.length === 0) {
+                dom.analyticsBody.innerHTML = `${notice}<div class="empty-state"><div class="empty-state__icon">📈</div><div class="empty-state__text">No saved attendance between these dates</div></div>`;
                 return;
             }
-            this._showSettings();
-        },
 
-        _showSettings() {
-            dom.settingSheetId.value = CONFIG.SHEET_ID || '';
-            dom.settingSheetGid.value = CONFIG.SHEET_GID || '';
-            dom.settingApiUrl.value = CONFIG.API_URL || '';
-            dom.settingsOverlay.classList.add('active');
+            let tableHTML = `<table class="merge-table"><thead><tr><th>#</th><th>Student Name</th><th>%</th><th>Streak</th><th>Best</th><th>Absent</th></tr></thead><tbody>`;
+            for (let i = 0; i < shown.length; i++) {
+                const r = shown[i];
+                const low = r.pct < threshold;
+                tableHTML += `<tr class="${low ? 'analytics-row--low' : ''}"><td>${i + 1}</td><td><div style="font-weight:600;font-size:0.8rem;">${Utils.escapeHtml(r.student.name)}</div><div style="font-size:0.68rem;color:var(--text-muted);">${Utils.escapeHtml(r.student.appNumber)} · ${r.present}/${r.sessions}${r.late ? ` · ${r.late} late` : ''}</div></td><td><span class="status-pill status-pill--${low ? 'absent' : 'present'}" style="font-weight:700;">${Math.round(r.pct)}%</span></td><td>${r.currentStreak}</td><td>${r.longestStreak}</td><td>${r.absent}</td></tr>`;
+            }
+            tableHTML += '</tbody></table>';
+
+            dom.analyticsBody.innerHTML = `
+                ${notice}
+                <div style="display:flex;gap:8px;margin-bottom:12px;padding:12px;background:linear-gradient(135deg,#4F46E5,#7C3AED);border-radius:12px;color:white;">
+                    <div style="flex:1;text-align:center;"><div style="font-size:0.65rem;font-weight:600;text-transform:uppercase;opacity:0.85;">Sessions</div><div style="font-size:1.5rem;font-weight:800;">${dates.length}</div></div>
+                    <div style="flex:1;text-align:center;"><div style="font-size:0.65rem;font-weight:600;text-transform:uppercase;opacity:0.85;">Average</div><div style="font-size:1.5rem;font-weight:800;">${Math.round(avgPct)}%</div></div>
+                    <div style="flex:1;text-align:center;"><div style="font-size:0.65rem;font-weight:600;text-transform:uppercase;opacity:0.85;">Below ${threshold}%</div><div style="font-size:1.5rem;font-weight:800;">${lowCount}</div></div>
+                </div>
+                ${CONFIG.BATCHES.map(b => this._renderTrend(b, trend[b.id])).join('')}
+                ${tableHTML}
+            `;
         },
 
-        _onUnlockSettings() {
-            const pass = dom.adminPasswordInput.value;
-            if (pass === Handlers._ADMIN_PASS) {
-                Handlers._isAdminAuthenticated = true;
-                dom.passwordModal.style.display = 'none';
-                Handlers._showSettings();
-            } else {
-                dom.passwordError.textContent = '❌ Incorrect password!';
-                dom.adminPasswordInput.style.borderColor = '#EF4444';
-                dom.adminPasswordInput.style.animation = 'shake 0.4s ease';
-                setTimeout(() => {
-                    dom.adminPasswordInput.style.animation = '';
-                    dom.adminPasswordInput.style.borderColor = 'var(--border)';
-                }, 500);
+        // Inline SVG line chart of daily present counts — no chart library needed
+        _renderTrend(batch, points) {
+            const title = `<div class="trend-card__title">📈 ${Utils.escapeHtml(batch.name)} — ${Utils.escapeHtml(batch.time)}</div>`;
+            if (points.length === 0) {
+                return `<div class="trend-card">${title}<div class="trend-card__empty">No saved sessions in this range</div></div>`;
             }
-        },
 
-        openAbout() {
-            dom.aboutOverlay.classList.add('active');
+            const W = 320, H = 90, PAD = 8;
+            const max = Math.max(1, ...points.map(p => p.present));
+            const step = points.length > 1 ? (W - PAD * 2) / (points.length - 1) : 0;
+            const coords = points.map((p, i) => ({
+                x: points.length > 1 ? PAD + i * step : W / 2,
+                y: H - PAD - (p.present / max) * (H - PAD * 2),
+                p
+            }));
+            const line = coords.map(c => `${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ');
+            const dots = coords.map(c => `<circle cx="${c.x.toFixed(1)}" cy="${c.y.toFixed(1)}" r="3"><title>${c.p.date}: ${c.p.present} present</title></circle>`).join('');
+            const avg = points.reduce((sum, p) => sum + p.present, 0) / points.length;
+
+            return `
+                <div class="trend-card">
+                    ${title}
+                    <svg class="trend-card__chart" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">
+                        <polyline points="${line}" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/>
+                        ${dots}
+                    </svg>
+                    <div class="trend-card__legend">
+                        <span>${points[0].date}</span>
+                        <span>avg ${avg.toFixed(1)} · max ${max}</span>
+                        <span>${points[points.length - 1].date}</span>
+                    </div>
+                </div>
+            `;
+        }
+    };
+
+    // =============================================
+    // MODULE 20: CALENDAR VIEW — Holidays & Special Sessions (admins edit)
+    // =============================================
+    const CalendarView = {
+        open() {
+            if (!dom.calendarMonth.value) dom.calendarMonth.value = Store.currentDate.substring(0, 7);
+            if (!dom.calendarDate.value) dom.calendarDate.value = Store.currentDate;
+            dom.calendarBatch.innerHTML = '<option value="">All batches</option>' + CONFIG.BATCHES
+                .map(b => `<option value="${Utils.escapeHtml(b.id)}">${Utils.escapeHtml(b.name)}</option>`).join('');
+            // Everyone can read the calendar; only admins get the form
+            dom.calendarForm.style.display = Auth.isAdmin() && CONFIG.API_URL ? '' : 'none';
+            dom.calendarOverlay.classList.add('active');
+            this.render();
+            Calendar.fetch().then(ok => { if (ok) this.render(); });
         },
 
-        onSaveSettings() {
-            const newSheetId = dom.settingSheetId.value.trim();
-            const newGid = dom.settingSheetGid.value.trim();
-            const newApiUrl = dom.settingApiUrl.value.trim();
-            if (newSheetId) CONFIG.SHEET_ID = newSheetId;
-            if (newGid) CONFIG.SHEET_GID = newGid;
-            CONFIG.API_URL = newApiUrl;
-            StorageManager.saveSettings();
-            UI.showToast('Settings saved ✓', 'success');
-            dom.settingsOverlay.classList.remove('active');
-            API.fetchStudents();
+        close() {
+            dom.calendarOverlay.classList.remove('active');
         },
 
-        onClearToday() {
-            if (!confirm('Clear today\'s attendance data? This cannot be undone.')) return;
-            const dateKey = Store.currentDate;
-            delete Store.attendance[dateKey];
-            Store.lockedBatches.forEach(k => { if (k.startsWith(dateKey + '|')) Store.lockedBatches.delete(k); });
-            StorageManager.saveState();
-            Store.initDateBatch(Store.currentDate, Store.currentBatch);
-            Store._invalidateCache();
-            Renderer.renderAll();
-            UI.showToast('Today\'s data cleared', 'info');
+        render() {
+            const monthKey = dom.calendarMonth.value;
+            const next = Calendar.nextSession();
+            const nextHtml = next
+                ? `<div class="calendar-next__label">Next session</div><div style="font-weight:700;font-size:1rem;">${Utils.formatDateDisplay(next.date)}</div><div>${Utils.escapeHtml(next.batch.name)} · ${Utils.escapeHtml(next.batch.time)}</div>`
+                : '<div class="calendar-next__label">Next session</div><div>None scheduled in the coming year</div>';
+
+            const entries = Calendar.entries.filter(e => e.date.startsWith(monthKey + '-'));
+            const fixed = CONFIG.CALENDAR.HOLIDAYS.filter(d => d.startsWith(monthKey + '-') && !entries.some(e => e.date === d));
+            const offNames = CONFIG.CALENDAR.WEEKLY_OFF_DAYS
+                .map(n => new Date(2024, 0, 7 + n).toLocaleDateString('en-US', { weekday: 'long' })).join(', ');
+            const canEdit = Auth.isAdmin() && !!CONFIG.API_URL;
+
+            const rows = entries.map(e => {
+                const batch = CONFIG.BATCHES.find(b => b.id === e.batchId);
+                const special = e.type === Calendar.TYPES.SPECIAL;
+                return `
+                    <div class="calendar-entry">
+                        <div class="calendar-entry__info">
+                            <div style="font-weight:600;">${Utils.formatDateDisplay(e.date)}</div>
+                            <div class="calendar-entry__meta">${batch ? Utils.escapeHtml(batch.name) : 'All batches'}${e.title ? ' · ' + Utils.escapeHtml(e.title) : ''}</div>
+                        </div>
+                        <span class="calendar-entry__type${special ? ' calendar-entry__type--special' : ''}">${Calendar.LABELS[e.type] || Utils.escapeHtml(e.type)}</span>
+                        ${canEdit ? `<button class="calendar-entry__delete" data-date="${e.date}" data-batch-id="${Utils.escapeHtml(e.batchId)}" aria-label="Remove">✕</button>` : ''}
+                    </div>`;
+            }).concat(fixed.map(d => `
+                    <div class="calendar-entry">
+                        <div class="calendar-entry__info">
+                            <div style="font-weight:600;">${Utils.formatDateDisplay(d)}</div>
+                            <div class="calendar-entry__meta">All batches · set in config.js</div>
+                        </div>
+                        <span class="calendar-entry__type">Holiday</span>
+                    </div>`)).join('');
+
+            dom.calendarBody.innerHTML = `
+                <div class="calendar-next">${nextHtml}</div>
+                <div style="font-size:0.72rem;color:var(--text-muted);margin-bottom:8px;">Weekly off: ${offNames || 'none'}</div>
+                ${rows || `<div class="empty-state"><div class="empty-state__icon">📅</div><div class="empty-state__text">No holidays or special sessions in ${Utils.formatMonthDisplay(monthKey)}</div></div>`}
+            `;
         },
 
-        onClearAll() {
-            if (!confirm('Clear ALL local attendance data? This cannot be undone!')) return;
-            Store.attendance = {};
-            Store.lockedBatches.clear();
-            localStorage.removeItem(CONFIG.STORAGE_KEYS.ATTENDANCE);
-            Store.initDateBatch(Store.currentDate, Store.currentBatch);
-            Store._invalidateCache();
-            Renderer.renderAll();
-            UI.showToast('All local data cleared', 'info');
-        }
-    };
+        onAdd() {
+            Auth.require(Auth.ROLES.ADMIN, 'Only admins can change the calendar', () => CalendarView._add());
+        },
 
-    // =============================================
-    // MODULE 10: IMAGE UTILS
-    // =============================================
-    const ImageUtils = {
-        compress(file, callback) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const img = new Image();
-                img.onload = () => {
-                    const canvas = document.createElement('canvas');
-                    let w = img.width, h = img.height;
-                    if (w > CONFIG.PHOTO.MAX_WIDTH) { h = (CONFIG.PHOTO.MAX_WIDTH / w) * h; w = CONFIG.PHOTO.MAX_WIDTH; }
-                    if (h > CONFIG.PHOTO.MAX_HEIGHT) { w = (CONFIG.PHOTO.MAX_HEIGHT / h) * w; h = CONFIG.PHOTO.MAX_HEIGHT; }
-                    canvas.width = w;
-                    canvas.height = h;
-                    canvas.getContext('2d').drawImage(img, 0, 0, w, h);
-                    const base64 = canvas.toDataURL('image/jpeg', CONFIG.PHOTO.QUALITY);
-                    callback(base64);
-                };
-                img.src = e.target.result;
+        async _add() {
+            const entry = {
+                date: dom.calendarDate.value,
+                type: dom.calendarType.value,
+                batchId: dom.calendarBatch.value,
+                title: dom.calendarTitle.value.trim()
             };
-            reader.readAsDataURL(file);
+            if (!entry.date) { UI.showToast('Pick a date', 'error'); return; }
+            if (entry.type === Calendar.TYPES.SPECIAL && !entry.batchId) {
+                UI.showToast('Pick the batch for a special session', 'error');
+                return;
+            }
+            dom.calendarAddBtn.disabled = true;
+            try {
+                const resp = await Calendar.setEntry(entry);
+                if (resp.authError) { Auth.onAuthError(resp.error); return; }
+                if (!resp.success) { UI.showToast('❌ ' + (resp.error || 'Could not save'), 'error'); return; }
+                dom.calendarTitle.value = '';
+                dom.calendarMonth.value = entry.date.substring(0, 7);
+                this.render();
+                Renderer.renderAll();
+                UI.showToast(`📅 ${Utils.formatDateDisplay(entry.date)} saved`, 'success');
+            } catch (err) {
+                UI.showToast(err.network ? '📡 Offline — calendar changes need a connection' : err.message, 'error');
+            } finally {
+                dom.calendarAddBtn.disabled = false;
+            }
+        },
+
+        async onListClick(e) {
+            const btn = e.target.closest('[data-date]');
+            if (!btn) return;
+            const { date, batchId } = btn.dataset;
+            if (!confirm(`Remove ${Utils.formatDateDisplay(date)} from the calendar?`)) return;
+            try {
+                const resp = await Calendar.removeEntry(date, batchId);
+                if (resp.authError) { Auth.onAuthError(resp.error); return; }
+                if (!resp.success) { UI.showToast('❌ ' + (resp.error || 'Could not remove'), 'error'); return; }
+                CalendarView.render();
+                Renderer.renderAll();
+            } catch (err) {
+                UI.showToast(err.network ? '📡 Offline — calendar changes need a connection' : err.message, 'error');
+            }
         }
     };
 
     // =============================================
-    // MODULE 11: MERGE VIEW
+    // MODULE 21: GALLERY VIEW — Proof Photos by Date
     // =============================================
-    const MergeView = {
-        open() {
-            const dateKey = Store.currentDate;
-            const batch1Data = Store.attendance[dateKey]?.['batch_01'];
-            const batch2Data = Store.attendance[dateKey]?.['batch_02'];
+    const GalleryView = {
+        // "date|batch" → 'found' | 'missing' | 'error', once getPhotoUrl has answered for it
+        _checked: new Map(),
+        _looking: new Set(),
+        _uploadKey: null,
 
-            if (!batch1Data && !batch2Data) {
-                UI.showToast('No attendance data for today', 'error');
-                return;
-            }
+        open() {
+            if (!dom.galleryMonth.value) dom.galleryMonth.value = Store.currentDate.substring(0, 7);
+            // Offline or signed out last time — ask again
+            GalleryView._checked.forEach((state, key) => { if (state === 'error') GalleryView._checked.delete(key); });
+            dom.galleryOverlay.classList.add('active');
+            GalleryView._loadAndRender();
+        },
 
-            // Fetch photo URLs on-demand if not already available
-            if (CONFIG.API_URL) {
-                const fetchBatchPhotoUrl = (batchName, batchKey) => {
-                    const photoKey = `${dateKey}|${batchKey}`;
-                    if (Store.photoUrls.get(photoKey)) return; // Already have it
-                    const cbName = '_mergePhotoCb_' + batchKey + '_' + Date.now();
-                    const script = document.createElement('script');
-                    window[cbName] = (resp) => {
-                        delete window[cbName];
-                        if (script.parentNode) script.parentNode.removeChild(script);
-                        if (resp && resp.photoUrl) {
-                            Store.photoUrls.set(photoKey, resp.photoUrl);
-                            StorageManager.saveState();
-                        }
-                    };
-                    script.onerror = () => { delete window[cbName]; if (script.parentNode) script.parentNode.removeChild(script); };
-                    setTimeout(() => { if (window[cbName]) { delete window[cbName]; if (script.parentNode) script.parentNode.removeChild(script); } }, 10000);
-                    script.src = `${CONFIG.API_URL}?action=getPhotoUrl&date=${encodeURIComponent(dateKey)}&batch=${encodeURIComponent(batchName)}&callback=${cbName}`;
-                    document.body.appendChild(script);
-                };
-                fetchBatchPhotoUrl('Batch 01', 'batch_01');
-                fetchBatchPhotoUrl('Batch 02', 'batch_02');
-            }
+        _loadAndRender() {
+            const from = dom.galleryMonth.value + '-01';
+            GalleryView.render();
+            if (!Store.hasHistoryFrom(from)) API.fetchAttendance(Store.currentDate, from).then(() => GalleryView.render());
+        },
 
-            dom.mergeTitle.textContent = `Merged — ${Utils.formatDateDisplay(Store.currentDate)}`;
+        close() {
+            dom.galleryOverlay.classList.remove('active');
+        },
 
-            // Build merged data with single-pass counting
-            const students = Store.getAllStudents();
-            const merged = [];
-            let b1Present = 0, b1Absent = 0, b2Present = 0, b2Absent = 0;
-            let finalPresent = 0, finalAbsent = 0, finalLeave = 0;
+        // Every saved batch in the month, newest first
+        _items(monthKey) {
+            const items = [];
+            Store.getSavedDates(`${monthKey}-01`, `${monthKey}-31`).reverse().forEach(dateKey => {
+                CONFIG.BATCHES.forEach(b => {
+                    if (!Store.getSavedBatchData(dateKey, b.id)) return;
+                    const key = Store.lockKey(dateKey, b.id);
+                    const url = Store.photoUrls.get(key) || '';
+                    const pending = Outbox.entries.some(e => e.type === 'photo' && e.date === dateKey && e.batchKey === b.id);
+                    const state = url ? 'found' : pending ? 'pending' : (this._checked.get(key) || 'checking');
+                    items.push({ dateKey, batch: b, key, url, state });
+                });
+            });
+            return items;
+        },
 
-            const getVal = (data, id) => {
-                if (!data) return '—';
-                if (data instanceof Map) return data.get(id) || 'leave';
-                return data[id] || 'leave';
-            };
+        render() {
+            if (!dom.galleryOverlay.classList.contains('active')) return;
+            const monthKey = dom.galleryMonth.value;
+            const items = this._items(monthKey);
+            const missing = items.filter(i => i.state === 'missing').length;
+            const canUpload = Auth.isAdmin() && !!CONFIG.API_URL;
+
+            const cards = items.map(i => {
+                let photo;
+                if (i.state === 'found') {
+                    const thumb = Utils.driveThumbnailUrl(i.url);
+                    photo = `<a class="gallery-item__photo" href="${Utils.escapeHtml(i.url)}" target="_blank" rel="noopener">` +
+                        (thumb ? `<img src="${Utils.escapeHtml(thumb)}" alt="Proof photo" loading="lazy">` : '📷 Open photo') + '</a>';
+                } else if (i.state === 'missing') {
+                    photo = `<div class="gallery-item__photo gallery-item__photo--missing">⚠️ No photo proof` +
+                        (canUpload ? `<button class="gallery-item__upload" data-upload-key="${Utils.escapeHtml(i.key)}">📷 Upload proof</button>` : '') + '</div>';
+                } else {
+                    const labels = { pending: '⏳ Upload pending', checking: 'Checking…', error: 'Could not check — offline or signed out' };
+                    photo = `<div class="gallery-item__photo gallery-item__photo--empty">${labels[i.state]}</div>`;
+                }
+                return `
+                    <div class="gallery-item${i.state === 'missing' ? ' gallery-item--missing' : ''}">
+                        ${photo}
+                        <div class="gallery-item__meta">${Utils.formatDateDisplay(i.dateKey)} · ${Utils.escapeHtml(i.batch.name)}</div>
+                    </div>`;
+            }).join('');
+
+            dom.galleryBody.innerHTML = items.length === 0
+                ? `<div class="empty-state"><div class="empty-state__icon">📷</div><div class="empty-state__text">No saved batches in ${Utils.formatMonthDisplay(monthKey)}</div></div>`
+                : `${missing ? `<div class="analytics-notice">⚠️ ${missing} batch${missing > 1 ? 'es' : ''} saved without a photo proof</div>` : ''}
+                   <div class="gallery-grid">${cards}</div>`;
+
+            this._lookup(items);
+        },
 
-            for (let i = 0; i < students.length; i++) {
-                const s = students[i];
-                const b1 = getVal(batch1Data, s.id);
-                const b2 = getVal(batch2Data, s.id);
-                const finalStatus = (b1 !== '—' || b2 !== '—')
-                    ? Store.getFinalStatus(b1 === '—' ? 'leave' : b1, b2 === '—' ? 'leave' : b2)
-                    : '—';
+        // Ask the sheet for proof links this device doesn't know about yet
+        _lookup(items) {
+            if (!CONFIG.API_URL) return;
+            items.filter(i => i.state === 'checking' && !this._looking.has(i.key)).forEach(i => {
+                this._looking.add(i.key);
+                API.jsonp({ action: 'getPhotoUrl', date: i.dateKey, batchId: i.batch.id, batch: i.batch.name }, 10000)
+                    .then(resp => {
+                        if (!resp.success) { this._checked.set(i.key, 'error'); return; }
+                        this._checked.set(i.key, resp.photoUrl ? 'found' : 'missing');
+                        if (resp.photoUrl) {
+                            Store.photoUrls.set(i.key, resp.photoUrl);
+                            StorageManager.saveBatch(i.dateKey, i.batch.id);
+                        }
+                    })
+                    .catch(() => this._checked.set(i.key, 'error'))
+                    .finally(() => {
+                        this._looking.delete(i.key);
+                        this.render();
+                    });
+            });
+        },
 
-                // Single-pass counting
-                if (b1 === 'present') b1Present++;
-                else if (b1 === 'absent') b1Absent++;
-                if (b2 === 'present') b2Present++;
-                else if (b2 === 'absent') b2Absent++;
-                if (finalStatus === 'present') finalPresent++;
-                else if (finalStatus === 'absent') finalAbsent++;
-                else if (finalStatus === 'leave') finalLeave++;
+        onBodyClick(e) {
+            const btn = e.target.closest('[data-upload-key]');
+            if (!btn) return;
+            const key = btn.dataset.uploadKey;
+            Auth.require(Auth.ROLES.ADMIN, 'Only admins can add a missing photo proof', () => {
+                GalleryView._uploadKey = key;
+                dom.galleryPhotoInput.value = '';
+                dom.galleryPhotoInput.click();
+            });
+        },
 
-                merged.push({ name: s.name, appNumber: s.appNumber, id: s.id, batch1Status: b1, batch2Status: b2, finalStatus });
-            }
+        // Same path as a save's own photo: through the outbox, so a dropped connection retries it
+        onPhotoChosen(e) {
+            const file = e.target.files[0];
+            const key = GalleryView._uploadKey;
+            if (!file || !key) return;
+            const [dateKey, batchKey] = key.split('|');
+            const batchConfig = CONFIG.BATCHES.find(b => b.id === batchKey);
+            ImageUtils.prepareProof(file, dateKey, batchConfig).then(async ({ base64, meta }) => {
+                const warning = ImageUtils.captureWarning(meta, batchConfig);
+                if (warning) UI.showToast(`⚠️ ${warning}`, 'info');
+                Outbox.add('photo', { date: dateKey, batchKey, batch: batchConfig.name, photo: base64, meta });
+                GalleryView._checked.delete(key);
+                GalleryView.render();
+                await Outbox.flush();
+                GalleryView.render();
+            }).catch(err => {
+                console.error('Proof upload error:', err);
+                GalleryView.render();
+                UI.showToast(`❌ ${err.message}`, 'error');
+            });
+        }
+    };
 
-            merged.sort((a, b) => a.name.localeCompare(b.name));
+    // =============================================
+    // MODULE 22: CHECK-IN VIEW — QR Self Check-in
+    // =============================================
+    // The code in the QR changes every ~30 s on the server, so a photo of it shared in a group chat
+    // stops working almost at once. Check-ins only ever mark students Present on this device; the
+    // instructor still saves (with the photo) as usual.
+    const CheckInView = {
+        _key: null,         // "date|batch" the QR was opened for
+        _applied: new Set(),
+        _codeTimer: null,
+        _pollTimer: null,
+        _tickTimer: null,
+        _expiresAt: 0,
 
-            // Build table
-            let tableHTML = '<table class="merge-table"><thead><tr><th>#</th><th>Student Name</th><th>B1 (5:30)</th><th>B2 (6:00)</th><th>Final</th></tr></thead><tbody>';
-            for (let i = 0; i < merged.length; i++) {
-                const s = merged[i];
-                tableHTML += `<tr><td>${i + 1}</td><td><div style="font-weight:600;font-size:0.8rem;">${Utils.escapeHtml(s.name)}</div><div style="font-size:0.68rem;color:var(--text-muted);">${Utils.escapeHtml(s.appNumber)}</div></td><td><span class="status-pill status-pill--${s.batch1Status}">${Utils.capitalizeStatus(s.batch1Status)}</span></td><td><span class="status-pill status-pill--${s.batch2Status}">${Utils.capitalizeStatus(s.batch2Status)}</span></td><td><span class="status-pill status-pill--${s.finalStatus}" style="font-weight:700;">${Utils.capitalizeStatus(s.finalStatus)}</span></td></tr>`;
+        open() {
+            if (!CONFIG.API_URL) {
+                UI.showToast('QR check-in needs the Apps Script API URL', 'info');
+                return;
+            }
+            if (Store.currentDate !== Utils.formatDateISO(new Date())) {
+                UI.showToast('QR check-in only works for today', 'info');
+                return;
+            }
+            if (Handlers._editBlocked()) return;
+            if (!Auth.canSaveBatch(Store.currentBatch)) {
+                if (Auth.isSignedIn()) {
+                    const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
+                    UI.showToast(`You are not assigned to ${batchConfig.name}`, 'error');
+                } else {
+                    Auth.prompt('Sign in to start QR check-in', () => CheckInView.open());
+                }
+                return;
             }
-            tableHTML += '</tbody></table>';
 
-            dom.mergeBody.innerHTML = `
-                <div style="display:flex;gap:8px;margin-bottom:12px;">
-                    <div style="flex:1;background:var(--present-bg);border-radius:12px;padding:10px;text-align:center;"><div style="font-size:0.65rem;color:var(--present);font-weight:600;text-transform:uppercase;">B1 Present</div><div style="font-size:1.3rem;font-weight:800;color:var(--present);">${b1Present}</div></div>
-                    <div style="flex:1;background:var(--absent-bg);border-radius:12px;padding:10px;text-align:center;"><div style="font-size:0.65rem;color:var(--absent);font-weight:600;text-transform:uppercase;">B1 Absent</div><div style="font-size:1.3rem;font-weight:800;color:var(--absent);">${b1Absent}</div></div>
-                    <div style="flex:1;background:var(--present-bg);border-radius:12px;padding:10px;text-align:center;"><div style="font-size:0.65rem;color:var(--present);font-weight:600;text-transform:uppercase;">B2 Present</div><div style="font-size:1.3rem;font-weight:800;color:var(--present);">${b2Present}</div></div>
-                    <div style="flex:1;background:var(--absent-bg);border-radius:12px;padding:10px;text-align:center;"><div style="font-size:0.65rem;color:var(--absent);font-weight:600;text-transform:uppercase;">B2 Absent</div><div style="font-size:1.3rem;font-weight:800;color:var(--absent);">${b2Absent}</div></div>
-                </div>
-                <div style="display:flex;gap:8px;margin-bottom:16px;padding:12px;background:linear-gradient(135deg,#4F46E5,#7C3AED);border-radius:12px;color:white;">
-                    <div style="flex:1;text-align:center;"><div style="font-size:0.65rem;font-weight:600;text-transform:uppercase;opacity:0.85;">Final Present</div><div style="font-size:1.5rem;font-weight:800;">${finalPresent}</div></div>
-                    <div style="flex:1;text-align:center;"><div style="font-size:0.65rem;font-weight:600;text-transform:uppercase;opacity:0.85;">Final Absent</div><div style="font-size:1.5rem;font-weight:800;">${finalAbsent}</div></div>
-                    <div style="flex:1;text-align:center;"><div style="font-size:0.65rem;font-weight:600;text-transform:uppercase;opacity:0.85;">Final Leave</div><div style="font-size:1.5rem;font-weight:800;">${finalLeave}</div></div>
-                </div>
-                ${tableHTML}
-            `;
-            dom.mergeOverlay.classList.add('active');
+            const batchConfig = CONFIG.BATCHES.find(b => b.id === Store.currentBatch);
+            this._key = `${Store.currentDate}|${Store.currentBatch}`;
+            this._applied = new Set();
+            dom.checkInInfo.textContent = `${batchConfig.name} · ${Utils.formatDateDisplay(Store.currentDate)}`;
+            dom.checkInQr.innerHTML = '<div class="checkin__placeholder">Loading…</div>';
+            dom.checkInCountdown.textContent = '';
+            dom.checkInList.innerHTML = '<div class="correction__entry-meta">Nobody has checked in yet</div>';
+            dom.checkInModal.classList.add('active');
+
+            this._refreshCode();
+            this._poll();
+            this._tickTimer = setInterval(() => this._renderCountdown(), 1000);
         },
 
         close() {
-            dom.mergeOverlay.classList.remove('active');
+            dom.checkInModal.classList.remove('active');
+            clearTimeout(CheckInView._codeTimer);
+            clearTimeout(CheckInView._pollTimer);
+            clearInterval(CheckInView._tickTimer);
+            CheckInView._key = null;
         },
 
-        getMergedExportData() {
-            const dateKey = Store.currentDate;
-            const batch1Data = Store.attendance[dateKey]?.['batch_01'];
-            const batch2Data = Store.attendance[dateKey]?.['batch_02'];
-
-            const getVal = (data, id) => {
-                if (!data) return '—';
-                if (data instanceof Map) return data.get(id) || 'leave';
-                return data[id] || 'leave';
-            };
-
-            return Store.getAllStudents()
-                .map(s => {
-                    const b1 = getVal(batch1Data, s.id);
-                    const b2 = getVal(batch2Data, s.id);
-                    const final = (b1 !== '—' || b2 !== '—') ? Store.getFinalStatus(b1 === '—' ? 'leave' : b1, b2 === '—' ? 'leave' : b2) : '—';
-                    return {
-                        'Sr. No.': 0, 'Student Name': s.name, 'App Number': s.appNumber,
-                        'Student ID': s.id, 'Batch 1 (5:30 AM)': Utils.capitalizeStatus(b1),
-                        'Batch 2 (6:00 AM)': Utils.capitalizeStatus(b2),
-                        'Final Status': Utils.capitalizeStatus(final), 'Date': Store.currentDate
-                    };
-                })
-                .sort((a, b) => a['Student Name'].localeCompare(b['Student Name']))
-                .map((row, i) => ({ ...row, 'Sr. No.': i + 1 }));
+        // Still showing the batch the QR was opened for?
+        _isCurrent(key) {
+            return this._key === key && key === `${Store.currentDate}|${Store.currentBatch}`;
         },
 
-        exportExcel() {
+        async _refreshCode() {
+            const key = this._key;
             try {
-                const data = this.getMergedExportData();
-                const dateKey = Store.currentDate;
-                const b1PhotoUrl = Store.photoUrls.get(`${dateKey}|batch_01`) || '';
-                const b2PhotoUrl = Store.photoUrls.get(`${dateKey}|batch_02`) || '';
+                const resp = await API.jsonp({ action: 'getCheckInCode', date: Store.currentDate, batchId: Store.currentBatch }, 15000);
+                if (!this._isCurrent(key)) return;
+                if (resp.authError) { this.close(); Auth.onAuthError(resp.error); return; }
+                if (!resp.success) { this.close(); UI.showToast('❌ ' + (resp.error || 'Could not start check-in'), 'error'); return; }
+
+                this._expiresAt = resp.expiresAt;
+                this._renderQr(`${CONFIG.API_URL}?action=checkIn&code=${encodeURIComponent(resp.code)}`);
+                this._renderCountdown();
+                // Swap a moment before the server stops accepting it
+                this._codeTimer = setTimeout(() => this._refreshCode(), Math.max(1000, resp.expiresAt - Date.now() - 1000));
+            } catch (err) {
+                if (!this._isCurrent(key)) return;
+                dom.checkInCountdown.textContent = err.network ? '📡 Offline — retrying…' : err.message;
+                this._codeTimer = setTimeout(() => this._refreshCode(), 5000);
+            }
+        },
 
-                const ws = XLSX.utils.json_to_sheet(data);
-                ws['!cols'] = [{ wch: 6 }, { wch: 30 }, { wch: 15 }, { wch: 22 }, { wch: 18 }, { wch: 18 }, { wch: 15 }, { wch: 12 }];
-                const wb = XLSX.utils.book_new();
-                XLSX.utils.book_append_sheet(wb, ws, 'Attendance');
+        _renderQr(url) {
+            dom.checkInQr.innerHTML = '';
+            if (typeof QRCode === 'undefined') {
+                dom.checkInQr.innerHTML = `<div class="checkin__placeholder">QR library not loaded — open this link:<br>${Utils.escapeHtml(url)}</div>`;
+                return;
+            }
+            new QRCode(dom.checkInQr, { text: url, width: 220, height: 220, correctLevel: QRCode.CorrectLevel.M });
+        },
 
-                // Add Photo Links sheet with clickable hyperlinks
-                const photoData = [];
-                if (b1PhotoUrl) photoData.push({ 'Batch': 'Batch 01 (5:30 AM)', 'Photo Proof Link': b1PhotoUrl });
-                if (b2PhotoUrl) photoData.push({ 'Batch': 'Batch 02 (6:00 AM)', 'Photo Proof Link': b2PhotoUrl });
-                if (photoData.length > 0) {
-                    const psWs = XLSX.utils.json_to_sheet(photoData);
-                    psWs['!cols'] = [{ wch: 22 }, { wch: 60 }];
-                    // Use SheetJS native 'l' property for real clickable hyperlinks
-                    photoData.forEach((row, i) => {
-                        const cellRef = XLSX.utils.encode_cell({ r: i + 1, c: 1 });
-                        const url = row['Photo Proof Link'];
-                        if (url && url.startsWith('http')) {
-                            psWs[cellRef] = {
-                                t: 's',
-                                v: '📷 Click to view photo proof',
-                                l: { Target: url, Tooltip: 'Open photo proof' }
-                            };
-                        }
-                    });
-                    XLSX.utils.book_append_sheet(wb, psWs, 'Photo Proofs');
-                }
+        _renderCountdown() {
+            if (!this._expiresAt) return;
+            const seconds = Math.max(0, Math.ceil((this._expiresAt - Date.now()) / 1000));
+            dom.checkInCountdown.textContent = `New code in ${seconds}s`;
+        },
 
-                XLSX.writeFile(wb, `Yoga_Attendance_${Store.currentDate}.xlsx`);
-                UI.showToast('Excel downloaded ✓', 'success');
+        async _poll() {
+            const key = this._key;
+            try {
+                const resp = await API.jsonp({ action: 'getCheckIns', date: Store.currentDate, batchId: Store.currentBatch }, 15000);
+                if (!this._isCurrent(key)) return;
+                if (resp.authError) { this.close(); Auth.onAuthError(resp.error); return; }
+                if (resp.success) this._apply(resp.checkIns || []);
             } catch (err) {
-                console.error('Excel export error:', err);
-                UI.showToast('Excel export failed', 'error');
+                if (!this._isCurrent(key)) return; // offline: try again next round
             }
+            this._pollTimer = setTimeout(() => this._poll(), CONFIG.CHECKIN.POLL_MS);
         },
 
-        exportPdf() {
-            try {
-                const { jsPDF } = window.jspdf;
-                // Portrait orientation for A4
-                const doc = new jsPDF('p', 'mm', 'a4');
-                doc.setFontSize(16);
-                doc.setFont(undefined, 'bold');
-                doc.text('Yoga Attendance Report', 14, 15);
-                doc.setFontSize(10);
-                doc.setFont(undefined, 'normal');
-                doc.text(`Date: ${Utils.formatDateDisplay(Store.currentDate)}`, 14, 22);
-
-                // Photo proof hyperlinks below the title
-                const dateKey = Store.currentDate;
-                const b1PhotoData = Store.photoUrls.get(`${dateKey}|batch_01`) || '';
-                const b2PhotoData = Store.photoUrls.get(`${dateKey}|batch_02`) || '';
-                let photoY = 22;
-                if (b1PhotoData || b2PhotoData) {
-                    photoY += 10;
-                    let photoNum = 1;
+        // Mark new arrivals Present or Late by their check-in time (one undo step per poll) and list
+        // everyone who checked in
+        _apply(checkIns) {
+            const fresh = checkIns.filter(c => !this._applied.has(c.studentId) &&
+                Store.getStudent(c.studentId) && Store.isEnrolledId(c.studentId, Store.currentDate));
+
+            // Nothing is written while the batch is locked or its save is queued; every poll returns all
+            // check-ins, so these are marked by a later one once the batch is open again
+            if (fresh.length > 0 && !Store.isLocked() && !Outbox.hasPendingSave(Store.currentDate, Store.currentBatch)) {
+                fresh.forEach(c => this._applied.add(c.studentId));
+                const count = Store.markArrivals(fresh.map(c => ({ studentId: c.studentId, at: Date.parse(c.at) || Date.now() })));
+                Renderer.renderAll();
+                if (count) {
+                    const names = fresh.map(c => Store.getStudent(c.studentId).name);
+                    UI.showToast(`📱 ${names.length === 1 ? names[0] : names.length + ' students'} checked in`, 'success');
+                }
+            }
+            this._renderList(checkIns);
+        },
 
-                    const drawPhotoLink = (label, photoData) => {
-                        const isUrl = photoData.startsWith('http');
+        _renderList(checkIns) {
+            if (checkIns.length === 0) return;
+            dom.checkInCount.textContent = checkIns.length;
+            dom.checkInList.innerHTML = checkIns.slice().reverse().map(c => {
+                const when = new Date(c.at).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+                return `
+                    <div class="correction__entry">
+                        <div>${Utils.escapeHtml(c.studentName)}</div>
+                        <div class="correction__entry-meta">${Utils.escapeHtml(c.studentId)} · ${when}</div>
+                    </div>`;
+            }).join('');
+        }
+    };
 
-                        // Draw bordered box (A4 portrait: 210mm - 28mm margins = 182mm usable)
-                        doc.setDrawColor(79, 70, 229);
-                        doc.setLineWidth(0.5);
-                        doc.roundedRect(14, photoY - 4, 182, 8, 1.5, 1.5, 'S');
+    // =============================================
+    // MODULE 23: BACKUP — Export / Restore to a JSON File
+    // =============================================
+    // Everything this phone would lose with its browser data: marks, leave types and notes, locks, photo
+    // links, saved-record snapshots, the outbox (queued saves and pending photos) and settings. Restoring
+    // never drops queued outbox entries — they are added to whatever is already waiting.
+    // Version 2 added `details`; version 1 files still restore (an unsaved batch that is all Leave becomes Unmarked).
+    const Backup = {
+        FORMAT: 'yoga-attendance-backup',
+        VERSION: 2,
+        // Settings restored from a file (anything else in it is ignored), and the labels of those
+        // that point the app at another sheet — Replace asks before switching them
+        CONNECTION_SETTINGS: { apiUrl: 'API URL', sheetId: 'student sheet', sheetGid: 'student tab', saveSheetId: 'attendance sheet' },
+        _pending: null,     // parsed file waiting for Merge / Replace
+
+        async export() {
+            try {
+                const attendance = {};
+                for (const dateKey in Store.attendance) {
+                    attendance[dateKey] = {};
+                    for (const batchKey in Store.attendance[dateKey]) {
+                        const batchData = Store.attendance[dateKey][batchKey];
+                        attendance[dateKey][batchKey] = batchData instanceof Map ? Object.fromEntries(batchData) : { ...batchData };
+                    }
+                }
+                const details = {};
+                for (const dateKey in Store.details) {
+                    details[dateKey] = {};
+                    for (const batchKey in Store.details[dateKey]) details[dateKey][batchKey] = Object.fromEntries(Store.details[dateKey][batchKey]);
+                }
+                let settings = {};
+                try { settings = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.SETTINGS)) || {}; } catch (err) { /* defaults */ }
+
+                const backup = {
+                    format: this.FORMAT,
+                    version: this.VERSION,
+                    exportedAt: new Date().toISOString(),
+                    exportedBy: Auth.isSignedIn() ? Auth.session.username : '',
+                    attendance,
+                    details,
+                    lockedBatches: Array.from(Store.lockedBatches),
+                    photoUrls: Object.fromEntries(Store.photoUrls),
+                    records: await StorageManager.getRecords(),
+                    outbox: Outbox.entries.filter(e => e.status !== 'synced'),
+                    settings
+                };
 
-                        // Number badge (filled circle)
-                        doc.setFillColor(79, 70, 229);
-                        doc.circle(19, photoY, 2.5, 'F');
-                        doc.setFontSize(7);
-                        doc.setFont(undefined, 'bold');
-                        doc.setTextColor(255, 255, 255);
-                        doc.text(String(photoNum), 19, photoY + 0.8, { align: 'center' });
+                const url = URL.createObjectURL(new Blob([JSON.stringify(backup)], { type: 'application/json' }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `Yoga_Attendance_Backup_${Utils.formatDateISO(new Date())}.json`;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 10000);
+                UI.showToast('Backup downloaded ✓', 'success');
+            } catch (err) {
+                console.error('Backup export error:', err);
+                UI.showToast('Backup failed: ' + err.message, 'error');
+            }
+        },
 
-                        // Link text
-                        doc.setFontSize(9);
-                        doc.setFont(undefined, 'bold');
-                        doc.setTextColor(79, 70, 229);
-                        if (isUrl) {
-                            doc.textWithLink(label + ' - Photo Proof (click to view)', 24, photoY + 0.5, { url: photoData });
-                        } else {
-                            doc.text(label + ' - Photo Proof (captured)', 24, photoY + 0.5);
+        // List of what is wrong with a parsed file ([] = restorable)
+        validate(data) {
+            const errors = [];
+            const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+            const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v);
+            const isKey = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}\|.+/.test(v);
+            const statuses = Object.values(CONFIG.STATUSES);
+
+            if (!isObject(data) || data.format !== this.FORMAT) return ['Not a Yoga Attendance backup file'];
+            if (!Number.isInteger(data.version) || data.version > this.VERSION) {
+                return [`Backup version ${data.version} is newer than this app understands (${this.VERSION}) — update the app first`];
+            }
+            if (!isObject(data.attendance)) {
+                errors.push('attendance is missing');
+            } else {
+                for (const dateKey in data.attendance) {
+                    if (!isDate(dateKey) || !isObject(data.attendance[dateKey])) { errors.push(`attendance: bad date ${dateKey}`); continue; }
+                    for (const batchKey in data.attendance[dateKey]) {
+                        const marks = data.attendance[dateKey][batchKey];
+                        if (!isObject(marks) || Object.values(marks).some(s => !statuses.includes(s))) {
+                            errors.push(`attendance: bad statuses for ${dateKey} ${batchKey}`);
                         }
+                    }
+                }
+            }
+            if (data.version >= 2) {
+                const isDetail = (d) => isObject(d) && ['leaveType', 'note', 'markedAt'].every(f => typeof (d[f] || '') === 'string');
+                if (!isObject(data.details) || !Object.keys(data.details).every(isDate) ||
+                    !Object.values(data.details).every(d => isObject(d) && Object.values(d).every(b => isObject(b) && Object.values(b).every(isDetail)))) {
+                    errors.push('details must map dates and batches to leave types, notes and mark times');
+                }
+            }
+            if (!Array.isArray(data.lockedBatches) || !data.lockedBatches.every(isKey)) errors.push('lockedBatches must be a list of "date|batch" keys');
+            if (!isObject(data.photoUrls) || !Object.keys(data.photoUrls).every(isKey) || !Object.values(data.photoUrls).every(u => typeof u === 'string')) {
+                errors.push('photoUrls must map "date|batch" keys to links');
+            }
+            if (!Array.isArray(data.records) || !data.records.every(r => isObject(r) && isKey(r.key) && isDate(r.date) && Array.isArray(r.records))) {
+                errors.push('records must be a list of saved-record snapshots');
+            }
+            if (!Array.isArray(data.outbox) || !data.outbox.every(e => isObject(e) && e.id && (e.type === 'save' || e.type === 'photo') && isDate(e.date))) {
+                errors.push('outbox must be a list of save / photo entries');
+            }
+            if (!isObject(data.settings)) {
+                errors.push('settings are missing');
+            } else {
+                const s = data.settings;
+                if (Object.keys(this.CONNECTION_SETTINGS).some(k => s[k] !== undefined && typeof s[k] !== 'string') ||
+                    (s.apiUrl && !/^https?:\/\/[^\s]+$/.test(s.apiUrl))) {
+                    errors.push('settings: sheet IDs and API URL must be text, the URL a web address');
+                }
+                if (s.retentionDays !== undefined && !(Number.isInteger(s.retentionDays) && s.retentionDays >= 0)) {
+                    errors.push('settings: retentionDays must be a whole number of days');
+                }
+            }
+            return errors.slice(0, 5);
+        },
 
-                        photoNum++;
-                        photoY += 10;
-                    };
+        // A file was picked in Settings: check it, then show what it holds with Merge / Replace
+        async onFileChosen(file) {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (err) {
+                UI.showToast('❌ That file is not valid JSON', 'error');
+                return;
+            }
+            const errors = this.validate(data);
+            if (errors.length) {
+                UI.showToast('❌ ' + errors.join(' · '), 'error');
+                return;
+            }
 
-                    if (b1PhotoData) drawPhotoLink('Batch 1 (5:30 AM)', b1PhotoData);
-                    if (b2PhotoData) drawPhotoLink('Batch 2 (6:00 AM)', b2PhotoData);
+            this._pending = data;
+            const batches = Object.values(data.attendance).reduce((n, d) => n + Object.keys(d).length, 0);
+            const queued = data.outbox.length;
+            const when = new Date(data.exportedAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+            dom.restoreSummary.textContent = `Backup of ${when}${data.exportedBy ? ' by ' + data.exportedBy : ''}: ` +
+                `${batches} batch${batches === 1 ? '' : 'es'} over ${Object.keys(data.attendance).length} days, ` +
+                `${data.lockedBatches.length} saved, ${queued} queued upload${queued === 1 ? '' : 's'}.`;
+            dom.restorePanel.style.display = 'block';
+        },
 
-                    doc.setTextColor(0, 0, 0);
-                    doc.setFont(undefined, 'normal');
-                }
+        cancel() {
+            this._pending = null;
+            dom.restorePanel.style.display = 'none';
+            dom.restoreFileInput.value = '';
+        },
 
-                const data = this.getMergedExportData();
-                const tableData = data.map(row => [row['Sr. No.'], row['Student Name'], row['App Number'], row['Batch 1 (5:30 AM)'], row['Batch 2 (6:00 AM)'], row['Final Status']]);
+        // Merge: a batch saved to the sheet on either side wins; otherwise this phone's marks are kept
+        // unless it has none. Replace: the backup's marks, locks, photo links, snapshots and settings
+        // take the place of this phone's — switching to another API URL or sheet is confirmed separately.
+        async apply(mode) {
+            const data = this._pending;
+            if (!data) return;
+            if (mode === 'replace' && !confirm('Replace all attendance on this phone with the backup? Marks made since the backup will be lost.')) return;
+            const connection = mode === 'replace' ? this._connectionSettings(data.settings) : null;
+
+            let snapshots = data.records;
+            const backupLocks = new Set(data.lockedBatches);
+            const details = data.details || {};
+            // One batch of the backup into Store, statuses and details together
+            const restoreBatch = (dateKey, batchKey) => {
+                const statuses = StorageManager._upgradeStatuses({
+                    statuses: data.attendance[dateKey][batchKey],
+                    details: data.details,
+                    locked: backupLocks.has(Store.lockKey(dateKey, batchKey))
+                });
+                if (!Store.attendance[dateKey]) Store.attendance[dateKey] = {};
+                Store.attendance[dateKey][batchKey] = new Map(Object.entries(statuses));
+                if (!Store.details[dateKey]) Store.details[dateKey] = {};
+                Store.details[dateKey][batchKey] = new Map(Object.entries(details[dateKey]?.[batchKey] || {}));
+            };
 
-                // A4 portrait = 210mm wide, margins 10mm each side → 190mm usable
-                doc.autoTable({
-                    startY: photoY + 4,
-                    head: [['#', 'Student Name', 'App No.', 'B1 (5:30)', 'B2 (6:00)', 'Final']],
-                    body: tableData,
-                    theme: 'grid',
-                    tableWidth: 'auto',
-                    margin: { left: 10, right: 10 },
-                    styles: { fontSize: 8, cellPadding: 3 },
-                    headStyles: { fillColor: [79, 70, 229], textColor: 255, fontStyle: 'bold', fontSize: 8.5 },
-                    alternateRowStyles: { fillColor: [248, 250, 252] },
-                    columnStyles: {
-                        0: { halign: 'center', cellWidth: 12 },
-                        1: { cellWidth: 58 },
-                        2: { cellWidth: 30 },
-                        3: { halign: 'center', cellWidth: 28 },
-                        4: { halign: 'center', cellWidth: 28 },
-                        5: { halign: 'center', cellWidth: 28, fontStyle: 'bold' }
+            if (mode === 'replace') {
+                Store.attendance = {};
+                Store.details = {};
+                Store.lockedBatches = backupLocks;
+                Store.photoUrls = new Map(Object.entries(data.photoUrls));
+                for (const dateKey in data.attendance) {
+                    for (const batchKey in data.attendance[dateKey]) restoreBatch(dateKey, batchKey);
+                }
+                if (Number.isInteger(data.settings.retentionDays)) CONFIG.STORAGE.RETENTION_DAYS = data.settings.retentionDays;
+            } else {
+                for (const dateKey in data.attendance) {
+                    for (const batchKey in data.attendance[dateKey]) {
+                        const key = Store.lockKey(dateKey, batchKey);
+                        const local = Store.attendance[dateKey]?.[batchKey];
+                        const localMarks = local ? (local instanceof Map ? Array.from(local.values()) : Object.values(local)) : [];
+                        const keepLocal = Store.lockedBatches.has(key) ||
+                            (!backupLocks.has(key) && (localMarks.some(s => s !== CONFIG.STATUSES.UNMARKED) || Store.details[dateKey]?.[batchKey]?.size));
+                        if (!keepLocal) restoreBatch(dateKey, batchKey);
                     }
-                });
+                }
+                backupLocks.forEach(key => Store.lockedBatches.add(key));
+                for (const key in data.photoUrls) {
+                    if (!Store.photoUrls.has(key)) Store.photoUrls.set(key, data.photoUrls[key]);
+                }
+                const localSnapshots = new Set((await StorageManager.getRecords()).map(r => r.key));
+                snapshots = data.records.filter(r => !localSnapshots.has(r.key));
+            }
 
-                doc.save(`Yoga_Attendance_${Store.currentDate}.pdf`);
-                UI.showToast('PDF downloaded ✓', 'success');
+            const known = new Set(Outbox.entries.map(e => e.id));
+            const added = data.outbox.filter(e => !known.has(e.id));
+            added.forEach(e => Outbox.entries.push({ ...e, status: e.status === 'sending' ? 'pending' : e.status }));
+
+            try {
+                await StorageManager.saveAll(snapshots, mode === 'replace');
             } catch (err) {
-                console.error('PDF export error:', err);
-                UI.showToast('PDF export failed', 'error');
+                console.error('Restore error:', err);
+                UI.showToast('❌ Restore could not be written to this phone: ' + err.message, 'error');
+                return;
+            }
+            Outbox.persist();
+            Outbox.render();
+            UndoStack.clear();
+            this.cancel();
+            Store.initDateBatch(Store.currentDate, Store.currentBatch);
+            Store._invalidateCache();
+            Renderer.renderAll();
+            if (connection) Handlers.applySettings(connection);
+            else if (mode === 'replace') StorageManager.saveSettings();
+            Handlers._showSettings();
+            UI.showToast(`♻️ Backup ${mode === 'replace' ? 'restored' : 'merged'}${added.length ? ` — ${added.length} upload${added.length === 1 ? '' : 's'} queued` : ''}`, 'success');
+            if (added.length) Outbox.flush();
+        },
+
+        // The backup's API URL / sheet IDs when they differ from this phone's and the admin agrees to
+        // switch; null keeps this phone's. Empty values in the file keep the current ones too.
+        _connectionSettings(settings) {
+            const current = { apiUrl: CONFIG.API_URL || '', sheetId: CONFIG.SHEET_ID || '', sheetGid: CONFIG.SHEET_GID || '', saveSheetId: CONFIG.SAVE_SHEET_ID || '' };
+            const next = { ...current };
+            const changed = [];
+            for (const key in this.CONNECTION_SETTINGS) {
+                if (!settings[key] || settings[key] === current[key]) continue;
+                next[key] = settings[key];
+                changed.push(`${this.CONNECTION_SETTINGS[key]}: ${settings[key]}`);
             }
+            if (!changed.length) return null;
+            const ok = confirm(`The backup points this phone somewhere else:\n\n${changed.join('\n')}\n\nSwitch to it? Cancel restores the attendance but keeps this phone's connection.`);
+            return ok ? next : null;
         }
     };
 
     // =============================================
-    // MODULE 12: SECTION VIEW
+    // MODULE 24: PWA — Service Worker + Update Prompt
     // =============================================
-    const SectionView = {
-        open() {
-            const dateKey = Store.currentDate;
-            const batch1Data = Store.attendance[dateKey]?.['batch_01'];
-            const batch2Data = Store.attendance[dateKey]?.['batch_02'];
-            const b1Locked = Store.isDateBatchLocked(dateKey, 'batch_01');
-            const b2Locked = Store.isDateBatchLocked(dateKey, 'batch_02');
-
-            const getStats = (data) => {
-                if (!data) return { present: 0, absent: 0, leave: 0 };
-                let p = 0, a = 0, l = 0;
-                const iter = (data instanceof Map) ? data.values() : Object.values(data);
-                for (const status of iter) {
-                    if (status === 'present') p++;
-                    else if (status === 'absent') a++;
-                    else l++;
-                }
-                return { present: p, absent: a, leave: l };
-            };
+    const PWA = {
+        _waitingWorker: null,
+        _reloading: false,
+
+        register() {
+            // Service workers need http(s) — opening index.html from file:// keeps working without one
+            if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+            navigator.serviceWorker.register('sw.js').then(reg => {
+                if (reg.waiting && navigator.serviceWorker.controller) this.showUpdatePrompt(reg.waiting);
+
+                reg.addEventListener('updatefound', () => {
+                    const worker = reg.installing;
+                    if (!worker) return;
+                    worker.addEventListener('statechange', () => {
+                        // A controller already exists → this is an update, not the first install
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            this.showUpdatePrompt(worker);
+                        }
+                    });
+                });
+            }).catch(err => console.error('Service worker registration failed:', err));
 
-            const b1 = getStats(batch1Data);
-            const b2 = getStats(batch2Data);
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (!this._reloading) return;
+                location.reload();
+            });
+        },
 
-            dom.sectionBody.innerHTML = `
-                <div style="margin-bottom:8px;font-size:0.78rem;color:var(--text-secondary);font-weight:600;">📅 ${Utils.formatDateDisplay(Store.currentDate)}</div>
-                <div style="background:linear-gradient(135deg,#4F46E5,#6366F1);border-radius:16px;padding:20px;margin-bottom:16px;color:white;box-shadow:0 4px 15px rgba(79,70,229,0.3);">
-                    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px;">
-                        <div style="font-weight:700;font-size:1rem;">🧘 Batch 01 — 5:30 AM</div>
-                        <div style="background:${b1Locked ? 'rgba(255,255,255,0.25)' : 'rgba(255,255,255,0.15)'};padding:4px 10px;border-radius:8px;font-size:0.7rem;font-weight:600;">${b1Locked ? '🔒 Locked' : '🔓 Open'}</div>
-                    </div>
-                    <div style="display:flex;gap:10px;">
-                        <div style="flex:1;background:rgba(255,255,255,0.15);border-radius:10px;padding:10px;text-align:center;"><div style="font-size:0.65rem;opacity:0.8;text-transform:uppercase;font-weight:600;">Present</div><div style="font-size:1.5rem;font-weight:800;">${b1.present}</div></div>
-                        <div style="flex:1;background:rgba(255,255,255,0.15);border-radius:10px;padding:10px;text-align:center;"><div style="font-size:0.65rem;opacity:0.8;text-transform:uppercase;font-weight:600;">Absent</div><div style="font-size:1.5rem;font-weight:800;">${b1.absent}</div></div>
-                        <div style="flex:1;background:rgba(255,255,255,0.15);border-radius:10px;padding:10px;text-align:center;"><div style="font-size:0.65rem;opacity:0.8;text-transform:uppercase;font-weight:600;">Leave</div><div style="font-size:1.5rem;font-weight:800;">${b1.leave}</div></div>
-                    </div>
-                </div>
-                <div style="background:linear-gradient(135deg,#7C3AED,#A78BFA);border-radius:16px;padding:20px;margin-bottom:16px;color:white;box-shadow:0 4px 15px rgba(124,58,237,0.3);">
-                    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px;">
-                        <div style="font-weight:700;font-size:1rem;">🧘 Batch 02 — 6:00 AM</div>
-                        <div style="background:${b2Locked ? 'rgba(255,255,255,0.25)' : 'rgba(255,255,255,0.15)'};padding:4px 10px;border-radius:8px;font-size:0.7rem;font-weight:600;">${b2Locked ? '🔒 Locked' : '🔓 Open'}</div>
-                    </div>
-                    <div style="display:flex;gap:10px;">
-                        <div style="flex:1;background:rgba(255,255,255,0.15);border-radius:10px;padding:10px;text-align:center;"><div style="font-size:0.65rem;opacity:0.8;text-transform:uppercase;font-weight:600;">Present</div><div style="font-size:1.5rem;font-weight:800;">${b2.present}</div></div>
-                        <div style="flex:1;background:rgba(255,255,255,0.15);border-radius:10px;padding:10px;text-align:center;"><div style="font-size:0.65rem;opacity:0.8;text-transform:uppercase;font-weight:600;">Absent</div><div style="font-size:1.5rem;font-weight:800;">${b2.absent}</div></div>
-                        <div style="flex:1;background:rgba(255,255,255,0.15);border-radius:10px;padding:10px;text-align:center;"><div style="font-size:0.65rem;opacity:0.8;text-transform:uppercase;font-weight:600;">Leave</div><div style="font-size:1.5rem;font-weight:800;">${b2.leave}</div></div>
-                    </div>
-                </div>
-                <div style="background:var(--surface);border-radius:16px;padding:16px;box-shadow:var(--shadow-sm);">
-                    <div style="font-weight:700;font-size:0.9rem;margin-bottom:12px;color:var(--text);">⚡ Quick Actions</div>
-                    <div style="display:flex;gap:8px;">
-                        <button onclick="document.getElementById('batchSelect').value='batch_01';document.getElementById('batchSelect').dispatchEvent(new Event('change'));document.getElementById('sectionOverlay').classList.remove('active');" style="flex:1;padding:12px;background:var(--primary-light);color:var(--primary);border:none;border-radius:12px;font-weight:700;font-size:0.8rem;cursor:pointer;">Go to Batch 1</button>
-                        <button onclick="document.getElementById('batchSelect').value='batch_02';document.getElementById('batchSelect').dispatchEvent(new Event('change'));document.getElementById('sectionOverlay').classList.remove('active');" style="flex:1;padding:12px;background:#EDE9FE;color:#7C3AED;border:none;border-radius:12px;font-weight:700;font-size:0.8rem;cursor:pointer;">Go to Batch 2</button>
-                    </div>
-                </div>
-            `;
-            dom.sectionOverlay.classList.add('active');
+        showUpdatePrompt(worker) {
+            this._waitingWorker = worker;
+            dom.updateBanner.classList.add('visible');
         },
 
-        close() {
-            dom.sectionOverlay.classList.remove('active');
+        applyUpdate() {
+            if (!this._waitingWorker) return;
+            this._reloading = true;
+            dom.updateBanner.classList.remove('visible');
+            this._waitingWorker.postMessage({ type: 'SKIP_WAITING' });
         }
     };
 
     // =============================================
-    // MODULE 13: SIDEBAR
+    // MODULE 25: SIDEBAR
     // =============================================
     window.openSidebar = function () {
         dom.sidebar.classList.add('open');
@@ -1602,7 +4939,7 @@
     };
 
     // =============================================
-    // MODULE 14: EVENT BINDING
+    // MODULE 26: EVENT BINDING
     // =============================================
     function bindEvents() {
         dom.datePicker.addEventListener('change', Handlers.onDateChange);
@@ -1611,10 +4948,25 @@
         dom.refreshBtn.addEventListener('click', Handlers.onRefresh);
         dom.listRefreshBtn.addEventListener('click', Handlers.onRefresh);
 
-        // Student clicks (delegated)
-        dom.presentList.addEventListener('click', Handlers.onStudentClick);
-        dom.absentList.addEventListener('click', Handlers.onStudentClick);
-        dom.leaveList.addEventListener('click', Handlers.onStudentClick);
+        // Student clicks and long-press (delegated)
+        [dom.presentList, dom.lateList, dom.absentList, dom.leaveList, dom.unmarkedList].forEach(list => {
+            list.addEventListener('click', Handlers.onStudentClick);
+            list.addEventListener('pointerdown', Handlers.onCardPointerDown);
+            list.addEventListener('pointermove', Handlers.onCardPointerMove);
+            list.addEventListener('pointerup', Handlers.onCardPointerUp);
+            list.addEventListener('pointercancel', Handlers.onCardPointerUp);
+            list.addEventListener('contextmenu', (e) => { if (e.target.closest('.student-card')) e.preventDefault(); });
+        });
+
+        // Undo / bulk actions / multi-select
+        dom.undoBtn.addEventListener('click', Handlers.onUndo);
+        dom.redoBtn.addEventListener('click', Handlers.onRedo);
+        dom.allPresentBtn.addEventListener('click', Handlers.onMarkAllPresent);
+        dom.unmarkedToAbsentBtn.addEventListener('click', Handlers.onUnmarkedToAbsent);
+        dom.checkInBtn.addEventListener('click', () => CheckInView.open());
+        dom.selectActions.addEventListener('click', Handlers.onSelectAction);
+        dom.selectCancelBtn.addEventListener('click', Handlers.exitSelection);
+        document.addEventListener('keydown', Handlers.onKeyDown);
 
         // Piles
         document.querySelectorAll('.pile-header').forEach(el => el.addEventListener('click', Handlers.onPileToggle));
@@ -1627,13 +4979,16 @@
         dom.saveModal.addEventListener('click', (e) => { if (e.target === dom.saveModal) dom.saveModal.classList.remove('active'); });
 
         // Popover
-        dom.statusPopover.querySelectorAll('[data-action]').forEach(btn => btn.addEventListener('click', Handlers.onPopoverAction));
-        document.addEventListener('click', (e) => { if (!dom.statusPopover.contains(e.target)) dom.statusPopover.classList.remove('active'); });
+        dom.statusPopover.addEventListener('click', Handlers.onPopoverAction);
+        document.addEventListener('click', (e) => { if (!dom.statusPopover.contains(e.target)) Handlers.closePopover(); });
 
         // Sidebar
         dom.menuBtn.addEventListener('click', openSidebar);
         dom.sidebarOverlay.addEventListener('click', closeSidebar);
         dom.sidebarMerge.addEventListener('click', () => { closeSidebar(); MergeView.open(); });
+        dom.sidebarAnalytics.addEventListener('click', () => { closeSidebar(); AnalyticsView.open(); });
+        dom.sidebarCalendar.addEventListener('click', () => { closeSidebar(); CalendarView.open(); });
+        dom.sidebarGallery.addEventListener('click', () => { closeSidebar(); GalleryView.open(); });
 
         // Settings
         dom.sidebarSettings.addEventListener('click', () => { closeSidebar(); Handlers.openSettings(); });
@@ -1641,47 +4996,123 @@
         dom.settingsBackBtn.addEventListener('click', () => dom.settingsOverlay.classList.remove('active'));
         dom.aboutBackBtn.addEventListener('click', () => dom.aboutOverlay.classList.remove('active'));
 
-        // Password Modal
-        dom.unlockSettingsBtn.addEventListener('click', Handlers._onUnlockSettings);
-        dom.cancelPasswordBtn.addEventListener('click', () => dom.passwordModal.style.display = 'none');
-        dom.adminPasswordInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') Handlers._onUnlockSettings(); });
+        // Sign-in
+        dom.signInBtn.addEventListener('click', () => Auth.signIn());
+        dom.cancelSignInBtn.addEventListener('click', () => Auth.closePrompt());
+        dom.authPasswordInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') Auth.signIn(); });
+        dom.authUsernameInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') dom.authPasswordInput.focus(); });
+        dom.sidebarAuth.addEventListener('click', Handlers.onAuthMenu);
+        dom.unlockBatchBtn.addEventListener('click', Handlers.onUnlockBatch);
         dom.saveSettingsBtn.addEventListener('click', Handlers.onSaveSettings);
+        dom.settingRetentionDays.addEventListener('change', Handlers.onRetentionChange);
         dom.clearTodayBtn.addEventListener('click', Handlers.onClearToday);
         dom.clearAllBtn.addEventListener('click', Handlers.onClearAll);
+        dom.exportBackupBtn.addEventListener('click', () => Backup.export());
+        dom.restoreBackupBtn.addEventListener('click', () => dom.restoreFileInput.click());
+        dom.restoreFileInput.addEventListener('change', () => {
+            if (dom.restoreFileInput.files[0]) Backup.onFileChosen(dom.restoreFileInput.files[0]);
+        });
+        dom.restoreMergeBtn.addEventListener('click', () => Backup.apply('merge'));
+        dom.restoreReplaceBtn.addEventListener('click', () => Backup.apply('replace'));
+        dom.restoreCancelBtn.addEventListener('click', () => Backup.cancel());
 
         // Section
         dom.sectionBackBtn.addEventListener('click', SectionView.close);
 
+        // Analytics
+        dom.analyticsBackBtn.addEventListener('click', AnalyticsView.close);
+        dom.analyticsFrom.addEventListener('change', AnalyticsView.onRangeChange);
+        dom.analyticsTo.addEventListener('change', AnalyticsView.onRangeChange);
+        dom.analyticsLowOnly.addEventListener('change', AnalyticsView.onLowOnlyToggle);
+
+        // Calendar
+        dom.calendarBackBtn.addEventListener('click', CalendarView.close);
+        dom.calendarMonth.addEventListener('change', () => CalendarView.render());
+        dom.calendarBody.addEventListener('click', CalendarView.onListClick);
+        dom.calendarAddBtn.addEventListener('click', CalendarView.onAdd);
+
         // Merge exports
         dom.mergeBackBtn.addEventListener('click', MergeView.close);
         dom.exportExcelBtn.addEventListener('click', () => MergeView.exportExcel());
         dom.exportPdfBtn.addEventListener('click', () => MergeView.exportPdf());
+        dom.exportMonthlyBtn.addEventListener('click', () => MergeView.openMonthly());
+        dom.monthlyExcelBtn.addEventListener('click', MergeView.exportMonthlyExcel);
+        dom.monthlyPdfBtn.addEventListener('click', MergeView.exportMonthlyPdf);
+        dom.monthlyModal.addEventListener('click', (e) => { if (e.target === dom.monthlyModal) MergeView.closeMonthly(); });
+
+        // Correction sheet
+        dom.correctionModal.addEventListener('click', (e) => { if (e.target === dom.correctionModal) CorrectionView.close(); });
+        dom.correctionStatuses.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-status]');
+            if (btn) CorrectionView.selectStatus(btn.dataset.status);
+        });
+        dom.correctionReason.addEventListener('input', () => CorrectionView.validate());
+        dom.correctionSaveBtn.addEventListener('click', () => CorrectionView.submit());
+
+        // Photo gallery
+        dom.galleryBackBtn.addEventListener('click', GalleryView.close);
+        dom.galleryMonth.addEventListener('change', () => GalleryView._loadAndRender());
+        dom.galleryBody.addEventListener('click', GalleryView.onBodyClick);
+        dom.galleryPhotoInput.addEventListener('change', GalleryView.onPhotoChosen);
+
+        // QR check-in
+        dom.checkInDoneBtn.addEventListener('click', CheckInView.close);
+        dom.checkInModal.addEventListener('click', (e) => { if (e.target === dom.checkInModal) CheckInView.close(); });
+
+        // Outbox
+        dom.outboxRetryBtn.addEventListener('click', () => Outbox.flush(true));
+        dom.outboxList.addEventListener('click', Handlers.onOutboxClick);
+        window.addEventListener('online', Handlers.onOnline);
+
+        // PWA update
+        dom.updateReloadBtn.addEventListener('click', () => PWA.applyUpdate());
 
         // Bottom nav
         dom.bottomNav.querySelectorAll('.bottom-nav__item').forEach(item => item.addEventListener('click', Handlers.onBottomNavClick));
     }
 
     // =============================================
-    // MODULE 15: BOOT
+    // MODULE 27: BOOT
     // =============================================
-    function init() {
+    async function init() {
         cacheDom();
         StorageManager.loadSettings();
-        StorageManager.loadState();
+        Auth.load();
+        Outbox.load();
+        // Retention looks at the outbox, so it is loaded first
+        try {
+            await StorageManager.loadState();
+        } catch (err) {
+            StorageManager.fallBackToLegacy(err);
+        }
+        Calendar.load();
+        UndoStack.init();
+        DraftSync.init();
         Store.currentDate = Utils.formatDateISO(new Date());
         dom.datePicker.value = Store.currentDate;
+        Renderer.renderBatchOptions();
+        Renderer.renderLeaveTypeOptions();
+        Auth.render();
         bindEvents();
+        PWA.register();
         API.fetchStudents();
+        Calendar.fetch();
 
         // Auto-sync attendance from cloud on load (multi-device support)
         UI.showToast('☁️ Syncing attendance...', 'info');
         API.fetchAttendance(Store.currentDate).then(ok => {
-            if (ok) {
+            if (StorageManager.usingLegacy) {
+                UI.showToast('⚠️ Offline storage unavailable — attendance is kept in basic browser storage', 'error');
+            } else if (ok) {
                 UI.showToast('✅ Attendance synced from cloud!', 'success');
             } else {
                 UI.showToast('📋 Ready — no cloud data for today', 'info');
             }
         });
+
+        // Replay anything left in the outbox by a previous session
+        Outbox.render();
+        Outbox.flush();
     }
 
     if (document.readyState === 'loading') {
@@ -12,39 +12,123 @@ const CONFIG = {
   SHEET_ID: '1g8J61vJLWh_sP0by9biJVACR0EGtC8XGlft9mmHLkps',
   SHEET_GID: '1897721584',
 
-  // Destination sheet (attendance data storage)
+  // Attendance sheet the app reads history from, only ever through the Apps Script API (the sheet can
+  // stay private). The script must list it in READABLE_ATTENDANCE_SHEET_IDS; it saves to its own
+  // ATTENDANCE_SHEET_ID.
   SAVE_SHEET_ID: '1Vq1cQgW4Cm7-cC3aKglFhRGwBJu6-ZMnKecrL1nVAxs',
 
   // === Column Mapping (from Google Sheet) ===
   COLUMNS: {
     FULL_NAME: 'Full Name',
     APP_NUMBER: 'Application: Application Number',
-    APP_ID: 'Application: ID'
+    APP_ID: 'Application: ID',
+    // Optional: a student only appears on dates from Join Date to Leave Date (both inclusive).
+    // Leave them blank for students enrolled all along.
+    JOIN_DATE: 'Join Date',
+    LEAVE_DATE: 'Leave Date'
   },
 
   // === Batch Definitions ===
+  // In the order they run each day. `id` is stored in the sheet's Batch_ID column — never
+  // change it once attendance has been saved; `name`, `time` and `shortName` can be edited freely.
+  // Keep this list in sync with BATCHES in google-apps-script/Code.gs.
   BATCHES: [
     { id: 'batch_01', name: 'Batch 01', time: '5:30 AM', shortName: 'B1 (5:30)' },
     { id: 'batch_02', name: 'Batch 02', time: '6:00 AM', shortName: 'B2 (6:00)' }
   ],
 
   // === Status Definitions ===
+  // Students start Unmarked; Leave carries one of LEAVE_TYPES; Late is Present, but after LATE.AFTER_MINUTES
   STATUSES: {
+    UNMARKED: 'unmarked',
     LEAVE: 'leave',
     PRESENT: 'present',
+    LATE: 'late',
     ABSENT: 'absent'
   },
 
+  // === Late Marks ===
+  // A student marked Present (tap, Mark All, QR check-in) more than AFTER_MINUTES after the batch's
+  // `time` on the same day is marked Late instead. Late counts as attended in percentages.
+  LATE: {
+    ENABLED: true,
+    AFTER_MINUTES: 15
+  },
+
+  // === Leave Types ===
+  // `id` is stored in the sheet's Leave_Type column — keep in sync with LEAVE_TYPES in Code.gs
+  LEAVE_TYPES: [
+    { id: 'medical', label: 'Medical' },
+    { id: 'home', label: 'Home' },
+    { id: 'event', label: 'Sports / Event' },
+    { id: 'excused', label: 'Excused' }
+  ],
+  NOTE_MAX_CHARS: 200,          // per student per session, typed in the status popover
+
   // === Photo Compression ===
   PHOTO: {
     MAX_WIDTH: 1024,
     MAX_HEIGHT: 1024,
-    QUALITY: 0.7
+    QUALITY: 0.7,
+    CHUNK_CHARS: 45000,         // per upload part (the server caches each part; 100 KB limit)
+    CONFIRM_CHECKS: 4,          // re-send missing parts this many times per attempt…
+    CONFIRM_DELAY_MS: 2000,     // …waiting 2 s, 4 s, 8 s, 16 s before each check
+    RETRY_BASE_MS: 30000,       // a failed upload is retried after 30 s, 1 min, 2 min…
+    RETRY_MAX_MS: 30 * 60000,   // …up to every 30 minutes, until the sheet confirms it
+    GEOLOCATION: true,          // ask for the phone's location and print it on the proof photo
+    GEO_TIMEOUT_MS: 8000,
+    SESSION_BEFORE_MIN: 30,     // warn when the photo was taken earlier than 30 min before the batch…
+    SESSION_AFTER_MIN: 120      // …or later than 2 hours after it starts
+  },
+
+  // === Session Calendar ===
+  // Holidays, exam breaks and special sessions are kept in the sheet's Calendar tab (edited by
+  // admins from the app's Calendar screen); these are the defaults underneath them.
+  CALENDAR: {
+    WEEKLY_OFF_DAYS: [0, 6],    // 0 = Sunday … 6 = Saturday
+    HOLIDAYS: [],               // fixed holidays as 'YYYY-MM-DD'
+    BLOCK_NON_SESSION_DAYS: true // false = only warn before marking a non-session day
+  },
+
+  // === Live Draft Sync ===
+  // Phones marking the same unsaved batch share their changes through the Apps Script API
+  DRAFT_SYNC: {
+    POLL_MS: 5000,              // how often to fetch the other phones' changes
+    PUSH_DELAY_MS: 600          // wait this long after a change so bulk marks go in one request
+  },
+
+  // === Attendance Sync ===
+  SYNC: {
+    HISTORY_DAYS: 120           // loaded on start; analytics, exports and the gallery fetch older dates on demand
+  },
+
+  // === QR Check-in ===
+  CHECKIN: {
+    POLL_MS: 4000               // how often the instructor's phone picks up new check-ins
+  },
+
+  // === Attendance Analytics ===
+  ANALYTICS: {
+    LOW_ATTENDANCE_PCT: 75,     // students below this are flagged for the warden
+    DEFAULT_RANGE_DAYS: 30
+  },
+
+  // === On-device Storage ===
+  // Attendance is kept in IndexedDB. Days older than RETENTION_DAYS are removed from the phone once
+  // every batch is on the sheet (0 = keep everything); admins can change it in Settings.
+  STORAGE: {
+    RETENTION_DAYS: 90,
+    WARN_USAGE_PCT: 80          // storage usage in Settings turns red above this share of the quota
   },
 
   // === LocalStorage Keys ===
   STORAGE_KEYS: {
     ATTENDANCE: 'yoga_attendance_data',
-    SETTINGS: 'yoga_settings'
+    SETTINGS: 'yoga_settings',
+    OUTBOX: 'yoga_outbox',
+    SESSION: 'yoga_session',
+    CALENDAR: 'yoga_calendar',
+    DRAFTS: 'yoga_drafts',
+    PORTAL: 'yoga_portal_app_number'
   }
 };
@@ -6,20 +6,142 @@
 // 1. Open Google Sheet: https://docs.google.com/spreadsheets/d/1g8J61vJLWh_sP0by9biJVACR0EGtC8XGlft9mmHLkps
 // 2. Go to Extensions → Apps Script
 // 3. Paste this entire file into Code.gs
-// 4. Create an "Attendance" tab in the Sheet with columns:
-//    Date | Batch | Student_ID | Student_Name | App_Number | Status | Time | Photo_URL
+// 4. Run setupAuth() once from the editor (creates the Users tab and the first admin)
 // 5. Deploy → New Deployment → Web App
 //    - Execute as: Me
 //    - Who has access: Anyone
 // 6. Copy the Web App URL and paste it in config.js → API_URL
 //
+// Tabs, roles, triggers and the other editor functions: see SETUP.md next to this file.
+//
 // ============================================
 
 const SHEET_ID = '1g8J61vJLWh_sP0by9biJVACR0EGtC8XGlft9mmHLkps';  // Students source
 const ATTENDANCE_SHEET_ID = '1Vq1cQgW4Cm7-cC3aKglFhRGwBJu6-ZMnKecrL1nVAxs';  // Daily Yoga Attendance (save here)
+// Attendance spreadsheets getAttendanceRange may read when the app's Settings name one. The script
+// runs as its owner, so any other ID is refused rather than opened.
+const READABLE_ATTENDANCE_SHEET_IDS = [ATTENDANCE_SHEET_ID];
 const STUDENTS_GID = '1897721584';
 const ATTENDANCE_SHEET_NAME = 'Attendance';
 const PHOTO_FOLDER_NAME = 'Yoga_Attendance_Photos';
+const USERS_SHEET_NAME = 'Users';
+const AUDIT_SHEET_NAME = 'Audit';
+const STAGING_SHEET_NAME = 'Save_Staging';
+const CALENDAR_SHEET_NAME = 'Calendar';
+const CHECKINS_SHEET_NAME = 'Check_Ins';
+const DRAFTS_SHEET_NAME = 'Drafts';
+const NOTIFY_SETTINGS_SHEET_NAME = 'Notifications';
+const NOTIFY_LOG_SHEET_NAME = 'Notification_Log';
+
+const ROLES = { INSTRUCTOR: 'instructor', ADMIN: 'admin' };
+const TOKEN_TTL_DAYS = 14;
+const MAX_LOGIN_FAILURES = 5;        // per device, then that device waits LOGIN_LOCKOUT_SECONDS
+const LOGIN_LOCKOUT_SECONDS = 15 * 60;
+const LOGIN_SLOWDOWN_AFTER = 20;     // failures on one username from any device, then every try on it
+const LOGIN_SLOWDOWN_MS = 3000;      // waits this long first (the owner can still sign in)
+const PASSWORD_ITERATIONS = 5000;    // PBKDF2 rounds; stored per user, older hashes are upgraded at sign-in
+const PORTAL_PIN_DIGITS = 6;
+const PORTAL_PIN_ITERATIONS = 100;   // no number of rounds makes a 6-digit PIN slow to guess offline (the
+                                     // rate limit guards it online), and issuePortalPins must fit one run
+const LOCK_WAIT_MS = 20000;          // how long a write waits for another device's write to finish
+const MAX_SAVE_CHUNKS = 100;
+const STAGING_TTL_DAYS = 7;          // abandoned chunked saves are pruned after this
+const CHECKIN_CODE_SECONDS = 30;     // each QR code is accepted for this long, plus one period of grace
+const CHECKIN_TICKET_SECONDS = 120;  // time a student has to type their ID after scanning
+const CHECKIN_TICKET_TRIES = 3;      // wrong IDs one ticket may submit; a check-in uses it up
+const MAX_PHOTO_CHUNKS = 50;
+const PHOTO_CACHE_SECONDS = 6 * 60 * 60; // CacheService maximum; parts of an unfinished upload are re-sent after this
+const DRAFT_TTL_DAYS = 2;            // drafts of a batch nobody saved are pruned after this
+const LOCK_CACHE_SECONDS = 60;       // checkBatchLocked's answer is kept this long (saves and unlocks
+                                     // update it at once; this only bounds edits made on the sheet by hand)
+const DRAFT_POLL_OVERLAP_MS = 10000; // getDraft re-sends rows this close to `since`, in case a push
+                                     // landed while the previous poll was reading
+const SYNC_OVERLAP_MS = 60000;       // getAttendanceRange re-sends batches changed this close to `since`, in
+                                     // case a save's rows were stamped before the last read but written after it
+const NOTIFY_DIGEST_HOUR = 12;       // the daily trigger sends a digest still held back by an unsaved batch
+const NOTIFY_QUEUE_MINUTES = 5;      // how often sendQueuedNotifications mails what saves have queued
+const NOTIFY_QUEUE_PREFIX = 'NOTIFY_PENDING_'; // + date: script property per saved date not yet handled
+
+// Optional enrolment columns on the Students tab, matched by header (case, spaces and _ ignored)
+const STUDENT_JOIN_HEADER = 'Join Date';
+const STUDENT_LEAVE_HEADER = 'Leave Date';
+
+// Batches in the order they run — keep in sync with CONFIG.BATCHES in config.js.
+// The id is what gets stored in the Batch_ID column, so never change it once used.
+const BATCHES = [
+  { id: 'batch_01', name: 'Batch 01', time: '5:30 AM' },
+  { id: 'batch_02', name: 'Batch 02', time: '6:00 AM' }
+];
+
+// Status column values (lower-cased). Unmarked = nobody marked the student; rows saved before it
+// existed have Leave there instead. Late = present, but marked after CONFIG.LATE.AFTER_MINUTES (the
+// app decides; it counts as attended).
+const STATUSES = ['present', 'late', 'absent', 'leave', 'unmarked'];
+
+// Leave_Type column values — keep in sync with CONFIG.LEAVE_TYPES in config.js
+const LEAVE_TYPES = ['medical', 'home', 'event', 'excused'];
+const NOTE_MAX_CHARS = 200;
+
+// Attendance tab layout. New columns are only ever appended so old rows stay valid.
+const ATTENDANCE_HEADERS = [
+  'Date', 'Batch', 'Student_ID', 'Student_Name', 'App_Number',
+  'Status', 'Time', 'Photo_URL', 'Saved_At', 'Batch_ID', 'Saved_By', 'Updated_At', 'Save_ID', 'Photo_Meta',
+  'Leave_Type', 'Note', 'Marked_At'
+];
+
+// 0-based column indexes into getValues() rows (add 1 for getRange)
+const COL = {
+  DATE: 0, BATCH: 1, STUDENT_ID: 2, STUDENT_NAME: 3, APP_NUMBER: 4,
+  STATUS: 5, TIME: 6, PHOTO_URL: 7, SAVED_AT: 8, BATCH_ID: 9, SAVED_BY: 10, UPDATED_AT: 11,
+  SAVE_ID: 12, PHOTO_META: 13, LEAVE_TYPE: 14, NOTE: 15, MARKED_AT: 16
+};
+
+// What the app may send about a proof photo (JSON in the Photo_Meta column): EXIF or file capture
+// time, whether that fell in the batch's session, when the date/batch stamp was printed, and location
+const PHOTO_META_FIELDS = {
+  capturedAt: 'string', source: 'string', inWindow: 'boolean', stampedAt: 'string',
+  lat: 'number', lng: 'number', accuracy: 'number'
+};
+
+// One row per received chunk of a chunked save, until commitSave moves them to Attendance
+const STAGING_HEADERS = [
+  'Save_ID', 'Chunk_Index', 'Chunk_Count', 'Date', 'Batch_ID', 'Batch', 'Time', 'Records', 'Saved_By', 'Received_At'
+];
+
+// Changed_At is the phone's time of the change (decides who wins); Synced_At is when it arrived here
+const DRAFT_HEADERS = ['Date', 'Batch_ID', 'Student_ID', 'Status', 'Changed_At', 'Changed_By', 'Device_ID', 'Synced_At', 'Leave_Type', 'Note'];
+
+const CHECKIN_HEADERS = ['Date', 'Batch_ID', 'Student_ID', 'Student_Name', 'Checked_In_At', 'Opened_By'];
+
+const CALENDAR_HEADERS = ['Date', 'Type', 'Batch_ID', 'Title', 'Added_By', 'Added_At'];
+const CALENDAR_TYPES = ['holiday', 'no_session', 'special'];
+
+// No passwords here — see readCredentials
+const USERS_HEADERS = ['Username', 'Role', 'Batches', 'Active'];
+
+const AUDIT_HEADERS = [
+  'Timestamp', 'Changed_By', 'Action', 'Date', 'Batch_ID', 'Student_ID', 'Student_Name',
+  'Old_Status', 'New_Status', 'Reason'
+];
+
+// Rows of a new Notifications tab: Setting | Value | Notes. Templates fill in {placeholders}.
+const NOTIFY_DEFAULTS = [
+  ['Mode', 'dry_run', 'off, dry_run (only write messages to Notification_Log) or send'],
+  ['Warden_Emails', '', 'Comma-separated addresses that get the daily absentee digest'],
+  ['Digest_Subject', 'Yoga attendance {date}: {absentCount} absent', ''],
+  ['Digest_Body',
+    'Absent on {date}:\n\n{absentees}\n\n{batchSummary}\n\nPresent: {presentCount} · Late: {lateCount} · Absent: {absentCount} · Leave: {leaveCount} · Unmarked: {unmarkedCount}',
+    '{date} {absentees} {batchSummary} {presentCount} {lateCount} {absentCount} {leaveCount} {unmarkedCount}'],
+  ['Student_Absence_Threshold', 3, 'Mail a student after this many absences in a row (0 = never)'],
+  ['Student_Email_Header', 'Email', 'Header of the email column on the Students tab'],
+  ['Student_Subject', 'You have missed {count} yoga sessions', ''],
+  ['Student_Body',
+    'Dear {name},\n\nYou have been absent from the last {count} yoga sessions, most recently on {date}. ' +
+    'Please attend the next session or speak to your warden.',
+    '{name} {appNumber} {count} {date}']
+];
+
+const NOTIFY_LOG_HEADERS = ['Timestamp', 'Mode', 'Key', 'To', 'Subject', 'Body', 'Result'];
 
 // ======= Web App Entry Points =======
 
@@ -28,28 +150,89 @@ function doGet(e) {
   const callback = e.parameter.callback; // JSONP support
   let result;
 
+  // Opened from a scanned QR code in the student's own browser: an HTML page, not JSON
+  if (action === 'checkIn') return checkInPage(e.parameter);
+
   try {
+    const user = verifyToken(e.parameter.token);
+    const batchId = resolveBatchId(e.parameter.batchId, e.parameter.batch);
+
     switch (action) {
       case 'getStudents':
         result = getStudents();
         break;
+      case 'login':
+        // Passwords in URLs end up in logs and history — the app POSTs them
+        result = { success: false, error: 'Sign-in has moved — reload the app to update it' };
+        break;
+      case 'getMyAttendance':
+        result = { success: false, error: 'The portal has changed — reload this page' };
+        break;
       case 'getAttendance':
-        result = getAttendance(e.parameter.date, e.parameter.batch);
+        result = authorize(user, ROLES.INSTRUCTOR) || getAttendance(e.parameter.date, batchId);
         break;
       case 'getAllAttendance':
-        result = getAllAttendance(e.parameter.date);
+        result = authorize(user, ROLES.INSTRUCTOR) || getAllAttendance(e.parameter.date);
+        break;
+      case 'getAttendanceRange':
+        result = authorize(user, ROLES.INSTRUCTOR) || getAttendanceRange(e.parameter);
         break;
       case 'checkLock':
-        result = checkBatchLocked(e.parameter.date, e.parameter.batch);
+        result = authorize(user, ROLES.INSTRUCTOR) || checkBatchLocked(e.parameter.date, batchId);
         break;
       case 'getMergedData':
-        result = getMergedData(e.parameter.date);
+        result = authorize(user, ROLES.INSTRUCTOR) || getMergedData(e.parameter.date);
         break;
       case 'saveViaGet':
-        result = saveAttendanceViaGet(e.parameter);
+        result = authorize(user, ROLES.INSTRUCTOR, batchId) || notifyAfterSave(saveAttendanceViaGet(e.parameter, user));
+        break;
+      case 'saveChunk':
+        result = authorize(user, ROLES.INSTRUCTOR, batchId) || withScriptLock(() => saveChunk(e.parameter, batchId, user));
+        break;
+      case 'commitSave':
+        result = authorize(user, ROLES.INSTRUCTOR, batchId) ||
+          notifyAfterSave(withScriptLock(() => commitSave(e.parameter, batchId, user)));
+        break;
+      case 'photoUploadStatus':
+        result = authorize(user, ROLES.INSTRUCTOR, batchId) || getPhotoUploadStatus(e.parameter);
+        break;
+      case 'commitPhoto':
+        result = authorize(user, ROLES.INSTRUCTOR, batchId) || commitPhoto(e.parameter, batchId);
         break;
       case 'getPhotoUrl':
-        result = getPhotoUrlForBatch(e.parameter.date, e.parameter.batch);
+        result = authorize(user, ROLES.INSTRUCTOR) || getPhotoUrlForBatch(e.parameter.date, batchId);
+        break;
+      case 'unlockBatch':
+        result = authorize(user, ROLES.ADMIN) ||
+          withScriptLock(() => unlockBatch(e.parameter.date, batchId, e.parameter.reason, user));
+        break;
+      case 'correctAttendance':
+        result = authorize(user, ROLES.ADMIN) || withScriptLock(() => correctAttendance(e.parameter, batchId, user));
+        break;
+      case 'getCalendar':
+        // Public like getStudents — the app needs session days before anyone signs in
+        result = getCalendar(e.parameter.from, e.parameter.to);
+        break;
+      case 'setCalendarEntry':
+        result = authorize(user, ROLES.ADMIN) || withScriptLock(() => setCalendarEntry(e.parameter, user));
+        break;
+      case 'deleteCalendarEntry':
+        result = authorize(user, ROLES.ADMIN) || withScriptLock(() => deleteCalendarEntry(e.parameter, user));
+        break;
+      case 'pushDraft':
+        result = authorize(user, ROLES.INSTRUCTOR, batchId) || withScriptLock(() => pushDraft(e.parameter, batchId, user));
+        break;
+      case 'getDraft':
+        result = authorize(user, ROLES.INSTRUCTOR, batchId) || getDraft(e.parameter.date, batchId, e.parameter.since);
+        break;
+      case 'getCheckInCode':
+        result = authorize(user, ROLES.INSTRUCTOR, batchId) || getCheckInCode(e.parameter.date, batchId, user);
+        break;
+      case 'getCheckIns':
+        result = authorize(user, ROLES.INSTRUCTOR) || getCheckIns(e.parameter.date, batchId);
+        break;
+      case 'getAuditHistory':
+        result = authorize(user, ROLES.INSTRUCTOR) || getAuditHistory(e.parameter.date, batchId, e.parameter.studentId);
         break;
       default:
         result = { success: false, error: 'Unknown action' };
@@ -113,13 +296,28 @@ function doPost(e) {
     }
 
     const action = payload.action;
+    const user = verifyToken(payload.token);
 
     switch (action) {
-      case 'saveAttendance':
-        result = saveAttendance(payload.data, payload.photo);
+      case 'login':
+        result = login(payload.username, payload.password, payload.client);
+        break;
+      case 'getMyAttendance':
+        result = getMyAttendance(payload.appNumber, payload.pin);
+        break;
+      case 'saveAttendance': {
+        const first = (payload.data && payload.data[0]) || {};
+        result = authorize(user, ROLES.INSTRUCTOR, resolveBatchId(first.batchId, first.batch)) ||
+          saveAttendance(payload.data, payload.photo, user);
+        break;
+      }
+      case 'uploadPhoto': {
+        const batchId = resolveBatchId(payload.batchId, payload.batch);
+        result = authorize(user, ROLES.INSTRUCTOR, batchId) || uploadPhotoAndUpdateSheet(payload.date, batchId, payload.photo);
         break;
-      case 'uploadPhoto':
-        result = uploadPhotoAndUpdateSheet(payload.date, payload.batch, payload.photo);
+      }
+      case 'uploadPhotoChunk':
+        result = authorize(user, ROLES.INSTRUCTOR, resolveBatchId(payload.batchId, payload.batch)) || stagePhotoChunk(payload);
         break;
       default:
         result = { success: false, error: 'Unknown action: ' + action };
@@ -136,90 +334,245 @@ function doPost(e) {
 
 // ======= Student Functions =======
 
-// Save attendance via GET (JSONP-compatible, CORS-proof)
-function saveAttendanceViaGet(params) {
+// Save attendance via GET (JSONP-compatible, CORS-proof) in a single request.
+// Kept for older app versions — a large batch can exceed the URL length limit; the app now
+// sends saveChunk × N followed by commitSave instead.
+function saveAttendanceViaGet(params, user) {
   const date = params.date;
-  const batch = params.batch;
+  const batchId = resolveBatchId(params.batchId, params.batch);
   const time = params.time || new Date().toLocaleTimeString('en-US', { hour12: false });
 
-  if (!date || !batch || !params.records) {
+  if (!date || !batchId || !params.records) {
     return { success: false, error: 'Missing date, batch, or records' };
   }
 
-  const sheet = getAttendanceSheet();
+  return withScriptLock(() => upsertBatch({
+    date: date,
+    batchId: batchId,
+    name: params.batch || getBatchName(batchId),
+    time: time,
+    saveId: params.saveId,
+    photoUrl: ''
+  }, parseCompactRecords(params.records), user));
+}
+
+// ======= Chunked Save =======
+// Each chunk is a JSONP GET small enough for any URL limit. Chunks are staged (re-sending a
+// chunk just overwrites it) and only reach the Attendance tab together, in commitSave.
+
+function saveChunk(params, batchId, user) {
+  const saveId = (params.saveId || '').toString();
+  const index = Number(params.chunkIndex);
+  const count = Number(params.chunkCount);
+
+  if (!saveId || !params.date || !batchId || !params.records) {
+    return { success: false, error: 'Missing save id, date, batch, or records' };
+  }
+  if (!(count >= 1 && count <= MAX_SAVE_CHUNKS) || !(index >= 0 && index < count) || Math.floor(index) !== index) {
+    return { success: false, error: 'Invalid chunk ' + params.chunkIndex + ' of ' + params.chunkCount };
+  }
 
-  // Check if already saved (locked)
-  const lockCheck = checkBatchLocked(date, batch);
-  if (lockCheck.locked) {
-    return { success: false, error: 'This batch is already saved and locked.' };
+  const sheet = getStagingSheet();
+  const data = sheet.getDataRange().getValues();
+  const row = [
+    saveId, index, count, normalizeDate(params.date), batchId, params.batch || getBatchName(batchId),
+    params.time || '', params.records, user.username, new Date().toISOString()
+  ];
+
+  let rowNumber = sheet.getLastRow() + 1;
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0].toString() === saveId && Number(data[i][1]) === index) {
+      rowNumber = i + 1;
+      break;
+    }
+  }
+  sheet.getRange(rowNumber, 1, 1, row.length).setValues([row]);
+
+  return { success: true, chunkIndex: index, chunkCount: count };
+}
+
+// Move every staged chunk of a save into the Attendance tab in one upsert
+function commitSave(params, batchId, user) {
+  const saveId = (params.saveId || '').toString();
+  if (!saveId || !batchId) {
+    return { success: false, error: 'Missing save id or batch' };
+  }
+
+  const sheet = getStagingSheet();
+  const data = sheet.getDataRange().getValues();
+  const chunks = {};
+  const rowNumbers = [];
+  let first = null;
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0].toString() !== saveId) continue;
+    chunks[Number(data[i][1])] = data[i];
+    rowNumbers.push(i + 1);
+    first = first || data[i];
+  }
+
+  if (!first) {
+    // Nothing staged: either this commit already went through (and the reply was lost) or
+    // the chunks never arrived
+    const committed = countRowsForSave(saveId);
+    if (committed > 0) return { success: true, saved: committed, alreadyCommitted: true, saveId: saveId };
+    return { success: false, incomplete: true, missing: [], error: 'No chunks received for this save' };
   }
 
-  // Parse compact records: "id:status:name:appNum|id:status:name:appNum|..."
-  const recordParts = params.records.split('|');
-  const savedAt = new Date().toISOString();
+  const count = Number(first[2]);
+  const missing = [];
+  let records = [];
+  for (let c = 0; c < count; c++) {
+    if (chunks[c]) records = records.concat(parseCompactRecords(chunks[c][7].toString()));
+    else missing.push(c);
+  }
+  if (missing.length > 0) {
+    return { success: false, incomplete: true, missing: missing, error: 'Missing chunks: ' + missing.join(', ') };
+  }
+
+  const result = upsertBatch({
+    date: normalizeDate(first[3]),
+    batchId: batchId,
+    name: first[5].toString(),
+    time: first[6].toString(),
+    saveId: saveId,
+    photoUrl: ''
+  }, records, user);
+
+  // A conflict is final too — the staged copy would never be committed
+  if (result.success || result.conflict) {
+    deleteRows(sheet, rowNumbers.concat(findStaleStagingRows(data)));
+  }
+  return result;
+}
+
+function getStagingSheet() {
+  const ss = SpreadsheetApp.openById(ATTENDANCE_SHEET_ID);
+  let sheet = ss.getSheetByName(STAGING_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(STAGING_SHEET_NAME);
+    sheet.appendRow(STAGING_HEADERS);
+    sheet.getRange(1, 1, 1, STAGING_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+function findStaleStagingRows(data) {
+  const cutoff = Date.now() - STAGING_TTL_DAYS * 24 * 60 * 60 * 1000;
   const rows = [];
+  for (let i = 1; i < data.length; i++) {
+    const received = new Date(data[i][9]).getTime();
+    if (received && received < cutoff) rows.push(i + 1);
+  }
+  return rows;
+}
+
+function countRowsForSave(saveId) {
+  const data = getAttendanceSheet().getDataRange().getValues();
+  let count = 0;
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][COL.SAVE_ID].toString() === saveId) count++;
+  }
+  return count;
+}
+
+// Delete 1-based row numbers, highest first so the others keep their positions
+function deleteRows(sheet, rowNumbers) {
+  const unique = rowNumbers.filter(function (n, i) { return rowNumbers.indexOf(n) === i; });
+  unique.sort(function (a, b) { return b - a; });
+  unique.forEach(function (n) { sheet.deleteRow(n); });
+}
+
+// Parse compact records: "id:status:name:appNum:leaveType:note|..." (older apps send the first four)
+function parseCompactRecords(compact) {
+  const recordParts = compact.split('|');
+  const records = [];
 
   for (let i = 0; i < recordParts.length; i++) {
     const parts = recordParts[i].split(':');
     if (parts.length < 2) continue;
 
-    const studentId = decodeURIComponent(parts[0]);
-    const statusCode = parts[1];
-    const studentName = parts.length > 2 ? decodeURIComponent(parts[2]) : '';
-    const appNumber = parts.length > 3 ? decodeURIComponent(parts[3]) : '';
-
-    // Expand status code: p=present, a=absent, l=leave
+    // Expand status code: p=present, t=late, a=absent, u=unmarked, l=leave
     let status;
-    switch (statusCode) {
-      case 'p': status = 'Present'; break;
-      case 'a': status = 'Absent'; break;
-      default: status = 'Leave';
+    switch (parts[1]) {
+      case 'p': status = 'present'; break;
+      case 't': status = 'late'; break;
+      case 'a': status = 'absent'; break;
+      case 'u': status = 'unmarked'; break;
+      default: status = 'leave';
     }
 
-    rows.push([date, batch, studentId, studentName, appNumber, status, time, '', savedAt]);
+    records.push({
+      studentId: decodeURIComponent(parts[0]),
+      studentName: parts.length > 2 ? decodeURIComponent(parts[2]) : '',
+      appNumber: parts.length > 3 ? decodeURIComponent(parts[3]) : '',
+      status: status,
+      leaveType: status === 'leave' ? readLeaveType(parts[4]) : '',
+      note: readNote(parts[5]),
+      markedAt: status === 'unmarked' ? '' : readMarkedAt(parts[6])
+    });
   }
+  return records;
+}
 
-  if (rows.length > 0) {
-    const startRow = sheet.getLastRow() + 1;
-    sheet.getRange(startRow, 1, rows.length, 9).setValues(rows);
-  }
+// A URI-encoded leave type from the app: one of LEAVE_TYPES, or ''
+function readLeaveType(raw) {
+  const type = raw ? decodeURIComponent(raw).trim().toLowerCase() : '';
+  return LEAVE_TYPES.indexOf(type) === -1 ? '' : type;
+}
 
-  return {
-    success: true,
-    message: 'Saved ' + rows.length + ' records',
-    saved: rows.length
-  };
+// A URI-encoded note from the app, trimmed to NOTE_MAX_CHARS
+function readNote(raw) {
+  return raw ? decodeURIComponent(raw).trim().substring(0, NOTE_MAX_CHARS) : '';
 }
 
-function getStudents() {
-  const ss = SpreadsheetApp.openById(SHEET_ID);
-  const sheets = ss.getSheets();
-  
-  // Find the students sheet by GID
-  let sheet = null;
+// When the app marked the student (ms since epoch) → ISO text for the Marked_At column, or ''
+function readMarkedAt(raw) {
+  const at = Number(raw);
+  return at > 0 ? new Date(at).toISOString() : '';
+}
+
+// A Marked_At cell as ISO text — Sheets may have turned the text into a date
+function markedAtOf(row) {
+  const val = row[COL.MARKED_AT];
+  return val instanceof Date ? val.toISOString() : (val || '').toString();
+}
+
+// The students tab is found by GID, so it can be renamed freely
+function getStudentsSheet() {
+  const sheets = SpreadsheetApp.openById(SHEET_ID).getSheets();
   for (let i = 0; i < sheets.length; i++) {
-    if (sheets[i].getSheetId().toString() === STUDENTS_GID) {
-      sheet = sheets[i];
-      break;
-    }
+    if (sheets[i].getSheetId().toString() === STUDENTS_GID) return sheets[i];
   }
+  return null;
+}
 
+function getStudents() {
+  const sheet = getStudentsSheet();
   if (!sheet) {
     return { success: false, error: 'Students sheet not found' };
   }
 
   const data = sheet.getDataRange().getValues();
   const headers = data[0];
+  const joinCol = findHeaderColumn(headers, STUDENT_JOIN_HEADER);
+  const leaveCol = findHeaderColumn(headers, STUDENT_LEAVE_HEADER);
+  const today = normalizeDate(new Date());
   const students = [];
 
   for (let i = 1; i < data.length; i++) {
     const row = data[i];
     if (row[0] && row[0].toString().trim()) {
+      const joinDate = joinCol === -1 ? '' : normalizeDate(row[joinCol]);
+      const leaveDate = leaveCol === -1 ? '' : normalizeDate(row[leaveCol]);
       students.push({
         name: row[0].toString().trim(),
         appNumber: row[1] ? row[1].toString().trim() : '',
         id: row[2] ? row[2].toString().trim() : '',
-        active: true
+        joinDate: joinDate,
+        leaveDate: leaveDate,
+        active: (!joinDate || joinDate <= today) && (!leaveDate || leaveDate >= today)
       });
     }
   }
@@ -231,6 +584,111 @@ function getStudents() {
   };
 }
 
+// ======= Student Portal =======
+
+function getMyAttendance(appNumber, pin) {
+  appNumber = (appNumber || '').toString().trim();
+  if (!appNumber || !pin) {
+    return { success: false, error: 'Enter your App Number and PIN' };
+  }
+
+  const cache = CacheService.getScriptCache();
+  const failKey = 'portal_fail_' + appNumber.toLowerCase();
+  const failures = Number(cache.get(failKey) || 0);
+  if (failures >= MAX_LOGIN_FAILURES) {
+    return { success: false, error: 'Too many attempts — try again in 15 minutes' };
+  }
+
+  const sheet = getStudentsSheet();
+  if (!sheet) return { success: false, error: 'Students sheet not found' };
+  const roster = sheet.getDataRange().getValues();
+  const joinCol = findHeaderColumn(roster[0], STUDENT_JOIN_HEADER);
+  const leaveCol = findHeaderColumn(roster[0], STUDENT_LEAVE_HEADER);
+
+  // Same reply for an unknown number, a student without a PIN and a wrong PIN, so the portal can't be
+  // used to list App Numbers
+  let student = null;
+  const credentials = readStoredCredentials(portalPinKey(appNumber));
+  for (let i = 1; credentials && i < roster.length; i++) {
+    const row = roster[i];
+    if (row[1].toString().trim().toLowerCase() !== appNumber.toLowerCase()) continue;
+    if (checkPassword(pin.toString().trim(), credentials)) {
+      student = {
+        name: row[0].toString().trim(),
+        appNumber: row[1].toString().trim(),
+        id: row[2].toString().trim(),
+        joinDate: joinCol === -1 ? '' : normalizeDate(row[joinCol]),
+        leaveDate: leaveCol === -1 ? '' : normalizeDate(row[leaveCol])
+      };
+    }
+    break;
+  }
+  if (!student) {
+    cache.put(failKey, String(failures + 1), LOGIN_LOCKOUT_SECONDS);
+    return { success: false, error: 'App Number and PIN don\'t match our records' };
+  }
+  cache.remove(failKey);
+
+  const data = getAttendanceSheet().getDataRange().getValues();
+  const records = [];
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][COL.STUDENT_ID].toString().trim() !== student.id) continue;
+    const date = normalizeDate(data[i][COL.DATE]);
+    if ((student.joinDate && date < student.joinDate) || (student.leaveDate && date > student.leaveDate)) continue;
+    records.push({
+      date: date,
+      batchId: getRowBatchId(data[i]) || '',
+      status: data[i][COL.STATUS].toString().toLowerCase(),
+      leaveType: data[i][COL.LEAVE_TYPE].toString()
+    });
+  }
+  records.sort(function (a, b) { return a.date < b.date ? -1 : a.date > b.date ? 1 : 0; });
+
+  // Calendar entries over the same dates, so holidays are left out of the percentage as in the app
+  const calendar = records.length ? getCalendar(records[0].date, records[records.length - 1].date).entries : [];
+
+  return {
+    success: true,
+    student: { name: student.name, appNumber: student.appNumber, joinDate: student.joinDate, leaveDate: student.leaveDate },
+    batches: BATCHES,
+    records: records,
+    calendar: calendar
+  };
+}
+
+function portalPinKey(appNumber) {
+  return 'PORTAL_PIN_' + appNumber.toString().trim().toLowerCase();
+}
+
+function randomPin() {
+  const digits = parseInt(Utilities.getUuid().replace(/-/g, '').slice(0, 12), 16) % Math.pow(10, PORTAL_PIN_DIGITS);
+  return ('000000000' + digits).slice(-PORTAL_PIN_DIGITS);
+}
+
+// Editor helper: a PIN for every student on the roster who has none yet. Logs App Number, name and
+// PIN of each new one — the only time a PIN can be read, so copy the list before closing the log.
+function issuePortalPins() {
+  const roster = getStudents();
+  if (!roster.success) throw new Error(roster.error);
+  let issued = 0;
+  roster.students.forEach(function (s) {
+    if (!s.appNumber || readStoredCredentials(portalPinKey(s.appNumber))) return;
+    const pin = randomPin();
+    storeCredentials(portalPinKey(s.appNumber), pin, PORTAL_PIN_ITERATIONS);
+    Logger.log(s.appNumber + '  ' + s.name + '  PIN ' + pin);
+    issued++;
+  });
+  Logger.log(issued + ' portal PINs issued');
+}
+
+// Editor helper: a new PIN for one student (forgotten, or shared with someone else). Random unless given.
+function setPortalPin(appNumber, pin) {
+  if (!appNumber) throw new Error('setPortalPin(appNumber, pin)');
+  pin = pin ? pin.toString().trim() : randomPin();
+  storeCredentials(portalPinKey(appNumber), pin, PORTAL_PIN_ITERATIONS);
+  Logger.log(appNumber + '  PIN ' + pin);
+}
+
 // ======= Attendance Functions =======
 
 function getAttendanceSheet() {
@@ -240,81 +698,194 @@ function getAttendanceSheet() {
   // Create if not exists
   if (!sheet) {
     sheet = ss.insertSheet(ATTENDANCE_SHEET_NAME);
-    sheet.appendRow([
-      'Date', 'Batch', 'Student_ID', 'Student_Name', 'App_Number',
-      'Status', 'Time', 'Photo_URL', 'Saved_At'
-    ]);
+    sheet.appendRow(ATTENDANCE_HEADERS);
     
     // Format header
-    const headerRange = sheet.getRange(1, 1, 1, 9);
+    const headerRange = sheet.getRange(1, 1, 1, ATTENDANCE_HEADERS.length);
     headerRange.setFontWeight('bold');
     headerRange.setBackground('#4F46E5');
     headerRange.setFontColor('#FFFFFF');
+  } else {
+    ensureAttendanceHeaders(sheet);
   }
 
   return sheet;
 }
 
-function saveAttendance(records, photoBase64) {
-  const sheet = getAttendanceSheet();
+// Sheets created by older versions have fewer columns — append the missing headers
+function ensureAttendanceHeaders(sheet) {
+  const width = sheet.getLastColumn();
+  if (width >= ATTENDANCE_HEADERS.length) return;
+
+  const missing = ATTENDANCE_HEADERS.slice(width);
+  const range = sheet.getRange(1, width + 1, 1, missing.length);
+  range.setValues([missing]);
+  range.setFontWeight('bold');
+  range.setBackground('#4F46E5');
+  range.setFontColor('#FFFFFF');
+}
 
-  // Check if already saved (locked)
-  if (records.length > 0) {
-    const firstRecord = records[0];
-    const lockCheck = checkBatchLocked(firstRecord.date, firstRecord.batch);
-    if (lockCheck.locked) {
-      return { success: false, error: 'This batch is already saved and locked.' };
-    }
+function saveAttendance(records, photoBase64, user) {
+  if (!records || records.length === 0) {
+    return { success: false, error: 'No records provided' };
   }
+  const first = records[0];
+  const batchId = resolveBatchId(first.batchId, first.batch);
 
-  // Upload photo to Drive
+  // Upload photo to Drive (outside the lock — it is the slow part)
   let photoUrl = '';
   if (photoBase64) {
-    photoUrl = uploadPhoto(photoBase64, records[0].date, records[0].batch);
-  }
-
-  const savedAt = new Date().toISOString();
-
-  // Append all records
-  const rows = records.map(r => [
-    r.date,
-    r.batch,
-    r.studentId,
-    r.studentName,
-    r.appNumber || '',
-    capitalizeFirst(r.status),
-    r.time,
-    photoUrl,
-    savedAt
-  ]);
+    photoUrl = uploadPhoto(photoBase64, first.date, first.batch);
+  }
 
-  if (rows.length > 0) {
-    const startRow = sheet.getLastRow() + 1;
-    sheet.getRange(startRow, 1, rows.length, 9).setValues(rows);
+  const result = withScriptLock(() => upsertBatch({
+    date: first.date,
+    batchId: batchId,
+    name: first.batch,
+    time: first.time,
+    saveId: first.saveId,
+    photoUrl: photoUrl
+  }, records, user));
+
+  if (result.success) result.photoUrl = photoUrl;
+  return result;
+}
+
+// Write one batch, keyed by date + batch + student. The client sends the same saveId on
+// every retry of a save: rows already written under it are updated in place (so a retry
+// after a timeout never duplicates), while rows under any other saveId mean another
+// device saved this batch first — that is a conflict, and nothing is written.
+// Callers must hold the script lock (see withScriptLock).
+function upsertBatch(batch, records, user) {
+  // Requests without a saveId (older app versions) can't be matched to earlier attempts
+  const saveId = batch.saveId ? batch.saveId.toString() : Utilities.getUuid();
+  const targetDate = normalizeDate(batch.date);
+
+  const sheet = getAttendanceSheet();
+  const data = sheet.getDataRange().getValues();
+  const ownRows = {}; // studentId → index into data
+  let otherRow = null; // a row of this batch from another save
+  let blankRow = null; // a row of this batch without a Save_ID
+
+  for (let i = 1; i < data.length; i++) {
+    if (normalizeDate(data[i][COL.DATE]) !== targetDate || getRowBatchId(data[i]) !== batch.batchId) continue;
+
+    const rowSaveId = data[i][COL.SAVE_ID].toString();
+    if (rowSaveId === saveId) ownRows[data[i][COL.STUDENT_ID].toString().trim()] = i;
+    else if (rowSaveId) otherRow = otherRow || data[i];
+    else blankRow = blankRow || data[i];
+  }
+
+  // Blank Save_IDs are rows from before the column existed, or added by an older correction: they
+  // only count as another save when no row of this batch carries ours
+  const conflictRow = otherRow || (Object.keys(ownRows).length === 0 ? blankRow : null);
+  if (conflictRow) {
+    const savedBy = conflictRow[COL.SAVED_BY].toString() || 'another device';
+    const savedAt = conflictRow[COL.SAVED_AT];
+    return {
+      success: false,
+      conflict: true,
+      locked: true,
+      savedBy: savedBy,
+      savedAt: savedAt instanceof Date ? savedAt.toISOString() : savedAt.toString(),
+      error: batch.name + ' on ' + targetDate + ' was already saved by ' + savedBy
+    };
   }
 
+  // Last record wins if a student appears twice in one request
+  const byStudent = {};
+  records.forEach(function (r) { byStudent[r.studentId.toString().trim()] = r; });
+
+  const now = new Date().toISOString();
+  const newRows = [];
+  let updated = 0;
+
+  Object.keys(byStudent).forEach(function (studentId) {
+    const r = byStudent[studentId];
+    const row = ATTENDANCE_HEADERS.map(function () { return ''; });
+    row[COL.DATE] = batch.date;
+    row[COL.BATCH] = batch.name;
+    row[COL.STUDENT_ID] = studentId;
+    row[COL.STUDENT_NAME] = r.studentName || '';
+    row[COL.APP_NUMBER] = r.appNumber || '';
+    row[COL.STATUS] = capitalizeFirst(r.status);
+    row[COL.TIME] = batch.time || '';
+    row[COL.PHOTO_URL] = batch.photoUrl || '';
+    row[COL.SAVED_AT] = now;
+    row[COL.BATCH_ID] = batch.batchId;
+    row[COL.SAVED_BY] = user.username;
+    row[COL.SAVE_ID] = saveId;
+    row[COL.LEAVE_TYPE] = r.leaveType || '';
+    row[COL.NOTE] = r.note || '';
+    row[COL.MARKED_AT] = r.markedAt || '';
+
+    const existing = ownRows[studentId];
+    if (existing === undefined) {
+      newRows.push(row);
+      return;
+    }
+
+    // A retry of our own save: keep the original save time and any photo already attached (with
+    // its capture details, which only ever arrive with commitPhoto)
+    const old = data[existing];
+    row[COL.SAVED_AT] = old[COL.SAVED_AT];
+    row[COL.PHOTO_URL] = row[COL.PHOTO_URL] || old[COL.PHOTO_URL];
+    row[COL.PHOTO_META] = old[COL.PHOTO_META] || '';
+    row[COL.UPDATED_AT] = now;
+    sheet.getRange(existing + 1, 1, 1, row.length).setValues([row]);
+    updated++;
+  });
+
+  if (newRows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, ATTENDANCE_HEADERS.length).setValues(newRows);
+  }
+  rememberBatchLock(targetDate, batch.batchId, true);
+  clearDrafts(targetDate, batch.batchId);
+
   return {
     success: true,
-    message: `Saved ${records.length} records`,
-    photoUrl: photoUrl
+    message: 'Saved ' + (newRows.length + updated) + ' records',
+    saved: newRows.length + updated,
+    inserted: newRows.length,
+    updated: updated,
+    saveId: saveId,
+    date: targetDate
   };
 }
 
-function getAttendance(date, batch) {
+// Run fn while holding the script-wide lock, so concurrent writes from several phones
+// happen one after another instead of interleaving their read-check-write steps
+function withScriptLock(fn) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(LOCK_WAIT_MS)) {
+    return { success: false, busy: true, error: 'The sheet is busy with another save — will retry' };
+  }
+  try {
+    return fn();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function getAttendance(date, batchId) {
   const sheet = getAttendanceSheet();
   const data = sheet.getDataRange().getValues();
   const records = [];
 
   for (let i = 1; i < data.length; i++) {
-    if (data[i][0].toString() === date && data[i][1].toString() === batch) {
+    if (normalizeDate(data[i][COL.DATE]) === date && getRowBatchId(data[i]) === batchId) {
       records.push({
-        date: data[i][0].toString(),
-        batch: data[i][1].toString(),
-        studentId: data[i][2].toString(),
-        studentName: data[i][3].toString(),
-        status: data[i][5].toString().toLowerCase(),
-        time: data[i][6].toString(),
-        photoUrl: data[i][7].toString()
+        date: normalizeDate(data[i][COL.DATE]),
+        batch: data[i][COL.BATCH].toString(),
+        batchId: batchId,
+        studentId: data[i][COL.STUDENT_ID].toString(),
+        studentName: data[i][COL.STUDENT_NAME].toString(),
+        status: data[i][COL.STATUS].toString().toLowerCase(),
+        leaveType: data[i][COL.LEAVE_TYPE].toString(),
+        note: data[i][COL.NOTE].toString(),
+        markedAt: markedAtOf(data[i]),
+        time: data[i][COL.TIME].toString(),
+        photoUrl: data[i][COL.PHOTO_URL].toString()
       });
     }
   }
@@ -326,33 +897,30 @@ function getAttendance(date, batch) {
   };
 }
 
-// Get ALL attendance for a date, grouped by batch
+// Get ALL attendance for a date, grouped by batch id
 function getAllAttendance(date) {
   const sheet = getAttendanceSheet();
   const data = sheet.getDataRange().getValues();
   const batches = {};
 
   for (let i = 1; i < data.length; i++) {
-    if (data[i][0].toString() === date) {
-      const batchName = data[i][1].toString();
-      // Map batch name to batch key
-      let batchKey;
-      if (batchName.includes('01') || batchName.includes('5:30')) {
-        batchKey = 'batch_01';
-      } else {
-        batchKey = 'batch_02';
-      }
+    if (normalizeDate(data[i][COL.DATE]) === date) {
+      const batchKey = getRowBatchId(data[i]);
+      if (!batchKey) continue;
 
       if (!batches[batchKey]) {
         batches[batchKey] = { records: [], locked: false };
       }
 
       batches[batchKey].records.push({
-        studentId: data[i][2].toString(),
-        studentName: data[i][3].toString(),
-        status: data[i][5].toString().toLowerCase(),
-        time: data[i][6].toString(),
-        photoUrl: data[i][7].toString()
+        studentId: data[i][COL.STUDENT_ID].toString(),
+        studentName: data[i][COL.STUDENT_NAME].toString(),
+        status: data[i][COL.STATUS].toString().toLowerCase(),
+        leaveType: data[i][COL.LEAVE_TYPE].toString(),
+        note: data[i][COL.NOTE].toString(),
+        markedAt: markedAtOf(data[i]),
+        time: data[i][COL.TIME].toString(),
+        photoUrl: data[i][COL.PHOTO_URL].toString()
       });
       batches[batchKey].locked = true;
     }
@@ -365,45 +933,239 @@ function getAllAttendance(date) {
   };
 }
 
-function checkBatchLocked(date, batch) {
+// Saved batches dated from..to (a single `date`, or either end open), as
+// { date, batchId, photoUrl, statuses: { studentId: status }, details: { studentId: { leaveType, note, markedAt } } }
+// (details only for students with any of them). With `since` (the serverTime of an
+// earlier reply) only batches with a row saved or updated after it, plus `removed`: batches an
+// admin unlocked since, whose rows are gone.
+function getAttendanceRange(params) {
+  const spreadsheetId = (params.sheetId || ATTENDANCE_SHEET_ID).toString().trim();
+  if (READABLE_ATTENDANCE_SHEET_IDS.indexOf(spreadsheetId) === -1) {
+    return { success: false, forbidden: true, error: 'This Apps Script may not read the attendance sheet in Settings — add its ID to READABLE_ATTENDANCE_SHEET_IDS' };
+  }
+  // Only the script's own sheet gets missing tabs and columns added; another one is just read
+  const own = spreadsheetId === ATTENDANCE_SHEET_ID;
+  const spreadsheet = own ? null : SpreadsheetApp.openById(spreadsheetId);
+  const attendanceSheet = own ? getAttendanceSheet() : spreadsheet.getSheetByName(ATTENDANCE_SHEET_NAME);
+  if (!attendanceSheet) return { success: false, error: 'That spreadsheet has no ' + ATTENDANCE_SHEET_NAME + ' tab' };
+  const auditSheet = own ? getAuditSheet() : spreadsheet.getSheetByName(AUDIT_SHEET_NAME);
+
+  const from = normalizeDate(params.date || params.from);
+  const to = normalizeDate(params.date || params.to);
+  const since = params.since ? new Date(params.since).getTime() - SYNC_OVERLAP_MS : 0;
+  if (isNaN(since)) return { success: false, error: 'Invalid since: ' + params.since };
+
+  const serverTime = new Date().toISOString(); // taken before reading, so nothing written meanwhile is skipped next time
+  const inRange = function (date) { return date && (!from || date >= from) && (!to || date <= to); };
+  const timeOf = function (val) {
+    const t = val instanceof Date ? val.getTime() : Date.parse(val);
+    return isNaN(t) ? 0 : t;
+  };
+
+  const data = attendanceSheet.getDataRange().getValues();
+  const batches = {};
+  const changed = {};
+  for (let i = 1; i < data.length; i++) {
+    const date = normalizeDate(data[i][COL.DATE]);
+    const batchId = getRowBatchId(data[i]);
+    if (!batchId || !inRange(date)) continue;
+
+    const key = date + '|' + batchId;
+    const batch = batches[key] || (batches[key] = { date: date, batchId: batchId, photoUrl: '', statuses: {}, details: {} });
+    const studentId = data[i][COL.STUDENT_ID].toString().trim();
+    batch.statuses[studentId] = data[i][COL.STATUS].toString().toLowerCase();
+    const leaveType = (data[i][COL.LEAVE_TYPE] || '').toString();
+    const note = (data[i][COL.NOTE] || '').toString();
+    const markedAt = markedAtOf(data[i]);
+    if (leaveType || note || markedAt) batch.details[studentId] = { leaveType: leaveType, note: note, markedAt: markedAt };
+    if (!batch.photoUrl && data[i][COL.PHOTO_URL]) batch.photoUrl = data[i][COL.PHOTO_URL].toString().trim();
+    if (!since || Math.max(timeOf(data[i][COL.SAVED_AT]), timeOf(data[i][COL.UPDATED_AT])) > since) changed[key] = true;
+  }
+
+  // Unlocks are only recorded in the Audit tab; a batch saved again since is simply sent in full
+  const removed = [];
+  if (since && auditSheet) {
+    auditSheet.getDataRange().getValues().slice(1).forEach(function (row) {
+      const date = normalizeDate(row[3]);
+      const key = date + '|' + row[4];
+      if (row[2] !== 'unlock' || timeOf(row[0]) <= since || !inRange(date) || batches[key]) return;
+      removed.push({ date: date, batchId: row[4].toString() });
+    });
+  }
+
+  return {
+    success: true,
+    batches: Object.keys(changed).map(function (key) { return batches[key]; }),
+    removed: removed,
+    serverTime: serverTime
+  };
+}
+
+// Every draft poll from every phone asks this, so the answer is cached rather than read from the
+// whole Attendance tab each time
+function checkBatchLocked(date, batchId) {
+  const targetDate = normalizeDate(date);
+  const cached = CacheService.getScriptCache().get(lockCacheKey(targetDate, batchId));
+  if (cached) return { success: true, locked: cached === 'locked' };
+
+  const data = getAttendanceSheet().getDataRange().getValues();
+  let locked = false;
+  for (let i = 1; i < data.length; i++) {
+    if (normalizeDate(data[i][COL.DATE]) === targetDate && getRowBatchId(data[i]) === batchId) {
+      locked = true;
+      break;
+    }
+  }
+  rememberBatchLock(targetDate, batchId, locked);
+  return { success: true, locked: locked };
+}
+
+function lockCacheKey(date, batchId) {
+  return 'batch_lock_' + date + '_' + batchId;
+}
+
+function rememberBatchLock(date, batchId, locked) {
+  CacheService.getScriptCache().put(lockCacheKey(normalizeDate(date), batchId), locked ? 'locked' : 'open', LOCK_CACHE_SECONDS);
+}
+
+// Admin only: remove a saved batch so it can be marked and saved again
+function unlockBatch(date, batchId, reason, user) {
+  if (!date || !batchId) {
+    return { success: false, error: 'Missing date or batch' };
+  }
+  reason = (reason || '').toString().trim();
+  if (!reason) {
+    return { success: false, error: 'A reason is required' };
+  }
+
+  const sheet = getAttendanceSheet();
+  const data = sheet.getDataRange().getValues();
+  const targetDate = normalizeDate(date);
+  let removed = 0;
+
+  // Bottom-up so earlier row numbers stay valid while deleting
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (normalizeDate(data[i][COL.DATE]) === targetDate && getRowBatchId(data[i]) === batchId) {
+      sheet.deleteRow(i + 1);
+      removed++;
+    }
+  }
+
+  rememberBatchLock(targetDate, batchId, false);
+  if (removed > 0) {
+    logAudit(user, 'unlock', targetDate, batchId, '', '', '', '', reason + ' (' + removed + ' rows removed)');
+  }
+  return { success: true, removed: removed };
+}
+
+// Admin only: change one student's status in a saved batch. A student missing from the
+// saved batch (e.g. joined late) gets a row added alongside the others.
+function correctAttendance(params, batchId, user) {
+  const date = normalizeDate(params.date);
+  const studentId = (params.studentId || '').toString().trim();
+  const status = (params.status || '').toString().trim().toLowerCase();
+  const reason = (params.reason || '').toString().trim();
+
+  if (!date || !batchId || !studentId) {
+    return { success: false, error: 'Missing date, batch, or student' };
+  }
+  if (STATUSES.indexOf(status) === -1) {
+    return { success: false, error: 'Invalid status: ' + status };
+  }
+  if (!reason) {
+    return { success: false, error: 'A reason is required' };
+  }
+
   const sheet = getAttendanceSheet();
   const data = sheet.getDataRange().getValues();
+  let batchRow = null;
+  let studentRowIndex = -1;
 
   for (let i = 1; i < data.length; i++) {
-    if (data[i][0].toString() === date && data[i][1].toString() === batch) {
-      return { success: true, locked: true };
+    if (normalizeDate(data[i][COL.DATE]) !== date || getRowBatchId(data[i]) !== batchId) continue;
+    batchRow = data[i];
+    if (data[i][COL.STUDENT_ID].toString().trim() === studentId) {
+      studentRowIndex = i;
+      break;
+    }
+  }
+
+  if (!batchRow) {
+    return { success: false, error: 'This batch has not been saved for ' + date };
+  }
+
+  const now = new Date().toISOString();
+  const newStatus = capitalizeFirst(status);
+  // Attending now counts from the correction, like a mark made in the app
+  const attended = status === 'present' || status === 'late';
+  let oldStatus = '';
+  let studentName = params.studentName || '';
+
+  if (studentRowIndex > 0) {
+    oldStatus = data[studentRowIndex][COL.STATUS].toString();
+    studentName = data[studentRowIndex][COL.STUDENT_NAME].toString();
+    if (oldStatus.toLowerCase() === status) {
+      return { success: true, unchanged: true, status: status };
     }
+    sheet.getRange(studentRowIndex + 1, COL.STATUS + 1).setValue(newStatus);
+    sheet.getRange(studentRowIndex + 1, COL.UPDATED_AT + 1).setValue(now);
+    if (attended) sheet.getRange(studentRowIndex + 1, COL.MARKED_AT + 1).setValue(now);
+    // A leave type only describes Leave
+    if (status !== 'leave') sheet.getRange(studentRowIndex + 1, COL.LEAVE_TYPE + 1).setValue('');
+  } else {
+    const row = ATTENDANCE_HEADERS.map(function () { return ''; });
+    row[COL.DATE] = date;
+    row[COL.BATCH] = batchRow[COL.BATCH];
+    row[COL.STUDENT_ID] = studentId;
+    row[COL.STUDENT_NAME] = studentName;
+    row[COL.APP_NUMBER] = params.appNumber || '';
+    row[COL.STATUS] = newStatus;
+    row[COL.TIME] = batchRow[COL.TIME];
+    row[COL.PHOTO_URL] = batchRow[COL.PHOTO_URL];
+    row[COL.PHOTO_META] = batchRow[COL.PHOTO_META] || '';
+    // Part of the batch's save, so a retry of that save still matches it
+    row[COL.SAVE_ID] = batchRow[COL.SAVE_ID];
+    row[COL.SAVED_AT] = now;
+    row[COL.BATCH_ID] = batchId;
+    row[COL.SAVED_BY] = user.username;
+    row[COL.UPDATED_AT] = now;
+    if (attended) row[COL.MARKED_AT] = now;
+    sheet.getRange(sheet.getLastRow() + 1, 1, 1, row.length).setValues([row]);
   }
 
-  return { success: true, locked: false };
+  logAudit(user, 'correct', date, batchId, studentId, studentName, oldStatus, newStatus, reason);
+
+  return {
+    success: true,
+    oldStatus: oldStatus.toLowerCase(),
+    status: status
+  };
 }
 
+// One row per student with a status per batch id ('—' where that batch has no row)
 function getMergedData(date) {
   const sheet = getAttendanceSheet();
   const data = sheet.getDataRange().getValues();
   const merged = {};
 
   for (let i = 1; i < data.length; i++) {
-    if (data[i][0].toString() === date) {
-      const studentId = data[i][2].toString();
-      const batch = data[i][1].toString();
-      const status = data[i][5].toString().toLowerCase();
+    if (normalizeDate(data[i][COL.DATE]) === date) {
+      const studentId = data[i][COL.STUDENT_ID].toString();
+      const batchId = getRowBatchId(data[i]);
+      const status = data[i][COL.STATUS].toString().toLowerCase();
 
       if (!merged[studentId]) {
+        const statuses = {};
+        BATCHES.forEach(function (b) { statuses[b.id] = '—'; });
         merged[studentId] = {
           studentId: studentId,
-          studentName: data[i][3].toString(),
-          appNumber: data[i][4].toString(),
-          batch1Status: '—',
-          batch2Status: '—'
+          studentName: data[i][COL.STUDENT_NAME].toString(),
+          appNumber: data[i][COL.APP_NUMBER].toString(),
+          statuses: statuses
         };
       }
 
-      if (batch.includes('01') || batch.includes('5:30')) {
-        merged[studentId].batch1Status = status;
-      } else {
-        merged[studentId].batch2Status = status;
-      }
+      if (batchId) merged[studentId].statuses[batchId] = status;
     }
   }
 
@@ -413,6 +1175,7 @@ function getMergedData(date) {
 
   return {
     success: true,
+    batches: BATCHES,
     data: result,
     date: date
   };
@@ -451,46 +1214,160 @@ function uploadPhoto(base64Data, date, batch) {
 
 // ======= Upload Photo & Update Sheet =======
 
-function uploadPhotoAndUpdateSheet(date, batch, photoBase64) {
-  if (!date || !batch || !photoBase64) {
+function uploadPhotoAndUpdateSheet(date, batchId, photoBase64) {
+  if (!date || !batchId || !photoBase64) {
     return { success: false, error: 'Missing date, batch, or photo data' };
   }
 
   try {
     // Upload photo to Drive
-    var photoUrl = uploadPhoto(photoBase64, date, batch);
+    var photoUrl = uploadPhoto(photoBase64, date, getBatchName(batchId));
     if (!photoUrl) {
       return { success: false, error: 'Photo upload failed' };
     }
 
-    // Update Photo_URL column (column 8) in existing attendance rows for this date+batch
-    var sheet = getAttendanceSheet();
-    var data = sheet.getDataRange().getValues();
-    var updated = 0;
-    var targetDate = normalizeDate(date);
-
-    for (var i = 1; i < data.length; i++) {
-      var rowDate = normalizeDate(data[i][0]);
-      var rowBatch = data[i][1] ? data[i][1].toString().trim() : '';
-      if (rowDate === targetDate && rowBatch.indexOf(batch) !== -1) {
-        sheet.getRange(i + 1, 8).setValue(photoUrl);  // Column 8 = Photo_URL
-        updated++;
-      }
-    }
+    // Update Photo_URL in existing attendance rows for this date+batch
+    var written = withScriptLock(function () { return writePhotoUrl(date, batchId, photoUrl); });
+    if (!written.success) return written;
 
     return {
       success: true,
       photoUrl: photoUrl,
-      updated: updated,
-      message: 'Photo uploaded and ' + updated + ' rows updated'
+      updated: written.updated,
+      message: 'Photo uploaded and ' + written.updated + ' rows updated'
     };
   } catch (err) {
     return { success: false, error: err.toString() };
   }
 }
 
-function getPhotoUrlForBatch(date, batch) {
-  if (!date || !batch) {
+// photoMeta is only written when given, so a link-only update keeps what a commit stored
+function writePhotoUrl(date, batchId, photoUrl, photoMeta) {
+  var updated = 0;
+  var now = new Date().toISOString();
+  var targetDate = normalizeDate(date);
+  var sheet = getAttendanceSheet();
+  var data = sheet.getDataRange().getValues();
+  for (var i = 1; i < data.length; i++) {
+    var rowDate = normalizeDate(data[i][COL.DATE]);
+    if (rowDate === targetDate && getRowBatchId(data[i]) === batchId) {
+      sheet.getRange(i + 1, COL.PHOTO_URL + 1).setValue(photoUrl);
+      if (photoMeta) sheet.getRange(i + 1, COL.PHOTO_META + 1).setValue(photoMeta);
+      sheet.getRange(i + 1, COL.UPDATED_AT + 1).setValue(now); // picked up by the next incremental sync
+      updated++;
+    }
+  }
+  return { success: true, updated: updated };
+}
+
+// ======= Chunked Photo Upload =======
+// The app POSTs the photo in parts through a hidden form, whose reply it can't read. Each part is
+// kept in the script cache; the app asks photoUploadStatus (JSONP) which parts arrived, re-sends the
+// rest, then calls commitPhoto. The Drive link is remembered per upload, so a retried commit never
+// creates a second file, and it only reports success once the link is on the batch's rows.
+
+function photoCacheKey(uploadId, part) {
+  return 'photo:' + uploadId + ':' + part;
+}
+
+function photoPartKeys(uploadId, count) {
+  const keys = [];
+  for (let i = 0; i < count; i++) keys.push(photoCacheKey(uploadId, i));
+  return keys;
+}
+
+function readPhotoChunkParams(params) {
+  const uploadId = (params.uploadId || '').toString();
+  const count = Number(params.chunkCount);
+  if (!uploadId || !(count >= 1 && count <= MAX_PHOTO_CHUNKS) || Math.floor(count) !== count) return null;
+  return { uploadId: uploadId, count: count };
+}
+
+// Keep only the known fields with the expected types; '' if nothing usable was sent
+function readPhotoMeta(raw) {
+  let meta;
+  try {
+    meta = JSON.parse(raw || '');
+  } catch (err) {
+    return '';
+  }
+  if (!meta || typeof meta !== 'object') return '';
+  const clean = {};
+  Object.keys(PHOTO_META_FIELDS).forEach(function (field) {
+    const value = meta[field];
+    if (typeof value !== PHOTO_META_FIELDS[field]) return;
+    if (typeof value === 'number' && !isFinite(value)) return;
+    if (typeof value === 'string' && !value) return;
+    clean[field] = typeof value === 'string' ? value.substring(0, 40) : value;
+  });
+  return Object.keys(clean).length ? JSON.stringify(clean) : '';
+}
+
+function stagePhotoChunk(payload) {
+  const upload = readPhotoChunkParams(payload);
+  const index = Number(payload.chunkIndex);
+  if (!upload || !payload.data || !(index >= 0 && index < upload.count) || Math.floor(index) !== index) {
+    return { success: false, error: 'Invalid photo part ' + payload.chunkIndex + ' of ' + payload.chunkCount };
+  }
+  CacheService.getScriptCache().put(photoCacheKey(upload.uploadId, index), payload.data.toString(), PHOTO_CACHE_SECONDS);
+  return { success: true, chunkIndex: index };
+}
+
+function getPhotoUploadStatus(params) {
+  const upload = readPhotoChunkParams(params);
+  if (!upload) return { success: false, error: 'Missing upload id or part count' };
+
+  const cache = CacheService.getScriptCache();
+  const photoUrl = cache.get(photoCacheKey(upload.uploadId, 'url')) || '';
+  const keys = photoPartKeys(upload.uploadId, upload.count);
+  const found = cache.getAll(keys);
+  const received = [];
+  keys.forEach(function (key, i) { if (found[key]) received.push(i); });
+  return { success: true, received: received, photoUrl: photoUrl };
+}
+
+function commitPhoto(params, batchId) {
+  const upload = readPhotoChunkParams(params);
+  if (!upload || !params.date || !batchId) return { success: false, error: 'Missing upload id, date or batch' };
+
+  const cache = CacheService.getScriptCache();
+  const keys = photoPartKeys(upload.uploadId, upload.count);
+  const urlKey = photoCacheKey(upload.uploadId, 'url');
+  let photoUrl = cache.get(urlKey);
+
+  if (!photoUrl) {
+    // Checked again under the lock: a retry of the same upload that arrives while the first is still
+    // sending waits here and reuses its link instead of putting a second file on Drive
+    const uploaded = withScriptLock(function () {
+      const url = cache.get(urlKey);
+      if (url) return { success: true, photoUrl: url };
+      const found = cache.getAll(keys);
+      const missing = [];
+      keys.forEach(function (key, i) { if (!found[key]) missing.push(i); });
+      if (missing.length > 0) {
+        return { success: false, incomplete: true, missing: missing, error: 'Missing photo parts: ' + missing.join(', ') };
+      }
+      const newUrl = uploadPhoto(keys.map(function (key) { return found[key]; }).join(''), params.date, getBatchName(batchId));
+      if (!newUrl) return { success: false, error: 'Photo upload to Drive failed' };
+      cache.put(urlKey, newUrl, PHOTO_CACHE_SECONDS);
+      cache.removeAll(keys);
+      return { success: true, photoUrl: newUrl };
+    });
+    if (!uploaded.success) return uploaded;
+    photoUrl = uploaded.photoUrl;
+  }
+
+  const photoMeta = readPhotoMeta(params.meta);
+  const written = withScriptLock(function () { return writePhotoUrl(params.date, batchId, photoUrl, photoMeta); });
+  if (!written.success) return written;
+  if (written.updated === 0) {
+    return { success: false, noRows: true, photoUrl: photoUrl, error: 'The batch\'s attendance rows are not in the sheet yet' };
+  }
+  return { success: true, photoUrl: photoUrl, updated: written.updated };
+}
+
+function getPhotoUrlForBatch(date, batchId) {
+  if (!date || !batchId) {
     return { success: false, error: 'Missing date or batch' };
   }
 
@@ -499,10 +1376,9 @@ function getPhotoUrlForBatch(date, batch) {
   var targetDate = normalizeDate(date);
 
   for (var i = 1; i < data.length; i++) {
-    var rowDate = normalizeDate(data[i][0]);
-    var rowBatch = data[i][1] ? data[i][1].toString().trim() : '';
-    if (rowDate === targetDate && rowBatch.indexOf(batch) !== -1) {
-      var url = data[i][7] ? data[i][7].toString().trim() : '';
+    var rowDate = normalizeDate(data[i][COL.DATE]);
+    if (rowDate === targetDate && getRowBatchId(data[i]) === batchId) {
+      var url = data[i][COL.PHOTO_URL] ? data[i][COL.PHOTO_URL].toString().trim() : '';
       if (url) {
         return { success: true, photoUrl: url };
       }
@@ -527,9 +1403,992 @@ function normalizeDate(val) {
   if (match) {
     return match[1] + '-' + ('0' + match[2]).slice(-2) + '-' + ('0' + match[3]).slice(-2);
   }
+  // Dates typed as text in the Indian dd/mm/yyyy order
+  match = s.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{4})$/);
+  if (match) {
+    return match[3] + '-' + ('0' + match[2]).slice(-2) + '-' + ('0' + match[1]).slice(-2);
+  }
   return s;
 }
 
+// Index of a header in row 1, or -1. "Join Date", "join_date" and "JoinDate" all match.
+function findHeaderColumn(headers, name) {
+  const key = name.toLowerCase().replace(/[\s_]/g, '');
+  for (let i = 0; i < headers.length; i++) {
+    if (String(headers[i]).toLowerCase().replace(/[\s_]/g, '') === key) return i;
+  }
+  return -1;
+}
+
+// ======= Batch Helpers =======
+
+// Batch id for a request: the explicit id wins; older clients only send the display name
+function resolveBatchId(batchId, batchName) {
+  if (batchId) return batchId.toString().trim();
+  const name = batchName ? batchName.toString().trim() : '';
+  if (!name) return '';
+
+  for (var i = 0; i < BATCHES.length; i++) {
+    if (BATCHES[i].name === name) return BATCHES[i].id;
+  }
+  // Legacy rows were written as e.g. "Batch 01 (5:30 AM)" — match on the start time
+  for (var j = 0; j < BATCHES.length; j++) {
+    if (name.indexOf(BATCHES[j].time.replace(/\s*[AP]M$/i, '')) !== -1) return BATCHES[j].id;
+  }
+  return '';
+}
+
+// Batch id of a sheet row — rows saved before the Batch_ID column existed fall back to the name
+function getRowBatchId(row) {
+  const stored = row[COL.BATCH_ID] ? row[COL.BATCH_ID].toString().trim() : '';
+  return stored || resolveBatchId('', row[COL.BATCH]);
+}
+
+function getBatchName(batchId) {
+  for (var i = 0; i < BATCHES.length; i++) {
+    if (BATCHES[i].id === batchId) return BATCHES[i].name;
+  }
+  return batchId;
+}
+
+// Run once from the Apps Script editor after upgrading: fills Batch_ID on old rows.
+// Rows whose batch name can't be matched are left blank and logged.
+function migrateBatchIds() {
+  const sheet = getAttendanceSheet();
+  const data = sheet.getDataRange().getValues();
+  if (data.length <= 1) return;
+
+  const ids = [];
+  let filled = 0, unmatched = 0;
+  for (let i = 1; i < data.length; i++) {
+    const current = data[i][COL.BATCH_ID] ? data[i][COL.BATCH_ID].toString().trim() : '';
+    const id = current || resolveBatchId('', data[i][COL.BATCH]);
+    if (!current && id) filled++;
+    if (!id) unmatched++;
+    ids.push([id]);
+  }
+
+  sheet.getRange(2, COL.BATCH_ID + 1, ids.length, 1).setValues(ids);
+  Logger.log('Batch_ID filled on ' + filled + ' rows, ' + unmatched + ' rows could not be matched');
+}
+
+// ======= Session Calendar =======
+
+function getCalendarSheet() {
+  const ss = SpreadsheetApp.openById(ATTENDANCE_SHEET_ID);
+  let sheet = ss.getSheetByName(CALENDAR_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CALENDAR_SHEET_NAME);
+    sheet.appendRow(CALENDAR_HEADERS);
+    sheet.getRange(1, 1, 1, CALENDAR_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+// Entries between from and to (inclusive, either may be blank), oldest first
+function getCalendar(from, to) {
+  const data = getCalendarSheet().getDataRange().getValues();
+  const start = normalizeDate(from);
+  const end = normalizeDate(to);
+  const entries = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const date = normalizeDate(data[i][0]);
+    if (!date || (start && date < start) || (end && date > end)) continue;
+    entries.push({
+      date: date,
+      type: data[i][1].toString().trim().toLowerCase(),
+      batchId: data[i][2].toString().trim(),
+      title: data[i][3].toString()
+    });
+  }
+  entries.sort(function (a, b) { return a.date < b.date ? -1 : a.date > b.date ? 1 : 0; });
+
+  return { success: true, entries: entries };
+}
+
+// One entry per date and batch: setting it again replaces the type and title
+function setCalendarEntry(params, user) {
+  const date = normalizeDate(params.date);
+  const type = (params.type || '').toLowerCase();
+  const batchId = params.batchId || '';
+  const title = (params.title || '').toString().trim();
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return { success: false, error: 'Invalid date' };
+  if (CALENDAR_TYPES.indexOf(type) === -1) return { success: false, error: 'Unknown type: ' + type };
+  if (batchId && !BATCHES.some(b => b.id === batchId)) return { success: false, error: 'Unknown batch: ' + batchId };
+  if (type === 'special' && !batchId) return { success: false, error: 'Pick the batch for a special session' };
+
+  const sheet = getCalendarSheet();
+  const data = sheet.getDataRange().getValues();
+  const row = [date, type, batchId, title, user.username, new Date().toISOString()];
+  let rowNumber = sheet.getLastRow() + 1;
+  let oldType = '';
+
+  for (let i = 1; i < data.length; i++) {
+    if (normalizeDate(data[i][0]) === date && data[i][2].toString().trim() === batchId) {
+      rowNumber = i + 1;
+      oldType = data[i][1].toString();
+      break;
+    }
+  }
+  // Plain text, so the sheet doesn't turn the date into a locale-formatted Date
+  sheet.getRange(rowNumber, 1).setNumberFormat('@');
+  sheet.getRange(rowNumber, 1, 1, row.length).setValues([row]);
+  logAudit(user, 'calendar', date, batchId, '', '', oldType, type, title);
+
+  return { success: true, entry: { date: date, type: type, batchId: batchId, title: title } };
+}
+
+function deleteCalendarEntry(params, user) {
+  const date = normalizeDate(params.date);
+  const batchId = params.batchId || '';
+  const sheet = getCalendarSheet();
+  const data = sheet.getDataRange().getValues();
+  const rows = [];
+  let oldType = '';
+
+  for (let i = 1; i < data.length; i++) {
+    if (normalizeDate(data[i][0]) === date && data[i][2].toString().trim() === batchId) {
+      rows.push(i + 1);
+      oldType = data[i][1].toString();
+    }
+  }
+  if (rows.length === 0) return { success: false, error: 'No calendar entry for ' + date };
+
+  deleteRows(sheet, rows);
+  logAudit(user, 'calendar', date, batchId, '', '', oldType, '', 'removed');
+  return { success: true, removed: rows.length };
+}
+
+// ======= Live Draft Sync =======
+
+function getDraftsSheet() {
+  const ss = SpreadsheetApp.openById(ATTENDANCE_SHEET_ID);
+  let sheet = ss.getSheetByName(DRAFTS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(DRAFTS_SHEET_NAME);
+    sheet.appendRow(DRAFT_HEADERS);
+    sheet.getRange(1, 1, 1, DRAFT_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  } else if (sheet.getLastColumn() < DRAFT_HEADERS.length) {
+    // Tabs created before Leave_Type / Note
+    const width = sheet.getLastColumn();
+    sheet.getRange(1, width + 1, 1, DRAFT_HEADERS.length - width).setValues([DRAFT_HEADERS.slice(width)]).setFontWeight('bold');
+  }
+  return sheet;
+}
+
+// Parse compact changes: "id:status:changedAtMs:leaveType:note|..." (older apps send the first three)
+function parseDraftChanges(compact) {
+  const statuses = { p: 'present', t: 'late', a: 'absent', l: 'leave', u: 'unmarked' };
+  const changes = [];
+  compact.toString().split('|').forEach(function (part) {
+    const bits = part.split(':');
+    const at = Number(bits[2]);
+    if (bits.length < 3 || !bits[0] || !statuses[bits[1]] || !at) return;
+    changes.push({
+      studentId: decodeURIComponent(bits[0]),
+      status: statuses[bits[1]],
+      at: at,
+      leaveType: readLeaveType(bits[3]),
+      note: readNote(bits[4])
+    });
+  });
+  return changes;
+}
+
+// Record a phone's changes. A change older than the one already stored for that student is
+// ignored (reported as rejected, so the phone re-reads the drafts).
+function pushDraft(params, batchId, user) {
+  const date = normalizeDate(params.date);
+  if (!date || !batchId || !params.changes) {
+    return { success: false, error: 'Missing date, batch, or changes' };
+  }
+  if (checkBatchLocked(date, batchId).locked) {
+    return { success: false, locked: true, error: getBatchName(batchId) + ' on ' + date + ' is already saved' };
+  }
+
+  const now = Date.now();
+  const sheet = getDraftsSheet();
+  const data = sheet.getDataRange().getValues();
+  const rowFor = {}; // studentId → index into data
+  for (let i = 1; i < data.length; i++) {
+    if (normalizeDate(data[i][0]) === date && data[i][1].toString() === batchId) rowFor[data[i][2].toString()] = i;
+  }
+
+  const newRows = {};
+  const changedRows = []; // indexes into data, written back together below
+  let accepted = 0;
+  let rejected = 0;
+  parseDraftChanges(params.changes).forEach(function (c) {
+    // A phone whose clock runs fast must not win every later edit
+    const at = Math.min(c.at, now);
+    const row = [date, batchId, c.studentId, c.status, at, user.username, (params.device || '').toString(), now, c.leaveType, c.note];
+    const pending = newRows[c.studentId];
+    const existing = rowFor[c.studentId];
+
+    if (pending) {
+      if (pending[4] > at) { rejected++; return; }
+      newRows[c.studentId] = row;
+    } else if (existing === undefined) {
+      newRows[c.studentId] = row;
+    } else if (Number(data[existing][4]) > at) {
+      rejected++;
+      return;
+    } else {
+      data[existing] = row;
+      changedRows.push(existing);
+    }
+    accepted++;
+  });
+
+  // One write for the span of updated rows (we hold the script lock, so the rows in between are
+  // still what was read)
+  if (changedRows.length > 0) {
+    const first = Math.min.apply(null, changedRows);
+    const last = Math.max.apply(null, changedRows);
+    const span = data.slice(first, last + 1).map(function (row) { return row.slice(0, DRAFT_HEADERS.length); });
+    sheet.getRange(first + 1, 1, span.length, DRAFT_HEADERS.length).setValues(span);
+  }
+
+  const rows = Object.keys(newRows).map(function (id) { return newRows[id]; });
+  if (rows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, DRAFT_HEADERS.length).setValues(rows);
+  }
+  return { success: true, accepted: accepted, rejected: rejected, serverTime: now };
+}
+
+// Changes that arrived after `since` (the serverTime of the previous poll; 0 = all of them)
+function getDraft(date, batchId, since) {
+  date = normalizeDate(date);
+  if (!date || !batchId) return { success: false, error: 'Missing date or batch' };
+
+  const now = Date.now();
+  const from = (Number(since) || 0) - DRAFT_POLL_OVERLAP_MS;
+  const data = getDraftsSheet().getDataRange().getValues();
+  const changes = [];
+  for (let i = 1; i < data.length; i++) {
+    if (normalizeDate(data[i][0]) !== date || data[i][1].toString() !== batchId) continue;
+    if (Number(data[i][7]) <= from) continue;
+    changes.push({
+      studentId: data[i][2].toString(),
+      status: data[i][3].toString(),
+      at: Number(data[i][4]),
+      by: data[i][5].toString(),
+      device: data[i][6].toString(),
+      leaveType: (data[i][8] || '').toString(),
+      note: (data[i][9] || '').toString()
+    });
+  }
+  return { success: true, changes: changes, locked: checkBatchLocked(date, batchId).locked, serverTime: now };
+}
+
+// Called once a batch is saved; also drops drafts nobody saved within DRAFT_TTL_DAYS
+function clearDrafts(date, batchId) {
+  const sheet = getDraftsSheet();
+  const data = sheet.getDataRange().getValues();
+  const cutoff = Date.now() - DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000;
+  const rows = [];
+  for (let i = 1; i < data.length; i++) {
+    const ours = normalizeDate(data[i][0]) === date && data[i][1].toString() === batchId;
+    if (ours || Number(data[i][7]) < cutoff) rows.push(i + 1);
+  }
+  deleteRows(sheet, rows);
+}
+
+// ======= QR Check-in =======
+// Codes and tickets are signed with AUTH_SECRET under their own prefix, so neither can be
+// passed off as a sign-in token (or as each other).
+
+function signCheckIn(kind, payload) {
+  const body = Utilities.base64EncodeWebSafe(JSON.stringify(payload));
+  return body + '.' + signTokenBody(kind + ':' + body);
+}
+
+// Payload of a valid signed code/ticket, or null
+function readCheckIn(kind, signed) {
+  const parts = (signed || '').toString().split('.');
+  if (parts.length !== 2 || signTokenBody(kind + ':' + parts[0]) !== parts[1]) return null;
+  try {
+    return JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString());
+  } catch (err) {
+    return null;
+  }
+}
+
+function currentCheckInWindow() {
+  return Math.floor(Date.now() / (CHECKIN_CODE_SECONDS * 1000));
+}
+
+// The code the instructor's QR shows right now. Only for today, and only while the batch is open.
+function getCheckInCode(date, batchId, user) {
+  date = normalizeDate(date);
+  if (date !== normalizeDate(new Date())) {
+    return { success: false, error: 'QR check-in only works for today\'s date' };
+  }
+  if (checkBatchLocked(date, batchId).locked) {
+    return { success: false, error: getBatchName(batchId) + ' is already saved for today' };
+  }
+  const windowIndex = currentCheckInWindow();
+  return {
+    success: true,
+    code: signCheckIn('code', { d: date, b: batchId, w: windowIndex, u: user.username }),
+    expiresAt: (windowIndex + 1) * CHECKIN_CODE_SECONDS * 1000
+  };
+}
+
+function getCheckInsSheet() {
+  const ss = SpreadsheetApp.openById(ATTENDANCE_SHEET_ID);
+  let sheet = ss.getSheetByName(CHECKINS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CHECKINS_SHEET_NAME);
+    sheet.appendRow(CHECKIN_HEADERS);
+    sheet.getRange(1, 1, 1, CHECKIN_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+function getCheckIns(date, batchId) {
+  date = normalizeDate(date);
+  if (!date || !batchId) return { success: false, error: 'Missing date or batch' };
+
+  const data = getCheckInsSheet().getDataRange().getValues();
+  const checkIns = [];
+  for (let i = 1; i < data.length; i++) {
+    if (normalizeDate(data[i][0]) !== date || data[i][1].toString() !== batchId) continue;
+    checkIns.push({ studentId: data[i][2].toString(), studentName: data[i][3].toString(), at: data[i][4].toString() });
+  }
+  return { success: true, checkIns: checkIns };
+}
+
+// Scan → form (with a ticket that outlives the 30-second code) → submit → result.
+// A ticket checks in one student: scanning once can't check in absent friends, and it allows only
+// CHECKIN_TICKET_TRIES wrong IDs, so guessing IDs means scanning again for every few guesses.
+function checkInPage(params) {
+  if (params.ticket) {
+    const ticket = readCheckIn('ticket', params.ticket);
+    if (!ticket || !ticket.t || ticket.exp < Date.now()) {
+      return checkInHtml('⏱️ This check-in link has expired', 'Scan the QR code on the instructor\'s phone again.');
+    }
+    const result = withScriptLock(() => useCheckInTicket(ticket, params.studentId));
+    if (result.busy) return checkInHtml('⏳ Busy', 'Too many check-ins at once — please submit again.', params.ticket);
+    if (result.success) return checkInHtml('✅ Checked in', result.message);
+    return checkInHtml('❌ Not checked in', result.error, result.retry ? params.ticket : '');
+  }
+
+  const code = readCheckIn('code', params.code);
+  if (!code || code.w < currentCheckInWindow() - 1) {
+    return checkInHtml('⏱️ This QR code has expired', 'Scan the QR code on the instructor\'s phone again.');
+  }
+  const ticket = signCheckIn('ticket', {
+    t: Utilities.getUuid(), d: code.d, b: code.b, u: code.u, exp: Date.now() + CHECKIN_TICKET_SECONDS * 1000
+  });
+  return checkInHtml('🧘 ' + getBatchName(code.b) + ' — ' + code.d, 'Enter your Application ID to check in.', ticket);
+}
+
+// Runs under the script lock, so two submits of one ticket can't both get through. The cache holds
+// 'used' or the number of wrong tries, for as long as the ticket itself is valid.
+function useCheckInTicket(ticket, studentId) {
+  const cache = CacheService.getScriptCache();
+  const key = 'checkin_ticket_' + ticket.t;
+  const state = cache.get(key) || '0';
+  const rescan = 'Scan the QR code on the instructor\'s phone again.';
+  if (state === 'used') return { success: false, error: 'This check-in link was already used. ' + rescan };
+  if (Number(state) >= CHECKIN_TICKET_TRIES) return { success: false, error: 'Too many wrong IDs. ' + rescan };
+
+  const result = recordCheckIn(ticket, studentId);
+  if (result.success) {
+    cache.put(key, 'used', CHECKIN_TICKET_SECONDS);
+    return result;
+  }
+  const tries = Number(state) + 1;
+  cache.put(key, String(tries), CHECKIN_TICKET_SECONDS);
+  if (tries >= CHECKIN_TICKET_TRIES) return { success: false, error: result.error + ' ' + rescan };
+  return { success: false, error: result.error, retry: true };
+}
+
+// Replies never name the student: anyone can type any ID, and the roster isn't theirs to read
+function recordCheckIn(ticket, studentId) {
+  studentId = (studentId || '').toString().trim();
+  if (!studentId) return { success: false, error: 'Enter your Application ID' };
+
+  const roster = getStudents();
+  if (!roster.success) return { success: false, error: roster.error };
+  const student = roster.students.filter(s => s.id.toLowerCase() === studentId.toLowerCase())[0];
+  if (!student) return { success: false, error: 'No student with Application ID ' + studentId };
+  if ((student.joinDate && ticket.d < student.joinDate) || (student.leaveDate && ticket.d > student.leaveDate)) {
+    return { success: false, error: 'Application ID ' + studentId + ' is not enrolled on ' + ticket.d };
+  }
+  if (checkBatchLocked(ticket.d, ticket.b).locked) {
+    return { success: false, error: 'Attendance for ' + getBatchName(ticket.b) + ' is already saved' };
+  }
+
+  const sheet = getCheckInsSheet();
+  const data = sheet.getDataRange().getValues();
+  for (let i = 1; i < data.length; i++) {
+    if (normalizeDate(data[i][0]) === ticket.d && data[i][1].toString() === ticket.b && data[i][2].toString() === student.id) {
+      return { success: true, message: 'You were already checked in for ' + getBatchName(ticket.b) + '.' };
+    }
+  }
+
+  sheet.appendRow([ticket.d, ticket.b, student.id, student.name, new Date().toISOString(), ticket.u]);
+  return { success: true, message: 'You are checked in for ' + getBatchName(ticket.b) + '.' };
+}
+
+function checkInHtml(title, message, ticket) {
+  const esc = function (v) {
+    return String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  };
+  const form = !ticket ? '' :
+    '<form method="get" action="' + esc(ScriptApp.getService().getUrl()) + '" target="_top" onsubmit="remember()">' +
+    '<input type="hidden" name="action" value="checkIn">' +
+    '<input type="hidden" name="ticket" value="' + esc(ticket) + '">' +
+    '<input id="sid" name="studentId" placeholder="Application ID" autocomplete="off" autocapitalize="characters" required>' +
+    '<button type="submit">Check in</button></form>' +
+    '<script>var k="yoga_checkin_id",i=document.getElementById("sid");try{i.value=localStorage.getItem(k)||""}catch(e){}' +
+    'function remember(){try{localStorage.setItem(k,i.value.trim())}catch(e){}}</script>';
+
+  const html = '<!DOCTYPE html><html><head><style>' +
+    'body{font-family:system-ui,sans-serif;background:#F8FAFC;margin:0;padding:32px 20px;color:#0F172A;text-align:center}' +
+    '.card{background:#fff;border-radius:16px;padding:24px;max-width:360px;margin:0 auto;box-shadow:0 4px 15px rgba(0,0,0,.08)}' +
+    'h1{font-size:1.2rem;margin:0 0 8px}p{color:#475569;font-size:.9rem}' +
+    'input{width:100%;box-sizing:border-box;padding:14px;border:2px solid #E2E8F0;border-radius:12px;font-size:1rem;margin:12px 0}' +
+    'button{width:100%;padding:14px;border:0;border-radius:12px;background:#4F46E5;color:#fff;font-size:1rem;font-weight:700}' +
+    '</style></head><body><div class="card"><h1>' + esc(title) + '</h1><p>' + esc(message) + '</p>' + form + '</div></body></html>';
+
+  return HtmlService.createHtmlOutput(html)
+    .setTitle('Yoga Check-in')
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+// ======= Notifications =======
+
+// A save only queues its date — reading the whole sheet and mailing would slow every save and hold
+// the lock other phones are waiting for. One property per date, so concurrent saves can't lose one.
+// Saves without a date in the reply (a retried commit that had already gone through) were queued then.
+function notifyAfterSave(result) {
+  if (!result.success || !result.date) return result;
+  try {
+    PropertiesService.getScriptProperties().setProperty(NOTIFY_QUEUE_PREFIX + result.date, new Date().toISOString());
+  } catch (err) {
+    console.error('Notification queue error:', err);
+  }
+  return result;
+}
+
+// Run once from the editor: creates both tabs, the queue trigger and the daily trigger for sendDailyDigest
+function setupNotifications() {
+  getNotifySettingsSheet();
+  getNotifyLogSheet();
+  ScriptApp.getProjectTriggers().forEach(function (t) {
+    const handler = t.getHandlerFunction();
+    if (handler === 'sendDailyDigest' || handler === 'sendQueuedNotifications') ScriptApp.deleteTrigger(t);
+  });
+  ScriptApp.newTrigger('sendQueuedNotifications').timeBased().everyMinutes(NOTIFY_QUEUE_MINUTES).create();
+  ScriptApp.newTrigger('sendDailyDigest').timeBased().everyDays(1).atHour(NOTIFY_DIGEST_HOUR).create();
+  Logger.log('Notifications tab ready (Mode is ' + readNotifySettings().Mode + '); queue every ' +
+    NOTIFY_QUEUE_MINUTES + ' min, daily digest at ' + NOTIFY_DIGEST_HOUR + ':00');
+}
+
+// Time-driven: the dates saves have queued since the last run. A date leaves the queue once handled —
+// unless another save queued it again meanwhile — and stays for the next run if sending failed.
+function sendQueuedNotifications() {
+  const props = PropertiesService.getScriptProperties();
+  const queued = props.getProperties();
+  Object.keys(queued).filter(function (key) { return key.indexOf(NOTIFY_QUEUE_PREFIX) === 0; }).sort().forEach(function (key) {
+    try {
+      const result = withScriptLock(function () { return sendNotifications(key.slice(NOTIFY_QUEUE_PREFIX.length), false); });
+      if (result.busy) return;
+      if (props.getProperty(key) === queued[key]) props.deleteProperty(key);
+    } catch (err) {
+      console.error('Notification error for ' + key + ':', err);
+    }
+  });
+}
+
+// Time-driven: today's digest even if a batch was never saved (and anything still queued)
+function sendDailyDigest() {
+  sendQueuedNotifications();
+  return withScriptLock(function () { return sendNotifications(normalizeDate(new Date()), true); });
+}
+
+function getNotifySettingsSheet() {
+  const ss = SpreadsheetApp.openById(ATTENDANCE_SHEET_ID);
+  let sheet = ss.getSheetByName(NOTIFY_SETTINGS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(NOTIFY_SETTINGS_SHEET_NAME);
+    sheet.appendRow(['Setting', 'Value', 'Notes']);
+    sheet.getRange(1, 1, 1, 3).setFontWeight('bold');
+    sheet.getRange(2, 1, NOTIFY_DEFAULTS.length, 3).setValues(NOTIFY_DEFAULTS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+function getNotifyLogSheet() {
+  const ss = SpreadsheetApp.openById(ATTENDANCE_SHEET_ID);
+  let sheet = ss.getSheetByName(NOTIFY_LOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(NOTIFY_LOG_SHEET_NAME);
+    sheet.appendRow(NOTIFY_LOG_HEADERS);
+    sheet.getRange(1, 1, 1, NOTIFY_LOG_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+// Setting → value as text; a setting missing from the tab keeps its default
+function readNotifySettings() {
+  const settings = {};
+  NOTIFY_DEFAULTS.forEach(function (row) { settings[row[0]] = row[1].toString(); });
+  const data = getNotifySettingsSheet().getDataRange().getValues();
+  for (let i = 1; i < data.length; i++) {
+    const key = data[i][0].toString().trim();
+    if (key) settings[key] = data[i][1].toString().trim();
+  }
+  return settings;
+}
+
+// "\n" typed into a cell counts as a line break too
+function fillTemplate(template, values) {
+  return template.replace(/\\n/g, '\n').replace(/\{(\w+)\}/g, function (match, key) {
+    return values[key] !== undefined ? values[key].toString() : match;
+  });
+}
+
+// Student id → email from the roster column named in the settings ({} when there is no such column)
+function getStudentEmails(header) {
+  const sheet = getStudentsSheet();
+  if (!sheet || !header) return {};
+  const data = sheet.getDataRange().getValues();
+  const col = findHeaderColumn(data[0], header);
+  const emails = {};
+  if (col === -1) return emails;
+  for (let i = 1; i < data.length; i++) {
+    const id = data[i][2] ? data[i][2].toString().trim() : '';
+    const email = data[i][col] ? data[i][col].toString().trim() : '';
+    if (id && email) emails[id] = email;
+  }
+  return emails;
+}
+
+// Batches that should run on date: all of them, minus Calendar holidays and cancelled sessions.
+// A batch's own entry wins over an every-batch one, as in the app, so a special session can fall on a holiday.
+function expectedBatchIds(date) {
+  const entries = getCalendar(date, date).entries;
+  return BATCHES.map(function (b) { return b.id; }).filter(function (id) {
+    const entry = entries.filter(function (e) { return e.batchId === id; })[0] ||
+      entries.filter(function (e) { return !e.batchId; })[0];
+    return !entry || entry.type === 'special';
+  });
+}
+
+// Present in any batch wins, then late, absent and leave — as Store.getFinalStatus in the app
+function finalStatusOf(statuses) {
+  if (statuses.indexOf('present') !== -1) return 'present';
+  if (statuses.indexOf('late') !== -1) return 'late';
+  if (statuses.indexOf('absent') !== -1) return 'absent';
+  if (statuses.indexOf('leave') !== -1) return 'leave';
+  return 'unmarked';
+}
+
+// The digest for date (once every expected batch is saved, or always when forced) and the
+// absence-streak mails for that date's absentees. Callers hold the script lock.
+function sendNotifications(date, force) {
+  const settings = readNotifySettings();
+  const mode = settings.Mode.toLowerCase();
+  if (mode !== 'send' && mode !== 'dry_run') return { success: true, mode: 'off' };
+
+  const logSheet = getNotifyLogSheet();
+  const done = {};
+  logSheet.getDataRange().getValues().slice(1).forEach(function (row) {
+    if (row[1].toString() === mode && row[6].toString() !== 'failed') done[row[2].toString()] = true;
+  });
+  const deliver = function (key, to, subject, body) {
+    if (done[key]) return false;
+    let outcome = mode === 'dry_run' ? 'dry_run' : 'sent';
+    if (mode === 'send') {
+      try {
+        MailApp.sendEmail({ to: to, subject: subject, body: body });
+      } catch (err) {
+        outcome = 'failed';
+        console.error('Mail to ' + to + ' failed:', err);
+      }
+    }
+    logSheet.appendRow([new Date().toISOString(), mode, key, to, subject, body, outcome]);
+    done[key] = outcome !== 'failed';
+    return outcome !== 'failed';
+  };
+
+  // studentId → { name, appNumber, byDate: { date → [status, …] } } for every date up to this one
+  const students = {};
+  const savedBatches = {};
+  getAttendanceSheet().getDataRange().getValues().slice(1).forEach(function (row) {
+    const rowDate = normalizeDate(row[COL.DATE]);
+    if (!rowDate || rowDate > date) return;
+    const id = row[COL.STUDENT_ID].toString().trim();
+    const status = row[COL.STATUS].toString().toLowerCase();
+    const s = students[id] || (students[id] = { name: row[COL.STUDENT_NAME].toString(), appNumber: row[COL.APP_NUMBER].toString(), byDate: {} });
+    (s.byDate[rowDate] = s.byDate[rowDate] || []).push(status);
+    if (rowDate === date) {
+      const batchId = getRowBatchId(row) || '';
+      const batchCounts = savedBatches[batchId] || (savedBatches[batchId] = { present: 0, late: 0, absent: 0 });
+      if (batchCounts[status] !== undefined) batchCounts[status]++;
+    }
+  });
+
+  const counts = { present: 0, late: 0, absent: 0, leave: 0, unmarked: 0 };
+  const absentees = [];
+  Object.keys(students).forEach(function (id) {
+    const statuses = students[id].byDate[date];
+    if (!statuses) return;
+    const status = finalStatusOf(statuses);
+    counts[status]++;
+    if (status === 'absent') absentees.push(id);
+  });
+  absentees.sort(function (a, b) { return students[a].name.localeCompare(students[b].name); });
+
+  const result = { success: true, mode: mode, digest: false, students: 0 };
+  const wardens = settings.Warden_Emails;
+  const allSaved = expectedBatchIds(date).every(function (id) { return savedBatches[id]; });
+  if (wardens && Object.keys(savedBatches).length > 0 && (allSaved || force)) {
+    const values = {
+      date: date,
+      absentCount: counts.absent,
+      presentCount: counts.present,
+      lateCount: counts.late,
+      leaveCount: counts.leave,
+      unmarkedCount: counts.unmarked,
+      absentees: absentees.length
+        ? absentees.map(function (id) { return '• ' + students[id].name + (students[id].appNumber ? ' (' + students[id].appNumber + ')' : ''); }).join('\n')
+        : 'Nobody 🎉',
+      batchSummary: BATCHES.filter(function (b) { return savedBatches[b.id]; }).map(function (b) {
+        return b.name + ': ' + savedBatches[b.id].present + ' present, ' + savedBatches[b.id].late + ' late, ' +
+          savedBatches[b.id].absent + ' absent';
+      }).join('\n')
+    };
+    result.digest = deliver('digest:' + date, wardens,
+      fillTemplate(settings.Digest_Subject, values), fillTemplate(settings.Digest_Body, values));
+  }
+
+  const threshold = Number(settings.Student_Absence_Threshold) || 0;
+  if (threshold > 0 && absentees.length > 0) {
+    const emails = getStudentEmails(settings.Student_Email_Header);
+    absentees.forEach(function (id) {
+      // Sessions the student was on the roster for, newest first; leave breaks a streak
+      const dates = Object.keys(students[id].byDate).sort().reverse();
+      let streak = 0;
+      while (streak < dates.length && finalStatusOf(students[id].byDate[dates[streak]]) === 'absent') streak++;
+      if (streak !== threshold || !emails[id]) return; // once per streak, when it reaches the threshold
+
+      const values = { name: students[id].name, appNumber: students[id].appNumber, count: streak, date: date };
+      if (deliver('absent:' + id + ':' + date, emails[id],
+        fillTemplate(settings.Student_Subject, values), fillTemplate(settings.Student_Body, values))) {
+        result.students++;
+      }
+    });
+  }
+  return result;
+}
+
+// ======= Audit Trail =======
+
+function getAuditSheet() {
+  const ss = SpreadsheetApp.openById(ATTENDANCE_SHEET_ID);
+  let sheet = ss.getSheetByName(AUDIT_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(AUDIT_SHEET_NAME);
+    sheet.appendRow(AUDIT_HEADERS);
+    sheet.getRange(1, 1, 1, AUDIT_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+function logAudit(user, action, date, batchId, studentId, studentName, oldStatus, newStatus, reason) {
+  getAuditSheet().appendRow([
+    new Date().toISOString(), user.username, action, date, batchId,
+    studentId, studentName, oldStatus, newStatus, reason
+  ]);
+}
+
+// Changes for one date, newest first. With a studentId: that student's corrections plus
+// batch-wide events (unlocks), which have no student.
+function getAuditHistory(date, batchId, studentId) {
+  const targetDate = normalizeDate(date);
+  if (!targetDate) {
+    return { success: false, error: 'Missing date' };
+  }
+
+  const data = getAuditSheet().getDataRange().getValues();
+  const entries = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (normalizeDate(row[3]) !== targetDate) continue;
+    if (batchId && row[4].toString() !== batchId) continue;
+    if (row[2] === 'calendar') continue; // calendar edits aren't attendance changes
+    const rowStudent = row[5].toString();
+    if (studentId && rowStudent && rowStudent !== studentId) continue;
+
+    entries.push({
+      at: row[0] instanceof Date ? row[0].toISOString() : row[0].toString(),
+      by: row[1].toString(),
+      action: row[2].toString(),
+      date: targetDate,
+      batchId: row[4].toString(),
+      studentId: rowStudent,
+      studentName: row[6].toString(),
+      oldStatus: row[7].toString().toLowerCase(),
+      newStatus: row[8].toString().toLowerCase(),
+      reason: row[9].toString()
+    });
+  }
+
+  entries.reverse();
+  return { success: true, entries: entries };
+}
+
+// ======= Authentication =======
+
+// Check a verified user against the role (and batch) an action needs.
+// Returns null when allowed, otherwise the error response to send back.
+function authorize(user, role, batchId) {
+  if (!user) {
+    return { success: false, authError: true, error: 'Please sign in again' };
+  }
+  if (role === ROLES.ADMIN && user.role !== ROLES.ADMIN) {
+    return { success: false, forbidden: true, error: 'Admin access required' };
+  }
+  if (batchId && user.role !== ROLES.ADMIN &&
+      user.batches.indexOf('*') === -1 && user.batches.indexOf(batchId) === -1) {
+    return { success: false, forbidden: true, error: 'You are not assigned to ' + getBatchName(batchId) };
+  }
+  return null;
+}
+
+// `client` is the app's device id. Apps Script can't see the caller's address, so that is what
+// failures are counted against; a request without one shares a single bucket.
+function login(username, password, client) {
+  username = (username || '').toString().trim().toLowerCase();
+  if (!username || !password) {
+    return { success: false, error: 'Username and password are required' };
+  }
+
+  const cache = CacheService.getScriptCache();
+  const clientKey = 'login_fail_client_' + (client || 'unknown').toString().slice(0, 100);
+  const userKey = 'login_fail_user_' + username;
+  const clientFailures = Number(cache.get(clientKey) || 0);
+  const userFailures = Number(cache.get(userKey) || 0);
+  if (clientFailures >= MAX_LOGIN_FAILURES) {
+    return { success: false, error: 'Too many attempts — try again in 15 minutes' };
+  }
+  if (userFailures >= LOGIN_SLOWDOWN_AFTER) Utilities.sleep(LOGIN_SLOWDOWN_MS);
+
+  const user = findUser(username);
+  const credentials = user && user.active ? readCredentials(username) : null;
+  if (!credentials || !checkPassword(password, credentials)) {
+    cache.put(clientKey, String(clientFailures + 1), LOGIN_LOCKOUT_SECONDS);
+    cache.put(userKey, String(userFailures + 1), LOGIN_LOCKOUT_SECONDS);
+    return { success: false, error: 'Incorrect username or password' };
+  }
+  cache.remove(clientKey);
+  if (credentials.iterations < PASSWORD_ITERATIONS) setPassword(username, password);
+
+  const expiresAt = Date.now() + TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+  const body = Utilities.base64EncodeWebSafe(JSON.stringify({ u: user.username, exp: expiresAt }));
+
+  return {
+    success: true,
+    token: body + '.' + signTokenBody(body),
+    user: { username: user.username, role: user.role, batches: user.batches },
+    expiresAt: expiresAt
+  };
+}
+
+// Token = base64(payload) + "." + base64(HMAC-SHA256(payload)). Role and batches are read
+// from the Users tab on every call, so edits there apply without signing in again.
+function verifyToken(token) {
+  if (!token) return null;
+  const parts = token.toString().split('.');
+  if (parts.length !== 2 || signTokenBody(parts[0]) !== parts[1]) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString());
+  } catch (err) {
+    return null;
+  }
+  if (!payload.exp || payload.exp < Date.now()) return null;
+
+  const user = findUser(payload.u);
+  return user && user.active ? user : null;
+}
+
+function signTokenBody(body) {
+  return Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(body, getAuthSecret()));
+}
+
+function getAuthSecret() {
+  const secret = PropertiesService.getScriptProperties().getProperty('AUTH_SECRET');
+  if (!secret) throw new Error('Auth is not set up — run setupAuth() from the Apps Script editor');
+  return secret;
+}
+
+// ======= Passwords =======
+// Script property PASSWORD_<username> = { salt, hash, iterations }. iterations 0 marks a hash moved
+// over from the old Users tab (one SHA-256 of salt:password); it is re-derived at the next sign-in.
+// Portal PINs are stored the same way (see portalPinKey).
+
+function readCredentials(username) {
+  return readStoredCredentials('PASSWORD_' + username);
+}
+
+function readStoredCredentials(key) {
+  const raw = PropertiesService.getScriptProperties().getProperty(key);
+  if (!raw) return null;
+  try {
+    const credentials = JSON.parse(raw);
+    credentials.iterations = Number(credentials.iterations) || 0;
+    return credentials;
+  } catch (err) {
+    return null;
+  }
+}
+
+function setPassword(username, password) {
+  storeCredentials('PASSWORD_' + username, password, PASSWORD_ITERATIONS);
+}
+
+function storeCredentials(key, secret, iterations) {
+  const salt = Utilities.getUuid();
+  PropertiesService.getScriptProperties().setProperty(key, JSON.stringify({
+    salt: salt,
+    hash: derivePasswordHash(secret, salt, iterations),
+    iterations: iterations
+  }));
+}
+
+function checkPassword(password, credentials) {
+  const hash = credentials.iterations > 0
+    ? derivePasswordHash(password, credentials.salt, credentials.iterations)
+    : toHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, credentials.salt + ':' + password, Utilities.Charset.UTF_8));
+  // Compare every character, so the time taken says nothing about how much matched
+  let diff = hash.length ^ credentials.hash.length;
+  for (let i = 0; i < hash.length; i++) diff |= hash.charCodeAt(i) ^ credentials.hash.charCodeAt(i);
+  return diff === 0;
+}
+
+// PBKDF2-HMAC-SHA256, one 32-byte block
+function derivePasswordHash(password, salt, iterations) {
+  const key = Utilities.newBlob(password).getBytes();
+  let block = Utilities.computeHmacSha256Signature(Utilities.newBlob(salt).getBytes().concat([0, 0, 0, 1]), key);
+  const result = block.slice();
+  for (let i = 1; i < iterations; i++) {
+    block = Utilities.computeHmacSha256Signature(block, key);
+    for (let j = 0; j < result.length; j++) result[j] ^= block[j];
+  }
+  return toHex(result);
+}
+
+function toHex(bytes) {
+  return bytes.map(function (b) { return ('0' + (b & 0xff).toString(16)).slice(-2); }).join('');
+}
+
+function getUsersSheet() {
+  const ss = SpreadsheetApp.openById(ATTENDANCE_SHEET_ID);
+  let sheet = ss.getSheetByName(USERS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(USERS_SHEET_NAME);
+    sheet.appendRow(USERS_HEADERS);
+    sheet.getRange(1, 1, 1, USERS_HEADERS.length).setFontWeight('bold');
+  }
+  return sheet;
+}
+
+// Old layout: Username | Password_Hash | Salt | Role | Batches | Active. Moves each hash into the
+// script properties and rewrites the tab without them.
+function migrateUsersSheet() {
+  const sheet = getUsersSheet();
+  const data = sheet.getDataRange().getValues();
+  if (data[0][1] !== 'Password_Hash') return;
+
+  data.slice(1).forEach(function (row) {
+    const username = row[0].toString().trim().toLowerCase();
+    if (!username || !row[1]) return;
+    PropertiesService.getScriptProperties().setProperty('PASSWORD_' + username,
+      JSON.stringify({ salt: row[2].toString(), hash: row[1].toString(), iterations: 0 }));
+  });
+  const width = data[0].length;
+  sheet.getRange(1, 1, data.length, width).setValues(data.map(function (row, i) {
+    const moved = i === 0 ? USERS_HEADERS : [row[0], row[3], row[4], row[5]];
+    return moved.concat(Array(width - moved.length).fill(''));
+  }));
+  Logger.log('Moved ' + (data.length - 1) + ' password hashes out of the Users tab');
+}
+
+function findUser(username) {
+  username = (username || '').toString().trim().toLowerCase();
+  if (!username) return null;
+
+  const data = getUsersSheet().getDataRange().getValues();
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0].toString().trim().toLowerCase() !== username) continue;
+    const role = data[i][1].toString().trim().toLowerCase();
+    return {
+      username: username,
+      role: role === ROLES.ADMIN ? ROLES.ADMIN : ROLES.INSTRUCTOR,
+      batches: data[i][2].toString().split(',').map(function (b) { return b.trim(); }).filter(String),
+      active: data[i][3] !== false && data[i][3].toString().toUpperCase() !== 'FALSE'
+    };
+  }
+  return null;
+}
+
+// Editor helper: creates the user, or resets the password/role/batches of an existing one
+function addUser(username, password, role, batches) {
+  username = (username || '').toString().trim().toLowerCase();
+  if (!username || !password) throw new Error('addUser(username, password, role, batches)');
+
+  migrateUsersSheet();
+  setPassword(username, password);
+  const row = [username, role || ROLES.INSTRUCTOR, batches || '', true];
+  const sheet = getUsersSheet();
+  const data = sheet.getDataRange().getValues();
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0].toString().trim().toLowerCase() === username) {
+      sheet.getRange(i + 1, 1, 1, row.length).setValues([row]);
+      Logger.log('Updated user ' + username);
+      return;
+    }
+  }
+  sheet.appendRow(row);
+  Logger.log('Added user ' + username);
+}
+
+// Run once from the editor. Safe to re-run: it never replaces an existing secret or admin.
+// Deleting the AUTH_SECRET script property and re-running signs everybody out.
+function setupAuth() {
+  const props = PropertiesService.getScriptProperties();
+  if (!props.getProperty('AUTH_SECRET')) {
+    props.setProperty('AUTH_SECRET', Utilities.getUuid() + Utilities.getUuid());
+    Logger.log('Created AUTH_SECRET');
+  }
+
+  migrateUsersSheet();
+  const data = getUsersSheet().getDataRange().getValues();
+  const hasAdmin = data.slice(1).some(function (r) { return r[1].toString().trim().toLowerCase() === ROLES.ADMIN; });
+  if (!hasAdmin) {
+    const password = Utilities.getUuid().slice(0, 12);
+    addUser('admin', password, ROLES.ADMIN, '*');
+    Logger.log('First admin → username: admin  password: ' + password + '  (change it with addUser)');
+  }
+}
+
 // ======= Helpers =======
 
 function capitalizeFirst(str) {
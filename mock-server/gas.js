@@ -0,0 +1,425 @@
+// ============================================
+// YOGA ATTENDANCE — APPS SCRIPT SERVICES, LOCALLY
+// Just enough of SpreadsheetApp, DriveApp, CacheService… for Code.gs to run unchanged in Node
+// ============================================
+//
+// The roster spreadsheet (SHEET_ID) is read from fixtures/Students.csv on every open, so edits
+// show up without a restart. Every tab of the attendance spreadsheet is a JSON array of rows in
+// the data folder, written back after each change. Photos land in data/photos.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// =============================================
+// FILES
+// =============================================
+
+// Minimal RFC 4180 reader: quoted fields, "" escapes, CRLF or LF
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(v => v !== ''));
+}
+
+function readJson(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        return fallback;
+    }
+}
+
+function writeJson(file, value) {
+    fs.writeFileSync(file, JSON.stringify(value, null, 1));
+}
+
+// Sheets hand back what was stored; a Date is stored the way JSON would have turned it into text
+function toCell(value) {
+    if (value === null || value === undefined) return '';
+    if (Object.prototype.toString.call(value) === '[object Date]') return value.toISOString();
+    return value;
+}
+
+// =============================================
+// SPREADSHEETS
+// =============================================
+
+class Range {
+    constructor(sheet, row, col, numRows, numCols) {
+        Object.assign(this, { sheet, row, col, numRows, numCols });
+    }
+
+    getValues() {
+        const out = [];
+        for (let r = 0; r < this.numRows; r++) {
+            const src = this.sheet.rows[this.row - 1 + r] || [];
+            const line = [];
+            for (let c = 0; c < this.numCols; c++) {
+                const v = src[this.col - 1 + c];
+                line.push(v === undefined ? '' : v);
+            }
+            out.push(line);
+        }
+        return out;
+    }
+
+    getValue() {
+        return this.getValues()[0][0];
+    }
+
+    setValues(values) {
+        if (values.length !== this.numRows || values.some(v => v.length !== this.numCols)) {
+            throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numCols})`);
+        }
+        values.forEach((line, r) => {
+            const index = this.row - 1 + r;
+            while (this.sheet.rows.length <= index) this.sheet.rows.push([]);
+            const target = this.sheet.rows[index];
+            line.forEach((v, c) => {
+                while (target.length < this.col - 1 + c) target.push('');
+                target[this.col - 1 + c] = toCell(v);
+            });
+        });
+        this.sheet.save();
+        return this;
+    }
+
+    setValue(value) {
+        return this.setValues([[value]]);
+    }
+
+    // Formatting has no meaning here
+    setFontWeight() { return this; }
+    setBackground() { return this; }
+    setFontColor() { return this; }
+    setNumberFormat() { return this; }
+}
+
+class Sheet {
+    constructor(name, id, rows, onSave) {
+        this.name = name;
+        this.id = id;
+        this.rows = rows;
+        this._onSave = onSave;
+    }
+
+    save() {
+        if (this._onSave) this._onSave(this);
+    }
+
+    getName() { return this.name; }
+    getSheetId() { return this.id; }
+    getLastRow() { return this.rows.length; }
+    getLastColumn() { return this.rows.reduce((max, r) => Math.max(max, r.length), 0); }
+    setFrozenRows() { return this; }
+
+    getRange(row, col, numRows, numCols) {
+        if (row < 1 || col < 1) throw new Error('Range coordinates start at 1');
+        return new Range(this, row, col, numRows || 1, numCols || 1);
+    }
+
+    // Like Apps Script, an empty sheet still has a 1x1 data range
+    getDataRange() {
+        return new Range(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+    }
+
+    appendRow(values) {
+        this.rows.push(values.map(toCell));
+        this.save();
+        return this;
+    }
+
+    deleteRow(row) {
+        this.rows.splice(row - 1, 1);
+        this.save();
+    }
+}
+
+// Tab id → stable number, standing in for a gid
+function sheetIdFor(name) {
+    return crypto.createHash('md5').update(name).digest().readUInt32BE(0) & 0x7fffffff;
+}
+
+function createSpreadsheetApp(options) {
+    const { dataDir, fixturesDir, rosterId, rosterGid } = options;
+
+    const rosterSpreadsheet = () => {
+        const file = path.join(fixturesDir, 'Students.csv');
+        const rows = fs.existsSync(file) ? parseCsv(fs.readFileSync(file, 'utf8')) : [];
+        const sheet = new Sheet('Students', Number(rosterGid), rows, null);
+        return {
+            getId: () => rosterId,
+            getSheets: () => [sheet],
+            getSheetByName: (name) => (name === sheet.name ? sheet : null),
+            insertSheet: () => { throw new Error('The mock roster is read-only — edit fixtures/Students.csv'); }
+        };
+    };
+
+    const tabFile = (name) => path.join(dataDir, name + '.json');
+    const tabs = new Map();
+    const persist = (sheet) => writeJson(tabFile(sheet.name), sheet.rows);
+    const loadTab = (name) => {
+        if (!tabs.has(name)) {
+            const rows = readJson(tabFile(name), null);
+            if (!rows) return null;
+            tabs.set(name, new Sheet(name, sheetIdFor(name), rows, persist));
+        }
+        return tabs.get(name);
+    };
+
+    const attendanceSpreadsheet = (id) => ({
+        getId: () => id,
+        getSheets: () => fs.readdirSync(dataDir)
+            .filter(f => f.endsWith('.json') && f !== 'properties.json')
+            .map(f => loadTab(f.slice(0, -5))),
+        getSheetByName: (name) => loadTab(name),
+        insertSheet: (name) => {
+            if (loadTab(name)) throw new Error(`A sheet with the name "${name}" already exists`);
+            const sheet = new Sheet(name, sheetIdFor(name), [], persist);
+            tabs.set(name, sheet);
+            sheet.save();
+            return sheet;
+        }
+    });
+
+    return {
+        // Anything but the roster is the attendance spreadsheet: Code.gs only opens the two
+        openById(id) {
+            return id === rosterId ? rosterSpreadsheet() : attendanceSpreadsheet(id);
+        }
+    };
+}
+
+// =============================================
+// DRIVE, CACHE, PROPERTIES, LOCKS
+// =============================================
+
+function createDriveApp(photoDir, publicUrl) {
+    const folder = {
+        getName: () => path.basename(photoDir),
+        createFile(blob) {
+            fs.mkdirSync(photoDir, { recursive: true });
+            const name = path.basename(blob.getName() || ('photo_' + Date.now() + '.jpg'));
+            fs.writeFileSync(path.join(photoDir, name), blob.getBuffer());
+            return {
+                getName: () => name,
+                setSharing: () => { /* served to anyone by the mock */ },
+                getUrl: () => `${publicUrl()}/photos/${encodeURIComponent(name)}`
+            };
+        }
+    };
+    const iterator = (items) => {
+        let i = 0;
+        return { hasNext: () => i < items.length, next: () => items[i++] };
+    };
+    return {
+        Access: { ANYONE: 'ANYONE', ANYONE_WITH_LINK: 'ANYONE_WITH_LINK' },
+        Permission: { VIEW: 'VIEW', EDIT: 'EDIT' },
+        getFoldersByName: () => iterator([folder]),
+        createFolder: () => folder
+    };
+}
+
+// In memory only, like the real cache it may forget anything at any time (here: on restart)
+function createCacheService() {
+    const entries = new Map();
+    const read = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt < Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    };
+    const cache = {
+        get: read,
+        getAll(keys) {
+            const found = {};
+            keys.forEach(k => { const v = read(k); if (v !== null) found[k] = v; });
+            return found;
+        },
+        put(key, value, seconds) {
+            entries.set(key, { value: String(value), expiresAt: Date.now() + (seconds || 600) * 1000 });
+        },
+        remove: (key) => { entries.delete(key); },
+        removeAll: (keys) => { keys.forEach(k => entries.delete(k)); }
+    };
+    return { getScriptCache: () => cache };
+}
+
+function createPropertiesService(file) {
+    const props = {
+        getProperty: (key) => {
+            const all = readJson(file, {});
+            return key in all ? all[key] : null;
+        },
+        setProperty(key, value) {
+            const all = readJson(file, {});
+            all[key] = String(value);
+            writeJson(file, all);
+            return props;
+        },
+        deleteProperty(key) {
+            const all = readJson(file, {});
+            delete all[key];
+            writeJson(file, all);
+            return props;
+        },
+        getProperties: () => readJson(file, {})
+    };
+    return { getScriptProperties: () => props };
+}
+
+// Requests are handled one at a time, so the script lock is always free
+function createLockService() {
+    const lock = { tryLock: () => true, waitLock: () => {}, releaseLock: () => {}, hasLock: () => true };
+    return { getScriptLock: () => lock };
+}
+
+// =============================================
+// UTILITIES, OUTPUT, MAIL, TRIGGERS
+// =============================================
+
+// Apps Script byte arrays are plain arrays of signed bytes
+const toBytes = (buffer) => Array.from(buffer, b => (b > 127 ? b - 256 : b));
+const toBuffer = (data) => (typeof data === 'string' ? Buffer.from(data, 'utf8') : Buffer.from(data.map(b => b & 0xff)));
+
+function createBlob(data, contentType, name) {
+    const buffer = toBuffer(data || '');
+    return {
+        getBuffer: () => buffer,
+        getBytes: () => toBytes(buffer),
+        getDataAsString: () => buffer.toString('utf8'),
+        getContentType: () => contentType || 'application/octet-stream',
+        getName: () => name || '',
+        setName(n) { name = n; return this; }
+    };
+}
+
+const Utilities = {
+    DigestAlgorithm: { SHA_256: 'sha256', SHA_1: 'sha1', MD5: 'md5' },
+    Charset: { UTF_8: 'utf8' },
+    getUuid: () => crypto.randomUUID(),
+    newBlob: createBlob,
+    base64Encode: (data) => toBuffer(data).toString('base64'),
+    base64Decode: (text) => toBytes(Buffer.from(text, 'base64')),
+    base64EncodeWebSafe: (data) => toBuffer(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+    base64DecodeWebSafe: (text) => toBytes(Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64')),
+    computeDigest: (algorithm, value) => toBytes(crypto.createHash(algorithm).update(toBuffer(value)).digest()),
+    computeHmacSha256Signature: (value, key) => toBytes(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest()),
+    sleep: () => { /* nothing to wait for */ }
+};
+
+const ContentService = {
+    MimeType: { JSON: 'application/json', JAVASCRIPT: 'application/javascript', TEXT: 'text/plain' },
+    createTextOutput(content) {
+        return {
+            content: content || '',
+            mimeType: 'text/plain',
+            setMimeType(type) { this.mimeType = type; return this; },
+            getContent() { return this.content; },
+            getMimeType() { return this.mimeType; }
+        };
+    }
+};
+
+const HtmlService = {
+    XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+    createHtmlOutput(html) {
+        return {
+            content: html || '',
+            mimeType: 'text/html',
+            setTitle(title) { this.title = title; return this; },
+            addMetaTag() { return this; },
+            setXFrameOptionsMode() { return this; },
+            getContent() { return this.content; },
+            getMimeType() { return this.mimeType; }
+        };
+    }
+};
+
+// Mail is appended to a log instead of sent
+function createMailApp(logFile) {
+    return {
+        sendEmail(message) {
+            fs.appendFileSync(logFile, JSON.stringify({ sentAt: new Date().toISOString(), ...message }) + '\n');
+            console.log(`[mail] ${message.to}: ${message.subject}`);
+        },
+        getRemainingDailyQuota: () => 100
+    };
+}
+
+// Triggers are accepted and never fire — run sendDailyDigest by hand if needed
+function createScriptApp(publicUrl) {
+    const builder = {
+        timeBased: () => builder,
+        everyMinutes: () => builder,
+        everyDays: () => builder,
+        everyHours: () => builder,
+        atHour: () => builder,
+        create: () => ({ getHandlerFunction: () => '' })
+    };
+    return {
+        getService: () => ({ getUrl: () => `${publicUrl()}/exec` }),
+        getProjectTriggers: () => [],
+        deleteTrigger: () => {},
+        newTrigger: () => builder
+    };
+}
+
+// =============================================
+// PUBLIC
+// =============================================
+
+// Globals for the vm context Code.gs runs in. publicUrl() → e.g. "http://localhost:3001"
+function createServices(options) {
+    const { dataDir, publicUrl } = options;
+    fs.mkdirSync(dataDir, { recursive: true });
+    return {
+        SpreadsheetApp: createSpreadsheetApp(options),
+        DriveApp: createDriveApp(path.join(dataDir, 'photos'), publicUrl),
+        CacheService: createCacheService(),
+        PropertiesService: createPropertiesService(path.join(dataDir, 'properties.json')),
+        LockService: createLockService(),
+        MailApp: createMailApp(path.join(dataDir, 'mail.log')),
+        ScriptApp: createScriptApp(publicUrl),
+        Utilities,
+        ContentService,
+        HtmlService,
+        Logger: { log: (...args) => console.log(...args) },
+        console
+    };
+}
+
+module.exports = { createServices, parseCsv };
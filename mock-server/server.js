@@ -0,0 +1,266 @@
+// ============================================
+// YOGA ATTENDANCE — LOCAL MOCK BACKEND
+// Runs google-apps-script/Code.gs unchanged against local files, so the app can be tried
+// without touching the production sheets
+// ============================================
+//
+// USAGE (Node 18+, no npm install needed):
+//   node mock-server/server.js            → http://localhost:3001
+//   PORT=4000 node mock-server/server.js  → another port
+//   MOCK_DATA_DIR=/tmp/yoga node ...      → another data folder (default mock-server/data)
+//
+// Open http://localhost:3001/ — the app and student portal are served from the repo with
+// API_URL already pointing at this server. An app served from elsewhere can point at it through
+// Settings → Apps Script API URL: http://localhost:3001/exec
+//
+// ROUTES
+//   GET/POST /exec                       Same actions, JSONP `callback` and form POSTs as the Web App
+//   GET /spreadsheets/d/<id>/gviz/tq     Google Visualization JSONP (tqx=responseHandler:<fn>), by gid or sheet
+//   GET /photos/<file>                   Proof photos saved by uploadPhoto / commitPhoto
+//   GET anything else                    Static files of the app
+//
+// DATA
+//   fixtures/Students.csv   The roster (SHEET_ID). Read on every request — edit it freely.
+//   data/<Tab>.json         Each tab of the attendance spreadsheet as an array of rows. Delete the
+//                           folder to start over.
+//   data/photos/            Uploaded proof photos
+//   data/mail.log           Mails the notifications would have sent (one JSON object per line)
+//
+// On first start two users are created: admin / admin and instructor / instructor (all batches),
+// and every student in the roster gets a student portal PIN, printed to the console.
+// Time-based triggers never fire; `node mock-server/server.js --run sendQueuedNotifications` (or
+// sendDailyDigest) runs a Code.gs function once and exits — saves only queue their notifications.
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const { createServices } = require('./gas');
+
+const ROOT = path.resolve(__dirname, '..');
+const CODE_FILE = path.join(ROOT, 'google-apps-script', 'Code.gs');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DATA_DIR = path.resolve(process.env.MOCK_DATA_DIR || path.join(__dirname, 'data'));
+const PORT = Number(process.env.PORT) || 3001;
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.ico': 'image/x-icon'
+};
+
+// =============================================
+// APPS SCRIPT RUNTIME
+// =============================================
+
+// Origin of the request being handled — photo links and the check-in form point back at it
+let origin = `http://localhost:${PORT}`;
+
+// Code.gs' own constants decide which spreadsheet is the roster, so the services are added after
+// it is loaded (nothing in it runs at load time). Top-level consts of a vm script are globals of the context.
+function loadScript() {
+    const context = vm.createContext({});
+    vm.runInContext(fs.readFileSync(CODE_FILE, 'utf8'), context, { filename: CODE_FILE });
+    const global = (name) => vm.runInContext(name, context);
+
+    Object.assign(context, createServices({
+        dataDir: DATA_DIR,
+        fixturesDir: FIXTURES_DIR,
+        rosterId: global('SHEET_ID'),
+        rosterGid: global('STUDENTS_GID'),
+        publicUrl: () => origin
+    }));
+    return {
+        call: (name, ...args) => global(name)(...args),
+        global
+    };
+}
+
+const script = loadScript();
+
+// First start: known passwords instead of setupAuth's random one
+function bootstrap() {
+    if (!fs.existsSync(path.join(DATA_DIR, script.global('USERS_SHEET_NAME') + '.json'))) {
+        script.call('addUser', 'admin', 'admin', 'admin', '*');
+        script.call('addUser', 'instructor', 'instructor', 'instructor', '*');
+        script.call('issuePortalPins');
+    }
+    script.call('setupAuth');
+}
+
+// =============================================
+// REQUESTS
+// =============================================
+
+function send(res, status, contentType, body) {
+    res.writeHead(status, { 'Content-Type': contentType, 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store' });
+    res.end(body);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// The `e` Apps Script passes to doGet / doPost
+function toEvent(params, postData) {
+    const parameter = {};
+    const parameters = {};
+    for (const [key, value] of params) {
+        if (!(key in parameter)) parameter[key] = value;
+        (parameters[key] = parameters[key] || []).push(value);
+    }
+    const e = { parameter, parameters, queryString: params.toString(), contentLength: -1 };
+    if (postData) {
+        e.postData = { contents: postData.contents, type: postData.type, length: Buffer.byteLength(postData.contents) };
+        e.contentLength = e.postData.length;
+    }
+    return e;
+}
+
+async function handleExec(req, res, url) {
+    let output;
+    if (req.method === 'POST') {
+        const contents = await readBody(req);
+        const type = (req.headers['content-type'] || 'text/plain').split(';')[0].trim();
+        const params = new URLSearchParams(url.search);
+        // A form POST's fields are parameters too, as on the real Web App
+        if (type === 'application/x-www-form-urlencoded') {
+            new URLSearchParams(contents).forEach((value, key) => params.append(key, value));
+        }
+        output = script.call('doPost', toEvent(params, { contents, type }));
+        console.log(`POST ${postedAction(params, contents)}`);
+    } else {
+        output = script.call('doGet', toEvent(url.searchParams));
+        console.log(`GET  ${url.searchParams.get('action') || '(no action)'}`);
+    }
+    send(res, 200, output.getMimeType() + '; charset=utf-8', output.getContent());
+}
+
+// The action inside a POSTed payload (form field or raw JSON body), for the log line
+function postedAction(params, contents) {
+    try {
+        return JSON.parse(params.get('payload') || contents).action || '(no action)';
+    } catch (err) {
+        return '(unreadable payload)';
+    }
+}
+
+// Google Visualization reply for one tab: first row as column labels, empty cells as null
+function handleGviz(res, url, spreadsheetId) {
+    const tqx = {};
+    (url.searchParams.get('tqx') || '').split(';').forEach(pair => {
+        const [key, value] = pair.split(':');
+        if (key) tqx[key] = value;
+    });
+    const handler = tqx.responseHandler || 'google.visualization.Query.setResponse';
+    if (!/^[\w.$]+$/.test(handler)) {
+        send(res, 400, 'text/plain; charset=utf-8', 'Invalid responseHandler');
+        return;
+    }
+
+    const sheets = script.global('SpreadsheetApp').openById(spreadsheetId).getSheets();
+    const gid = url.searchParams.get('gid');
+    const name = url.searchParams.get('sheet');
+    const sheet = sheets.find(s => (name ? s.getName() === name : gid ? String(s.getSheetId()) === gid : true));
+
+    let reply;
+    if (!sheet) {
+        reply = { version: '0.6', reqId: tqx.reqId || '0', status: 'error', errors: [{ reason: 'invalid_query', message: 'Sheet not found' }] };
+    } else {
+        const [labels = [], ...rows] = sheet.getDataRange().getValues();
+        reply = {
+            version: '0.6',
+            reqId: tqx.reqId || '0',
+            status: 'ok',
+            table: {
+                cols: labels.map((label, i) => ({ id: String.fromCharCode(65 + (i % 26)), label: String(label), type: 'string' })),
+                rows: rows.map(r => ({ c: r.map(v => (v === '' ? null : { v })) })),
+                parsedNumHeaders: 1
+            }
+        };
+    }
+    send(res, 200, 'application/javascript; charset=utf-8', `/*O_o*/\n${handler}(${JSON.stringify(reply)});`);
+}
+
+function handlePhoto(res, name) {
+    const file = path.join(DATA_DIR, 'photos', path.basename(name));
+    if (!fs.existsSync(file)) {
+        send(res, 404, 'text/plain; charset=utf-8', 'Photo not found');
+        return;
+    }
+    send(res, 200, MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream', fs.readFileSync(file));
+}
+
+// The app itself. config.js gets API_URL pointed here; Settings still override it.
+function handleStatic(res, pathname) {
+    const relative = pathname === '/' ? 'index.html' : pathname.slice(1);
+    const file = path.resolve(ROOT, relative);
+    const inside = file.startsWith(ROOT + path.sep) && !relative.split('/').some(part => part.startsWith('.'));
+    if (!inside || file.startsWith(__dirname + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        send(res, 404, 'text/plain; charset=utf-8', 'Not found');
+        return;
+    }
+    let body = fs.readFileSync(file);
+    if (relative === 'config.js') {
+        body = body.toString('utf8') + `\n// Added by mock-server/server.js\nCONFIG.API_URL = '${origin}/exec';\n`;
+    }
+    send(res, 200, MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream', body);
+}
+
+async function route(req, res) {
+    origin = `http://${req.headers.host || 'localhost:' + PORT}`;
+    const url = new URL(req.url, origin);
+    const gviz = url.pathname.match(/^\/spreadsheets\/d\/([\w-]+)\/gviz\/tq$/);
+
+    if (url.pathname === '/exec') return handleExec(req, res, url);
+    if (req.method !== 'GET') return send(res, 405, 'text/plain; charset=utf-8', 'Method not allowed');
+    if (gviz) return handleGviz(res, url, gviz[1]);
+    if (url.pathname.startsWith('/photos/')) return handlePhoto(res, decodeURIComponent(url.pathname.slice(8)));
+    return handleStatic(res, decodeURIComponent(url.pathname));
+}
+
+// =============================================
+// START
+// =============================================
+
+bootstrap();
+
+const runIndex = process.argv.indexOf('--run');
+if (runIndex !== -1) {
+    const fn = process.argv[runIndex + 1];
+    console.log(`Running ${fn}()…`);
+    script.call(fn);
+} else {
+    http.createServer((req, res) => {
+        route(req, res).catch((err) => {
+            console.error(err);
+            send(res, 500, 'text/plain; charset=utf-8', String(err && err.message));
+        });
+    }).listen(PORT, () => {
+        console.log(`Mock Apps Script at http://localhost:${PORT}/exec — app at http://localhost:${PORT}/`);
+        console.log(`Data in ${DATA_DIR} · sign in as admin / admin or instructor / instructor`);
+    });
+}
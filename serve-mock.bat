@@ -0,0 +1,12 @@
+@echo off
+title Yoga Attendance Mock Backend
+echo.
+echo  ========================================
+echo    Yoga Attendance App - Mock Backend
+echo  ========================================
+echo.
+echo  App and mock Apps Script at http://localhost:3001
+echo  Sign in as admin / admin  (data in mock-server\data)
+echo  Press Ctrl+C to stop
+echo.
+node mock-server\server.js
@@ -0,0 +1,203 @@
+// ============================================
+// YOGA ATTENDANCE — STUDENT PORTAL
+// Read-only: one student's own records, fetched with getMyAttendance (see STUDENT PORTAL in Code.gs)
+// ============================================
+
+(function () {
+    'use strict';
+
+    const dom = {};
+    ['lookupForm', 'appNumberInput', 'pinInput', 'lookupError', 'lookupBtn', 'portalResult',
+        'resultName', 'resultMeta', 'resultPct', 'resultStats', 'resultHistory', 'lookupAgainBtn']
+        .forEach(id => { dom[id] = document.getElementById(id); });
+
+    const { PRESENT, LATE, ABSENT, LEAVE, UNMARKED } = CONFIG.STATUSES;
+
+    // =============================================
+    // API
+    // =============================================
+    const API = {
+        // JSON POST (the PIN stays out of URLs and server logs); Apps Script answers a text/plain POST
+        // with CORS headers, so the reply can be read
+        async post(payload, timeoutMs = 30000) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const response = await fetch(CONFIG.API_URL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+                    body: JSON.stringify(payload),
+                    signal: controller.signal
+                });
+                return (await response.json()) || {};
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+
+    // =============================================
+    // SUMMARY — same rules as the app's Analytics view
+    // =============================================
+    const Summary = {
+        // Calendar.dayInfo in app.js: a batch's own entry wins, then an every-batch one, then config
+        isSessionDay(calendar, dateKey, batchId) {
+            const entry = calendar.find(e => e.date === dateKey && e.batchId === batchId) ||
+                calendar.find(e => e.date === dateKey && !e.batchId);
+            if (entry) return entry.type === 'special';
+            if (CONFIG.CALENDAR.HOLIDAYS.includes(dateKey)) return false;
+            return !CONFIG.CALENDAR.WEEKLY_OFF_DAYS.includes(new Date(dateKey + 'T00:00:00').getDay());
+        },
+
+        finalStatus(statuses) {
+            if (statuses.includes(PRESENT)) return PRESENT;
+            if (statuses.includes(LATE)) return LATE;
+            if (statuses.includes(ABSENT)) return ABSENT;
+            if (statuses.includes(LEAVE)) return LEAVE;
+            return UNMARKED;
+        },
+
+        // → { days (newest first), sessions, present, late, absent, leave, unmarked, pct, currentStreak, longestStreak }
+        // Late counts as attended in the percentage and streaks, as in the app's analytics
+        compute(resp) {
+            const byDate = new Map();
+            const leaveTypes = new Map();
+            resp.records.forEach(r => {
+                if (!byDate.has(r.date)) byDate.set(r.date, {});
+                byDate.get(r.date)[r.batchId] = r.status || UNMARKED;
+                if (r.leaveType) leaveTypes.set(r.date + '|' + r.batchId, r.leaveType);
+            });
+
+            const result = { days: [], sessions: 0, present: 0, late: 0, absent: 0, leave: 0, unmarked: 0, pct: 0, currentStreak: 0, longestStreak: 0 };
+            [...byDate.keys()].sort().forEach(dateKey => {
+                const statuses = byDate.get(dateKey);
+                const types = {};
+                Object.keys(statuses).forEach(b => { types[b] = leaveTypes.get(dateKey + '|' + b) || ''; });
+                const counted = Object.keys(statuses).filter(b => this.isSessionDay(resp.calendar, dateKey, b)).map(b => statuses[b]);
+                const final = counted.length ? this.finalStatus(counted) : null; // null: holiday, not counted
+                result.days.unshift({ date: dateKey, statuses, leaveTypes: types, final });
+                if (!final) return;
+
+                result.sessions++;
+                result[final]++;
+                result.currentStreak = final === PRESENT || final === LATE ? result.currentStreak + 1 : 0;
+                result.longestStreak = Math.max(result.longestStreak, result.currentStreak);
+            });
+            result.pct = result.sessions ? Math.round(((result.present + result.late) / result.sessions) * 100) : 0;
+            return result;
+        }
+    };
+
+    // =============================================
+    // VIEW
+    // =============================================
+    const View = {
+        escapeHtml(text) {
+            return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        },
+
+        formatDay(dateKey) {
+            return new Date(dateKey + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        },
+
+        formatMonth(dateKey) {
+            return new Date(dateKey + 'T00:00:00').toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        },
+
+        batchLabel(batchId) {
+            const batch = CONFIG.BATCHES.find(b => b.id === batchId);
+            return batch ? (batch.shortName || batch.name) : 'Batch';
+        },
+
+        // Leave shows its type when one was given: "Leave (Medical)"
+        pill(status, leaveType) {
+            const type = leaveType && CONFIG.LEAVE_TYPES.find(t => t.id === leaveType);
+            const label = status.charAt(0).toUpperCase() + status.slice(1) + (status === LEAVE && type ? ` (${type.label})` : '');
+            return `<span class="status-pill status-pill--${this.escapeHtml(status)}">${this.escapeHtml(label)}</span>`;
+        },
+
+        showResult(resp) {
+            const s = Summary.compute(resp);
+            const low = s.pct < CONFIG.ANALYTICS.LOW_ATTENDANCE_PCT;
+
+            dom.resultName.textContent = resp.student.name;
+            dom.resultMeta.textContent = `App No. ${resp.student.appNumber}` +
+                (resp.student.joinDate ? ` · since ${this.formatDay(resp.student.joinDate)}` : '');
+            dom.resultPct.textContent = s.sessions ? `${s.pct}%` : '—';
+            dom.resultStats.innerHTML = [
+                [`${s.present + s.late}/${s.sessions}`, 'Sessions attended'],
+                [s.currentStreak, 'Current streak'],
+                [s.longestStreak, 'Longest streak'],
+                [s.late, 'Late'],
+                [s.absent, 'Absent']
+            ].map(([value, label]) => `<div><strong>${value}</strong><span>${label}</span></div>`).join('');
+
+            let html = s.sessions && low
+                ? `<div class="analytics-notice">Below ${CONFIG.ANALYTICS.LOW_ATTENDANCE_PCT}% — please speak to your instructor.</div>`
+                : '';
+            if (s.days.length === 0) {
+                html += '<div class="empty-state"><div class="empty-state__text">No attendance saved for you yet</div></div>';
+            }
+            let month = '';
+            s.days.forEach(day => {
+                const dayMonth = this.formatMonth(day.date);
+                if (dayMonth !== month) {
+                    month = dayMonth;
+                    html += `<div class="portal-history__month">${this.escapeHtml(month)}</div>`;
+                }
+                const batches = Object.keys(day.statuses).map(b =>
+                    `<span class="portal-day__batch">${this.escapeHtml(this.batchLabel(b))} ${this.pill(day.statuses[b], day.leaveTypes[b])}</span>`).join('');
+                html += `
+                    <div class="portal-day${day.final ? '' : ' portal-day--off'}">
+                        <div class="portal-day__date">${this.formatDay(day.date)}</div>
+                        <div class="portal-day__batches">${batches}</div>
+                        <div class="portal-day__final">${day.final ? this.pill(day.final) : 'Not counted'}</div>
+                    </div>`;
+            });
+            dom.resultHistory.innerHTML = html;
+
+            dom.lookupForm.style.display = 'none';
+            dom.portalResult.style.display = '';
+        },
+
+        showForm() {
+            dom.portalResult.style.display = 'none';
+            dom.lookupForm.style.display = '';
+            dom.pinInput.value = '';
+            dom.lookupError.textContent = '';
+        }
+    };
+
+    // =============================================
+    // EVENTS & BOOT
+    // =============================================
+    async function onSubmit(e) {
+        e.preventDefault();
+        const appNumber = dom.appNumberInput.value.trim();
+        const pin = dom.pinInput.value.trim();
+        if (!appNumber || !pin) return;
+
+        dom.lookupBtn.disabled = true;
+        dom.lookupBtn.textContent = 'Looking up…';
+        dom.lookupError.textContent = '';
+        try {
+            const resp = await API.post({ action: 'getMyAttendance', appNumber, pin }, 30000);
+            if (!resp.success) {
+                dom.lookupError.textContent = resp.error || 'Lookup failed';
+                return;
+            }
+            localStorage.setItem(CONFIG.STORAGE_KEYS.PORTAL, appNumber);
+            View.showResult(resp);
+        } catch (err) {
+            dom.lookupError.textContent = 'Could not reach the server — check your connection and try again';
+        } finally {
+            dom.lookupBtn.disabled = false;
+            dom.lookupBtn.textContent = 'Show my attendance';
+        }
+    }
+
+    dom.appNumberInput.value = localStorage.getItem(CONFIG.STORAGE_KEYS.PORTAL) || '';
+    dom.lookupForm.addEventListener('submit', onSubmit);
+    dom.lookupAgainBtn.addEventListener('click', () => View.showForm());
+    if (!CONFIG.API_URL) dom.lookupError.textContent = 'The attendance server is not configured yet';
+})();
@@ -0,0 +1,202 @@
+// ============================================
+// YOGA ATTENDANCE APP — SERVICE WORKER
+// Offline-first app shell + last known student roster
+// ============================================
+//
+// The app's own files are served network first, so an online client always runs the deployed
+// app.js against the deployed Code.gs; the cache is only the offline fallback. Bump CACHE_VERSION
+// on every deploy anyway: the browser only notices a new worker when this file changes, and that
+// is what triggers the "update available" prompt for a page that is already open.
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `yoga-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `yoga-runtime-${CACHE_VERSION}`;
+const DATA_CACHE = 'yoga-data';
+
+// Past this the shell comes from the cache, so a dead connection doesn't look like a dead app
+const NETWORK_TIMEOUT_MS = 4000;
+
+// Synthetic cache keys for the roster (JSONP callback names change on every request)
+const ROSTER_KEYS = {
+    appsScript: './__roster/apps-script.json',
+    gviz: './__roster/gviz.json'
+};
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './app.js',
+    './config.js',
+    './student.html',
+    './student.js',
+    './styles.css',
+    './manifest.json',
+    './icon.svg',
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.8.1/jspdf.plugin.autotable.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js'
+];
+
+// PNG icons are generated with generate-icons.html and may not be deployed yet
+const OPTIONAL_FILES = [
+    './icon-192.png',
+    './icon-512.png',
+    './icon-maskable-192.png',
+    './icon-maskable-512.png'
+];
+
+// The same-origin paths that make up the shell. Anything else on this origin is live data —
+// the mock backend (mock-server/server.js) serves /exec, gviz and /photos next to the app.
+const SHELL_PATHS = new Set([...SHELL_FILES, ...OPTIONAL_FILES]
+    .filter(file => file.startsWith('./'))
+    .map(file => new URL(file, self.location.href).pathname));
+
+// ======= Lifecycle =======
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        await Promise.all(OPTIONAL_FILES.map(url => cache.add(url).catch(() => { /* not deployed */ })));
+    })());
+    // No skipWaiting() here — the page asks the user first (see PWA.showUpdatePrompt in app.js)
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(k => k.startsWith('yoga-') && ![SHELL_CACHE, RUNTIME_CACHE, DATA_CACHE].includes(k))
+            .map(k => caches.delete(k)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// ======= Fetch Routing =======
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const rosterSource = getRosterSource(url);
+
+    if (rosterSource) {
+        event.respondWith(rosterFirstNetwork(url, rosterSource));
+    } else if (url.origin === self.location.origin && SHELL_PATHS.has(url.pathname)) {
+        event.respondWith(networkFirst(request));
+    } else if (url.hostname === 'cdnjs.cloudflare.com') {
+        event.respondWith(cacheFirst(request));
+    } else if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // Everything else (attendance sync, saves, photo uploads, check-in pages) goes straight to the network
+});
+
+// Which roster endpoint is this, if any?
+function getRosterSource(url) {
+    const backend = url.hostname === 'script.google.com' || (url.origin === self.location.origin && url.pathname.endsWith('/exec'));
+    const sheets = url.hostname === 'docs.google.com' || url.origin === self.location.origin;
+    if (backend && url.searchParams.get('action') === 'getStudents') {
+        return 'appsScript';
+    }
+    if (sheets && url.pathname.endsWith('/gviz/tq') && url.searchParams.get('gid')) {
+        return 'gviz';
+    }
+    return null;
+}
+
+function getCallbackName(url, source) {
+    if (source === 'gviz') {
+        return (url.searchParams.get('tqx') || '').replace('responseHandler:', '');
+    }
+    return url.searchParams.get('callback') || '';
+}
+
+function jsResponse(body) {
+    return new Response(body, { headers: { 'Content-Type': 'application/javascript; charset=utf-8' } });
+}
+
+// Extract the JSON argument from "callback({...});" (gviz prefixes a /*O_o*/ comment)
+function unwrapJsonp(body, callback) {
+    const start = body.indexOf(callback + '(');
+    const end = body.lastIndexOf(')');
+    if (start === -1 || end === -1) return null;
+    return body.substring(start + callback.length + 1, end);
+}
+
+// Network first; on failure replay the last roster we saw under the new callback name
+async function rosterFirstNetwork(url, source) {
+    const callback = getCallbackName(url, source);
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(url.href, { mode: 'cors', credentials: 'omit' });
+        const body = await response.text();
+        const json = unwrapJsonp(body, callback);
+        if (response.ok && json) {
+            await cache.put(ROSTER_KEYS[source], new Response(json, { headers: { 'Content-Type': 'application/json' } }));
+        }
+        return jsResponse(body);
+    } catch (err) {
+        const cached = await cache.match(ROSTER_KEYS[source]);
+        if (!cached) return Response.error(); // page falls back through script.onerror
+        return jsResponse(`${callback}(${await cached.text()});`);
+    }
+}
+
+// Fresh copy when the network answers in time (and keep it for offline), else the cached one.
+// Cached under the bare path: the app's files are never versioned through the query string.
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const url = new URL(request.url);
+    const key = url.origin + url.pathname;
+    const network = fetch(request).then(response => {
+        if (response.ok) cache.put(key, response.clone());
+        return response;
+    });
+    network.catch(() => { /* answered from the cache below */ });
+
+    try {
+        return await Promise.race([
+            network,
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error('timeout')), NETWORK_TIMEOUT_MS))
+        ]);
+    } catch (err) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            const index = await cache.match('./index.html');
+            if (index) return index;
+        }
+        return network.catch(() => Response.error());
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    return cached || network;
+}